@@ -0,0 +1,101 @@
+/**
+ * Benchmark exact vs HNSW search over synthetic memory banks.
+ *
+ * Usage: node bench/ann-benchmark.mjs [sizes] [dimensions] [queries]
+ *   node bench/ann-benchmark.mjs 10000,100000 1024 200
+ *
+ * Vectors are drawn around random cluster centres so the data has the kind
+ * of structure real embeddings have; uniform noise would make every
+ * neighbour equally far away and the recall figure meaningless.
+ */
+
+import { performance } from 'node:perf_hooks';
+import { findTopKSimilar } from '../lib/similarity.js';
+import { HNSWIndex } from '../lib/hnsw.js';
+
+const sizes = (process.argv[2] || '10000,100000').split(',').map(Number);
+const dimensions = Number(process.argv[3]) || 1024;
+const queryCount = Number(process.argv[4]) || 200;
+const K = 10;
+
+/**
+ * Generate clustered random vectors
+ * @param {number} count - Number of vectors
+ * @param {number} dims - Vector dimension
+ * @param {Float32Array[]} centres - Cluster centres
+ * @returns {number[][]} Vectors
+ */
+function generateVectors(count, dims, centres) {
+    const vectors = [];
+    for (let i = 0; i < count; i++) {
+        const centre = centres[Math.floor(Math.random() * centres.length)];
+        const vector = new Array(dims);
+        for (let d = 0; d < dims; d++) {
+            vector[d] = centre[d] + (Math.random() - 0.5) * 0.6;
+        }
+        vectors.push(vector);
+    }
+    return vectors;
+}
+
+/**
+ * Percentile of a sorted array
+ * @param {number[]} sorted - Sorted values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value
+ */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+}
+
+/**
+ * Format latency stats
+ * @param {number[]} times - Query times in ms
+ * @returns {string} Summary
+ */
+function formatLatency(times) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+    return `mean ${mean.toFixed(2)} ms, p50 ${percentile(sorted, 50).toFixed(2)} ms, p95 ${percentile(sorted, 95).toFixed(2)} ms`;
+}
+
+for (const size of sizes) {
+    const centres = Array.from({ length: 64 }, () =>
+        Float32Array.from({ length: dimensions }, () => Math.random() - 0.5));
+    const memories = generateVectors(size, dimensions, centres)
+        .map((embedding, i) => ({ id: String(i), embedding }));
+    const queries = generateVectors(queryCount, dimensions, centres);
+
+    console.log(`\n${size} memories, ${dimensions} dimensions, ${queryCount} queries, top ${K}`);
+
+    let start = performance.now();
+    const index = new HNSWIndex();
+    for (const memory of memories) {
+        index.add(memory.id, memory.embedding);
+    }
+    console.log(`  HNSW build:   ${((performance.now() - start) / 1000).toFixed(1)} s`);
+
+    // First exact pass fills the unit vector cache, as after the first generation in a chat
+    findTopKSimilar(queries[0], memories, K, 0);
+
+    const exactTimes = [];
+    const annTimes = [];
+    let hits = 0;
+
+    for (const query of queries) {
+        start = performance.now();
+        const exact = findTopKSimilar(query, memories, K, 0);
+        exactTimes.push(performance.now() - start);
+
+        start = performance.now();
+        const approximate = index.search(query, K);
+        annTimes.push(performance.now() - start);
+
+        const expected = new Set(exact.map(r => r.memory.id));
+        hits += approximate.filter(r => expected.has(r.id)).length;
+    }
+
+    console.log(`  Exact scan:   ${formatLatency(exactTimes)}`);
+    console.log(`  HNSW search:  ${formatLatency(annTimes)}`);
+    console.log(`  Recall@${K}:    ${(hits / (queryCount * K) * 100).toFixed(1)}%`);
+}
@@ -5,13 +5,38 @@
 
 // Import SillyTavern modules
 import { extension_settings, getContext, loadExtensionSettings } from "../../../extensions.js";
-import { saveSettingsDebounced, eventSource, event_types } from "../../../../script.js";
+import { textgenerationwebui_settings } from "../../../textgen-settings.js";
+import { getTokenCountAsync } from "../../../tokenizers.js";
+import { user_avatar } from "../../../personas.js";
+import { loadWorldInfo, saveWorldInfo, createWorldInfoEntry, createNewWorldInfo, reloadEditor, METADATA_KEY } from "../../../world-info.js";
+import { saveSettingsDebounced, eventSource, event_types, getRequestHeaders } from "../../../../script.js";
+import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
+import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } from "../../../slash-commands/SlashCommandArgument.js";
 
 // Import our modules
-import { VoyageAIClient, VOYAGE_MODELS } from "./lib/voyageai.js";
+import { VOYAGE_MODELS } from "./lib/voyageai.js";
+import { createEmbeddingProvider, EMBEDDING_PROVIDERS } from "./lib/embeddings.js";
 import { SummarizerClient, getDefaultPrompts } from "./lib/summarizer.js";
-import { MemoryStorage, createMemory } from "./lib/storage.js";
-import { findTopKSimilar } from "./lib/similarity.js";
+import { MemoryStorage, createMemory, createMessageSource, isMemoryOfMessage, isSameSourceMessage } from "./lib/storage.js";
+import { createStorageBackend, copyBanks, STORAGE_BACKENDS } from "./lib/backends.js";
+import { EMBEDDING_FORMATS } from "./lib/codec.js";
+import { ProcessingQueue, JOB_STATES } from "./lib/queue.js";
+import { ReembedJob, isEmbeddingCompatible } from "./lib/reembed.js";
+import { createReranker, VOYAGE_RERANK_MODELS } from "./lib/reranker.js";
+import { fuseRankings, weightedAverageEmbeddings, scoreMemories, selectDiverse, dotProduct, toUnitVector, getUnitVector } from "./lib/similarity.js";
+import { getQueryTurns, getTurnWeights, formatTurns, mergeResultSets } from "./lib/query.js";
+import { packWithinBudget } from "./lib/budget.js";
+import { findDuplicateGroups, getSourceHash } from "./lib/dedupe.js";
+import { filterMemories, listChats, paginate, matchesMetadata } from "./lib/memory-filter.js";
+import { RetrievalLog, snapshotSettings, describeCandidate, recordInjection, compareTraces } from "./lib/inspector.js";
+import { ConsolidationJob, countUnconsolidated, getMemoryLevel, getLevelAlternatives, isCovered, removeCoveredResults } from "./lib/consolidation.js";
+import { VectorIndex } from "./lib/vector-index.js";
+import { getGroupBankId, findCharacterId, getGroupMemberIds, getStorageBanks, getRetrievalBanks } from "./lib/groups.js";
+import { isPromoted, countUncheckedLore, getLoreCandidates, clusterMemories, buildLoreEntry } from "./lib/lore.js";
+import { getScopeBank, spansCharacters, isInScope, getChatRelink, prepareForScope } from "./lib/scope.js";
+import { ENTITY_TYPES, addExtraction, pruneGraph, getExpansion, findNode, upsertNode, upsertEdge, mergeNodes, deleteNode, deleteEdge } from "./lib/graph.js";
+import { isSuperseded, getSupersedeCandidates, getSupersedeChain, handleSuperseded } from "./lib/supersede.js";
 
 // Extension configuration
 const extensionName = "st-voyageai-memory";
@@ -24,16 +49,83 @@ const defaultSettings = {
     summarization_url: "",
     summarization_key: "",
     summarization_model: "gemini-2.0-flash-exp",
+    structured_extraction: false,
+    // Embeddings
+    embedding_provider: "voyageai",
     // VoyageAI
     voyage_api_key: "",
     voyage_model: "voyage-4-large",
+    voyage_output_dimension: 0, // 0 = model default
+    // OpenAI-compatible embeddings
+    embedding_url: "",
+    embedding_key: "",
+    embedding_model: "",
+    auto_reembed: true,
     // Behavior
     auto_store: true,
     auto_retrieve: true,
+    memory_scope: "character", // chat, character, persona or global
     top_k: 5,
     similarity_threshold: 0.7,
     injection_position: "afterScenario",
     injection_depth: 0,
+    token_budget: 0, // 0 = no limit
+    budget_overflow: "truncate",
+    // Query construction
+    query_turns: 3,
+    query_user_weight: 1,
+    query_assistant_weight: 0.5,
+    query_recency_decay: 0.8,
+    query_rewrite: false,
+    query_hyde: false,
+    // Ranking
+    rate_importance: false,
+    ranking_recency_weight: 0,
+    ranking_half_life_days: 30,
+    ranking_importance_weight: 0,
+    ranking_access_weight: 0,
+    mmr_enabled: false,
+    mmr_lambda: 0.7,
+    // Group chats
+    group_member_banks: true,
+    group_shared_bank: true,
+    // Scene/arc consolidation
+    consolidation_enabled: false,
+    consolidation_trigger: 20,
+    consolidation_scene_size: 12,
+    consolidation_gap_minutes: 60,
+    consolidation_shift_threshold: 0.3,
+    // World Info promotion
+    lore_target: "character", // character or chat lorebook
+    lore_auto: false,
+    lore_auto_trigger: 30,
+    lore_min_importance: 7, // 1-10
+    // Knowledge graph
+    graph_enabled: false,
+    graph_expansion: 3, // 0 = off
+    // Contradiction detection
+    supersede_enabled: false,
+    supersede_threshold: 0.8,
+    supersede_mode: "downweight", // downweight or exclude
+    supersede_penalty: 0.5,
+    // Hybrid keyword + vector search
+    hybrid_enabled: false,
+    hybrid_weight: 0.3,
+    // Rerank
+    rerank_enabled: false,
+    rerank_provider: "voyageai",
+    rerank_model: "rerank-2",
+    rerank_url: "",
+    rerank_key: "",
+    rerank_candidates: 20,
+    rerank_threshold: 0,
+    // Approximate nearest-neighbour search for large banks
+    ann_enabled: true,
+    ann_min_size: 2000,
+    // Storage
+    storage_backend: "indexeddb",
+    embedding_format: "float32",
+    duplicate_threshold: 0.95,
     // Message summarization filters
     summarize_bot: true,
     summarize_user: true,
@@ -50,15 +142,28 @@ const defaultSettings = {
     raw_history_count: 5,
     raw_include_bot: true,
     raw_include_user: true,
+    inspector_history: 20,
     debug_mode: false
 };
 
 // Global instances
-let voyageClient = null;
+let embeddingClient = null;
+let rerankerClient = null;
 let summarizerClient = null;
 let memoryStorage = null;
-let isProcessing = false;
+let processingQueue = null;
+let reembedJob = null;
+let consolidationJob = null;
+let lorePassRunning = false;
+const reembedCancelled = new Set(); // Banks whose automatic re-embed was cancelled this session
 let currentCharacterId = null;
+let groupSpeakerId = null; // Group member drafted for the next generation
+const retrievalLog = new RetrievalLog(); // Recent retrievals for the inspector
+let viewerState = null; // Memory viewer: loaded bank, search scores, page and selection
+let graphState = null; // Graph panel: loaded bank, its graph and memories, and the selected entity
+
+const VIEWER_PAGE_SIZE = 50;
+const VIEWER_SEMANTIC_LIMIT = 200;
 
 /**
  * Initialize the extension
@@ -71,11 +176,17 @@ async function init() {
     initClients();
     
     // Initialize storage
-    memoryStorage = new MemoryStorage(extensionFolderPath);
+    memoryStorage = new MemoryStorage(createBackend(getSettings().storage_backend), {
+        embeddingFormat: getSettings().embedding_format || "float32",
+        duplicateThreshold: getSettings().duplicate_threshold ?? 0.95
+    });
+    initVectorIndex();
+    retrievalLog.setLimit(getSettings().inspector_history || 20);
     
     // Load settings UI
     const settingsHtml = await $.get(`${extensionFolderPath}/settings.html`);
     $("#extensions_settings2").append(settingsHtml);
+    populateOptionLists();
     
     // Bind UI events
     bindUIEvents();
@@ -83,12 +194,42 @@ async function init() {
     // Bind SillyTavern events
     bindSTEvents();
     
+    // Register /mem-* slash commands
+    registerSlashCommands();
+    
     // Update UI with current settings
     updateUI();
     
+    // Resume any pending or failed jobs from the previous session
+    processingQueue = new ProcessingQueue(processQueueJob, {
+        onChange: onQueueChanged,
+        onFailed: onQueueJobFailed
+    });
+    processingQueue.load();
+    processingQueue.start();
+    
     log("Extension initialized");
 }
 
+/**
+ * Fill the settings selects whose choices are defined by the modules
+ */
+function populateOptionLists() {
+    fillOptions("#voyageai_embedding_provider", EMBEDDING_PROVIDERS);
+    fillOptions("#voyageai_rerank_models", VOYAGE_RERANK_MODELS);
+    fillOptions("#voyageai_storage_backend", STORAGE_BACKENDS);
+    fillOptions("#voyageai_embedding_format", EMBEDDING_FORMATS);
+}
+
+/**
+ * Replace the options of a select (or datalist)
+ * @param {string} selector - Element selector
+ * @param {Array<{id: string, name: string}>} options - Choices
+ */
+function fillOptions(selector, options) {
+    $(selector).empty().append(options.map(option => $("<option>").val(option.id).text(option.name)));
+}
+
 /**
  * Load extension settings
  */
@@ -127,10 +268,8 @@ function saveSetting(key, value) {
 function initClients() {
     const settings = getSettings();
     
-    voyageClient = new VoyageAIClient(
-        settings.voyage_api_key,
-        settings.voyage_model
-    );
+    initEmbeddingClient();
+    initRerankerClient();
     
     summarizerClient = new SummarizerClient(
         settings.summarization_url,
@@ -140,6 +279,78 @@ function initClients() {
     );
 }
 
+/**
+ * (Re)create the embedding client for the selected provider
+ */
+function initEmbeddingClient() {
+    embeddingClient = createEmbeddingProvider(getSettings(), {
+        resolveSillyTavernConfig: resolveSillyTavernEmbeddingConfig
+    });
+}
+
+/**
+ * (Re)create the approximate nearest-neighbour index used for large banks
+ */
+function initVectorIndex() {
+    const settings = getSettings();
+    memoryStorage.setVectorIndex(settings.ann_enabled
+        ? new VectorIndex({ minSize: settings.ann_min_size || 2000 })
+        : null);
+}
+
+/**
+ * (Re)create the rerank client for the selected provider
+ */
+function initRerankerClient() {
+    rerankerClient = createReranker(getSettings());
+}
+
+/**
+ * Resolve the backend behind SillyTavern's Vector Storage source
+ * @returns {{apiUrl: string, model: string, source: string}} Endpoint configuration
+ */
+function resolveSillyTavernEmbeddingConfig() {
+    const vectors = extension_settings.vectors || {};
+    const source = vectors.source;
+    
+    // Vector sources backed by a local server with an OpenAI-compatible /v1/embeddings
+    const supportedSources = ["ollama", "llamacpp", "vllm"];
+    if (!supportedSources.includes(source)) {
+        throw new Error(`SillyTavern vector source "${source || 'none'}" is not supported (use Ollama, llama.cpp or vLLM)`);
+    }
+    
+    return {
+        apiUrl: textgenerationwebui_settings.server_urls?.[source] || "",
+        model: vectors[`${source}_model`] || "",
+        source: source
+    };
+}
+
+/**
+ * Show the settings block for the selected embedding provider
+ */
+function updateEmbeddingProviderVisibility() {
+    const provider = getSettings().embedding_provider || "voyageai";
+    $(".voyageai-embedding-provider-settings").hide();
+    $(`.voyageai-embedding-provider-settings[data-provider="${provider}"]`).show();
+}
+
+/**
+ * Show the settings only used by the custom rerank endpoint
+ */
+function updateRerankProviderVisibility() {
+    $(".voyageai-rerank-custom-settings").toggle(getSettings().rerank_provider === "custom");
+}
+
+/**
+ * Create a storage backend for the given setting value
+ * @param {string} type - Backend type
+ * @returns {object} Backend instance
+ */
+function createBackend(type) {
+    return createStorageBackend(type, { getHeaders: getRequestHeaders });
+}
+
 /**
  * Bind UI event handlers
  */
@@ -171,17 +382,50 @@ function bindUIEvents() {
         summarizerClient.updateConfig({ model: value });
     });
     
-    // VoyageAI settings
+    // Embedding settings
+    $("#voyageai_embedding_provider").on("change", function() {
+        saveSetting("embedding_provider", $(this).val());
+        initEmbeddingClient();
+        updateEmbeddingProviderVisibility();
+        checkEmbeddingCompatibility();
+    });
+    
     $("#voyageai_api_key").on("input", function() {
-        const value = $(this).val();
-        saveSetting("voyage_api_key", value);
-        voyageClient.setApiKey(value);
+        saveSetting("voyage_api_key", $(this).val());
+        initEmbeddingClient();
+        initRerankerClient();
     });
     
     $("#voyageai_model").on("change", function() {
-        const value = $(this).val();
-        saveSetting("voyage_model", value);
-        voyageClient.setModel(value);
+        saveSetting("voyage_model", $(this).val());
+        initEmbeddingClient();
+        checkEmbeddingCompatibility();
+    });
+    
+    $("#voyageai_output_dimension").on("change", function() {
+        saveSetting("voyage_output_dimension", parseInt($(this).val()) || 0);
+        initEmbeddingClient();
+        checkEmbeddingCompatibility();
+    });
+    
+    $("#voyageai_embedding_url").on("input", function() {
+        saveSetting("embedding_url", $(this).val());
+        initEmbeddingClient();
+    });
+    
+    $("#voyageai_embedding_key").on("input", function() {
+        saveSetting("embedding_key", $(this).val());
+        initEmbeddingClient();
+    });
+    
+    $("#voyageai_embedding_model").on("change", function() {
+        saveSetting("embedding_model", $(this).val());
+        initEmbeddingClient();
+        checkEmbeddingCompatibility();
+    });
+    
+    $("#voyageai_auto_reembed").on("change", function() {
+        saveSetting("auto_reembed", $(this).prop("checked"));
     });
     
     // Behavior settings
@@ -193,6 +437,12 @@ function bindUIEvents() {
         saveSetting("auto_retrieve", $(this).prop("checked"));
     });
     
+    $("#voyageai_memory_scope").on("change", async function() {
+        saveSetting("memory_scope", $(this).val());
+        await updateMemoryStats();
+        await checkEmbeddingCompatibility();
+    });
+    
     $("#voyageai_top_k").on("input", function() {
         saveSetting("top_k", parseInt($(this).val()) || 5);
     });
@@ -208,6 +458,239 @@ function bindUIEvents() {
     $("#voyageai_injection_depth").on("input", function() {
         saveSetting("injection_depth", parseInt($(this).val()) || 0);
     });
+    
+    $("#voyageai_token_budget").on("input", function() {
+        saveSetting("token_budget", Math.max(0, parseInt($(this).val()) || 0));
+    });
+    
+    $("#voyageai_budget_overflow").on("change", function() {
+        saveSetting("budget_overflow", $(this).val());
+    });
+
+    // Query construction settings
+    $("#voyageai_query_turns").on("input", function() {
+        saveSetting("query_turns", Math.max(1, parseInt($(this).val()) || 1));
+    });
+    
+    $("#voyageai_query_user_weight").on("input", function() {
+        const value = parseFloat($(this).val());
+        saveSetting("query_user_weight", isNaN(value) ? 1 : Math.max(0, value));
+    });
+    
+    $("#voyageai_query_assistant_weight").on("input", function() {
+        const value = parseFloat($(this).val());
+        saveSetting("query_assistant_weight", isNaN(value) ? 0.5 : Math.max(0, value));
+    });
+    
+    $("#voyageai_query_recency_decay").on("input", function() {
+        const value = parseFloat($(this).val());
+        saveSetting("query_recency_decay", isNaN(value) ? 0.8 : Math.min(1, Math.max(0, value)));
+    });
+    
+    $("#voyageai_query_rewrite").on("change", function() {
+        saveSetting("query_rewrite", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_query_hyde").on("change", function() {
+        saveSetting("query_hyde", $(this).prop("checked"));
+    });
+    
+    // Ranking settings
+    $("#voyageai_structured_extraction").on("change", function() {
+        saveSetting("structured_extraction", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_rate_importance").on("change", function() {
+        saveSetting("rate_importance", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_ranking_recency_weight").on("input", function() {
+        saveSetting("ranking_recency_weight", Math.max(0, parseFloat($(this).val()) || 0));
+    });
+    
+    $("#voyageai_ranking_half_life_days").on("input", function() {
+        saveSetting("ranking_half_life_days", Math.max(1, parseFloat($(this).val()) || 30));
+    });
+    
+    $("#voyageai_ranking_importance_weight").on("input", function() {
+        saveSetting("ranking_importance_weight", Math.max(0, parseFloat($(this).val()) || 0));
+    });
+    
+    $("#voyageai_ranking_access_weight").on("input", function() {
+        saveSetting("ranking_access_weight", Math.max(0, parseFloat($(this).val()) || 0));
+    });
+    
+    $("#voyageai_mmr_enabled").on("change", function() {
+        saveSetting("mmr_enabled", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_mmr_lambda").on("input", function() {
+        const value = parseFloat($(this).val());
+        saveSetting("mmr_lambda", isNaN(value) ? 0.7 : Math.min(1, Math.max(0, value)));
+    });
+    
+    // Group chat settings
+    $("#voyageai_group_member_banks").on("change", function() {
+        saveSetting("group_member_banks", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_group_shared_bank").on("change", function() {
+        saveSetting("group_shared_bank", $(this).prop("checked"));
+    });
+    
+    // Consolidation settings
+    $("#voyageai_consolidation_enabled").on("change", function() {
+        saveSetting("consolidation_enabled", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_consolidation_trigger").on("input", function() {
+        saveSetting("consolidation_trigger", Math.max(2, parseInt($(this).val()) || 20));
+    });
+    
+    $("#voyageai_consolidation_scene_size").on("input", function() {
+        saveSetting("consolidation_scene_size", Math.max(2, parseInt($(this).val()) || 12));
+    });
+    
+    $("#voyageai_consolidation_gap_minutes").on("input", function() {
+        saveSetting("consolidation_gap_minutes", Math.max(1, parseInt($(this).val()) || 60));
+    });
+    
+    $("#voyageai_consolidation_shift_threshold").on("input", function() {
+        const value = parseFloat($(this).val());
+        saveSetting("consolidation_shift_threshold", isNaN(value) ? 0.3 : Math.min(1, Math.max(0, value)));
+    });
+    
+    // World Info promotion settings
+    $("#voyageai_lore_target").on("change", function() {
+        saveSetting("lore_target", $(this).val());
+    });
+    
+    $("#voyageai_lore_auto").on("change", function() {
+        saveSetting("lore_auto", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_lore_auto_trigger").on("input", function() {
+        saveSetting("lore_auto_trigger", Math.max(2, parseInt($(this).val()) || 30));
+    });
+    
+    $("#voyageai_lore_min_importance").on("input", function() {
+        saveSetting("lore_min_importance", Math.min(10, Math.max(1, parseInt($(this).val()) || 7)));
+    });
+    
+    // Knowledge graph settings
+    $("#voyageai_graph_enabled").on("change", function() {
+        saveSetting("graph_enabled", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_graph_expansion").on("input", function() {
+        saveSetting("graph_expansion", Math.min(20, Math.max(0, parseInt($(this).val()) || 0)));
+    });
+    
+    // Contradiction detection settings
+    $("#voyageai_supersede_enabled").on("change", function() {
+        saveSetting("supersede_enabled", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_supersede_threshold").on("input", function() {
+        saveSetting("supersede_threshold", parseFloat($(this).val()) || 0.8);
+    });
+    
+    $("#voyageai_supersede_mode").on("change", function() {
+        saveSetting("supersede_mode", $(this).val());
+    });
+    
+    $("#voyageai_supersede_penalty").on("input", function() {
+        saveSetting("supersede_penalty", Math.min(1, Math.max(0, parseFloat($(this).val()) || 0)));
+    });
+    
+    // Hybrid search settings
+    $("#voyageai_hybrid_enabled").on("change", function() {
+        saveSetting("hybrid_enabled", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_hybrid_weight").on("input", function() {
+        const value = parseFloat($(this).val());
+        saveSetting("hybrid_weight", isNaN(value) ? 0.3 : Math.min(1, Math.max(0, value)));
+    });
+    
+    // Rerank settings
+    $("#voyageai_rerank_enabled").on("change", function() {
+        saveSetting("rerank_enabled", $(this).prop("checked"));
+    });
+    
+    $("#voyageai_rerank_provider").on("change", function() {
+        saveSetting("rerank_provider", $(this).val());
+        initRerankerClient();
+        updateRerankProviderVisibility();
+    });
+    
+    $("#voyageai_rerank_model").on("input", function() {
+        saveSetting("rerank_model", $(this).val());
+        initRerankerClient();
+    });
+    
+    $("#voyageai_rerank_url").on("input", function() {
+        saveSetting("rerank_url", $(this).val());
+        initRerankerClient();
+    });
+    
+    $("#voyageai_rerank_key").on("input", function() {
+        saveSetting("rerank_key", $(this).val());
+        initRerankerClient();
+    });
+    
+    $("#voyageai_rerank_candidates").on("input", function() {
+        saveSetting("rerank_candidates", parseInt($(this).val()) || 20);
+    });
+    
+    $("#voyageai_rerank_threshold").on("input", function() {
+        saveSetting("rerank_threshold", parseFloat($(this).val()) || 0);
+    });
+    
+    // Large bank search settings
+    $("#voyageai_ann_enabled").on("change", function() {
+        saveSetting("ann_enabled", $(this).prop("checked"));
+        initVectorIndex();
+    });
+    
+    $("#voyageai_ann_min_size").on("change", function() {
+        const minSize = parseInt($(this).val()) || 2000;
+        saveSetting("ann_min_size", minSize);
+        memoryStorage.vectorIndex?.setMinSize(minSize);
+    });
+    
+    $("#voyageai_duplicate_threshold").on("input", function() {
+        const value = parseFloat($(this).val());
+        const threshold = isNaN(value) ? 0.95 : Math.min(1, Math.max(0, value));
+        saveSetting("duplicate_threshold", threshold);
+        memoryStorage.setDuplicateThreshold(threshold);
+    });
+    
+    $("#voyageai_embedding_format").on("change", function() {
+        saveSetting("embedding_format", $(this).val());
+        memoryStorage.setEmbeddingFormat($(this).val());
+        initEmbeddingClient();
+    });
+    
+    $("#voyageai_storage_backend").on("change", async function() {
+        const value = $(this).val();
+        const previousBackend = memoryStorage.backend;
+        const nextBackend = createBackend(value);
+        
+        if (confirm("Copy existing memories to the new storage backend?")) {
+            try {
+                const copied = await copyBanks(previousBackend, nextBackend);
+                toastr.success(`Copied ${copied.length} memory banks`, "VoyageAI Memory");
+            } catch (error) {
+                console.error('[VoyageAI Memory] Backend copy error:', error);
+                toastr.error(`Failed to copy memories: ${error.message}`, "VoyageAI Memory");
+            }
+        }
+        
+        saveSetting("storage_backend", value);
+        memoryStorage.setBackend(nextBackend);
+        await updateMemoryStats();
+    });
 
     // Message summarization filter settings
     $("#voyageai_summarize_bot").on("change", function() {
@@ -279,15 +762,48 @@ function bindUIEvents() {
     // Action buttons
     $("#voyageai_test_summarization").on("click", testSummarizationConnection);
     $("#voyageai_test_embedding").on("click", testEmbeddingConnection);
-    $("#voyageai_store_current").on("click", storeCurrentChat);
+    $("#voyageai_store_current").on("click", () => storeCurrentChat());
     $("#voyageai_clear_memories").on("click", clearCurrentMemories);
     $("#voyageai_export_memories").on("click", exportMemories);
     $("#voyageai_import_memories").on("click", () => $("#voyageai_import_file").click());
     $("#voyageai_import_file").on("change", importMemories);
     $("#voyageai_view_memories").on("click", showMemoryViewer);
+    $("#voyageai_retry_failed").on("click", retryFailedJobs);
+    $("#voyageai_reembed_bank").on("click", () => startReembed(getActiveBankId(), { manual: true }));
+    $("#voyageai_reembed_cancel").on("click", cancelReembed);
+    $("#voyageai_consolidate").on("click", () => startConsolidation(getActiveBankId(), { manual: true }));
     
     // Modal events
     $("#voyageai_close_viewer, #voyageai_close_viewer_btn").on("click", hideMemoryViewer);
+    $("#voyageai_find_duplicates").on("click", showDuplicateProposals);
+    bindViewerEvents();
+    
+    // Knowledge graph panel
+    $("#voyageai_view_graph").on("click", () => showGraphPanel(getActiveBankId()));
+    $("#voyageai_viewer_graph").on("click", () => showGraphPanel(viewerState?.characterId));
+    $("#voyageai_close_graph, #voyageai_close_graph_btn").on("click", hideGraphPanel);
+    bindGraphEvents();
+    
+    // Retrieval inspector
+    $("#voyageai_open_inspector").on("click", showInspector);
+    $("#voyageai_close_inspector, #voyageai_close_inspector_btn").on("click", hideInspector);
+    $("#voyageai_inspector_rerun").on("click", rerunRetrieval);
+    $("#voyageai_inspector_trace").on("change", function() {
+        const trace = retrievalLog.get(parseInt($(this).val()));
+        if (!trace) return;
+        renderTrace(trace);
+        prefillRerun(trace);
+    });
+    $("#voyageai_inspector_clear").on("click", function() {
+        retrievalLog.clear();
+        refreshInspector();
+    });
+    
+    $("#voyageai_inspector_history").on("input", function() {
+        const limit = Math.max(1, parseInt($(this).val()) || 20);
+        saveSetting("inspector_history", limit);
+        retrievalLog.setLimit(limit);
+    });
 }
 
 /**
@@ -300,9 +816,17 @@ function bindSTEvents() {
     // Message sent (from user)
     eventSource.on(event_types.MESSAGE_SENT, onMessageSent);
     
+    // Message edited, deleted or swiped - keep linked memories in sync
+    eventSource.on(event_types.MESSAGE_EDITED, onMessageEdited);
+    eventSource.on(event_types.MESSAGE_DELETED, onMessageDeleted);
+    eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped);
+    
     // Chat changed
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
     
+    // Group member chosen to speak next - its memories are retrieved
+    eventSource.on(event_types.GROUP_MEMBER_DRAFTED, onGroupMemberDrafted);
+    
     // Before prompt generation - inject memories
     eventSource.on(event_types.GENERATE_BEFORE_COMBINE_PROMPTS, onBeforePromptGeneration);
 }
@@ -326,7 +850,7 @@ async function onMessageReceived(messageId) {
     
     if (!message || message.is_system) return;
     
-    await processAndStoreMessage(message.mes, "assistant", context);
+    processAndStoreMessage(message.mes, "assistant", context, { messageIndex: messageId });
 }
 
 /**
@@ -348,111 +872,388 @@ async function onMessageSent(messageId) {
     
     if (!message || message.is_system) return;
     
-    await processAndStoreMessage(message.mes, "user", context);
+    processAndStoreMessage(message.mes, "user", context, { messageIndex: messageId });
 }
 
 /**
- * Handle chat/character change
+ * Check whether a message should be summarized under the current role filters
+ * @param {object} message - SillyTavern chat message
+ * @returns {boolean} True if the message's role is enabled
  */
-async function onChatChanged() {
+function shouldSummarizeMessage(message) {
+    const settings = getSettings();
+    return message.is_user ? settings.summarize_user !== false : settings.summarize_bot !== false;
+}
+
+/**
+ * Handle edited messages: re-summarize and re-embed the linked memory
+ * @param {number} messageId - Message index
+ */
+async function onMessageEdited(messageId) {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.auto_store) return;
+    
     const context = getContext();
+    const message = context.chat[messageId];
     
-    if (context.characterId) {
-        currentCharacterId = context.characterId;
-        memoryStorage.invalidateCache(currentCharacterId);
-        await updateMemoryStats();
-        log(`Switched to character: ${context.name2}`);
-    }
+    if (!message || message.is_system || !shouldSummarizeMessage(message)) return;
+    
+    const role = message.is_user ? "user" : "assistant";
+    processAndStoreMessage(message.mes, role, context, { messageIndex: messageId, silent: true });
 }
 
 /**
- * Inject memories before prompt generation
- * @param {object} data - Prompt generation data
+ * Handle deleted messages: remove memories whose source message is gone
+ * from the current chat
  */
-async function onBeforePromptGeneration(data) {
+async function onMessageDeleted() {
     const settings = getSettings();
-    if (!settings.enabled || !settings.auto_retrieve) return;
+    if (!settings.enabled) return;
     
     const context = getContext();
-    if (!context.characterId) return;
+    const banks = getChatBanks(context);
+    if (banks.length === 0 || !context.chat) return;
     
     try {
-        // Get the last user message as query
-        const lastUserMessage = [...context.chat]
-            .reverse()
-            .find(m => m.is_user && !m.is_system);
-        
-        if (!lastUserMessage) return;
+        const sources = context.chat.map((m, i) => createMessageSource(context.chatId, i, m));
+        let totalDeleted = 0;
         
-        const relevantMemories = await retrieveRelevantMemories(lastUserMessage.mes);
-        
-        if (relevantMemories.length > 0) {
-            const memoryText = formatMemoriesForInjection(relevantMemories);
-            
-            // Determine injection method
-            const position = settings.injection_position;
-            const depth = settings.injection_depth || 0;
+        for (const bank of banks) {
+            const memories = await memoryStorage.getMemories(bank);
+            let reindexed = false;
             
-            // Add to extension prompts with depth support
-            if (data.extensionPrompts) {
-                const promptEntry = {
-                    identifier: 'voyageai_memories',
-                    content: memoryText,
-                    position: position
-                };
+            // Indices shift after a deletion; refresh them for the surviving links
+            for (const memory of memories) {
+                const source = memory.metadata?.source;
+                if (!source || source.chat_id !== context.chatId) continue;
                 
-                // If depth is specified and position supports it, add depth
-                if (depth > 0) {
-                    promptEntry.depth = depth;
-                    promptEntry.position = 'atDepth'; // Override to use depth-based injection
+                const current = sources.find((s, i) => isMemoryOfMessage(memory, s, context.chat[i].mes));
+                if (current && current.message_index !== source.message_index) {
+                    source.message_index = current.message_index;
+                    reindexed = true;
                 }
-                
-                data.extensionPrompts.push(promptEntry);
             }
             
-            log(`Injected ${relevantMemories.length} memories into context (position: ${position}, depth: ${depth})`);
+            const deleted = await memoryStorage.deleteWhere(bank, memory => {
+                const source = memory.metadata?.source;
+                return !!source && source.chat_id === context.chatId
+                    && !sources.some((s, i) => isMemoryOfMessage(memory, s, context.chat[i].mes));
+            });
+            
+            if (reindexed && deleted === 0) {
+                await memoryStorage.saveMemories(bank, await memoryStorage.loadMemories(bank));
+            }
+            totalDeleted += deleted;
+        }
+        
+        if (totalDeleted > 0) {
+            log(`Removed ${totalDeleted} memories of deleted messages`);
+            await updateMemoryStats();
         }
     } catch (error) {
-        console.error('[VoyageAI Memory] Error injecting memories:', error);
+        console.error('[VoyageAI Memory] Error syncing deleted messages:', error);
     }
 }
 
 /**
- * Get recent memory summaries for history context
- * @param {string} characterId - Character ID
- * @param {number} count - Number of recent summaries to retrieve
- * @returns {Promise<string[]>} Array of recent summaries
+ * Handle swipes: forget memories of other swipes of the message and store
+ * the one now shown. A freshly generated swipe arrives via MESSAGE_RECEIVED.
+ * @param {number} messageId - Message index
  */
-async function getRecentSummaries(characterId, count = 3) {
+async function onMessageSwiped(messageId) {
+    const settings = getSettings();
+    if (!settings.enabled) return;
+    
+    const context = getContext();
+    const message = context.chat[messageId];
+    
+    const banks = getChatBanks(context);
+    if (banks.length === 0 || !message || message.is_system) return;
+    
     try {
-        const memories = await memoryStorage.getMemories(characterId);
-        if (memories.length === 0) return [];
+        const source = createMessageSource(context.chatId, messageId, message);
+        let deleted = 0;
         
-        // Sort by timestamp descending and take the most recent
-        const recent = [...memories]
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, count)
-            .reverse() // Put in chronological order
-            .map(m => m.summary);
+        for (const bank of banks) {
+            deleted += await memoryStorage.deleteWhere(bank, memory =>
+                isMemoryOfMessage(memory, source, message.mes) && memory.metadata.source.swipe_id !== source.swipe_id
+            );
+        }
         
-        return recent;
+        if (deleted > 0) {
+            log(`Removed ${deleted} memories of rejected swipes`);
+            await updateMemoryStats();
+        }
+        
+        if (!settings.auto_store || !shouldSummarizeMessage(message)) return;
+        
+        let alreadyStored = false;
+        for (const bank of banks) {
+            const memories = await memoryStorage.getMemories(bank);
+            alreadyStored ||= memories.some(m => isMemoryOfMessage(m, source, message.mes));
+        }
+        
+        // Short text here means the swipe is still being generated
+        if (!alreadyStored) {
+            const role = message.is_user ? "user" : "assistant";
+            processAndStoreMessage(message.mes, role, context, { messageIndex: messageId, silent: true });
+        }
     } catch (error) {
-        console.error('[VoyageAI Memory] Error getting recent summaries:', error);
-        return [];
+        console.error('[VoyageAI Memory] Error syncing swiped message:', error);
     }
 }
 
 /**
- * Get recent raw chat messages for history context
- * @param {object} context - SillyTavern context
- * @param {number} count - Number of recent messages to retrieve
- * @param {boolean} includeBot - Include bot/assistant messages
- * @param {boolean} includeUser - Include user messages
- * @param {number} excludeIndex - Message index to exclude (the current message being processed)
- * @returns {Array<{role: string, name: string, content: string}>} Array of recent messages
+ * Handle chat/character change
  */
-function getRecentRawMessages(context, count = 5, includeBot = true, includeUser = true, excludeIndex = -1) {
-    if (!context.chat || context.chat.length === 0) return [];
+async function onChatChanged() {
+    const context = getContext();
+    groupSpeakerId = null;
+    
+    const bankId = getActiveBankId(context);
+    if (bankId) {
+        currentCharacterId = bankId;
+        getChatBanks(context).forEach(bank => memoryStorage.invalidateCache(bank));
+        await updateMemoryStats();
+        await checkEmbeddingCompatibility();
+        log(context.groupId ? `Switched to group: ${context.groupId}` : `Switched to character: ${context.name2}`);
+    }
+}
+
+/**
+ * Remember which group member generates next, so its own memories are retrieved
+ * @param {string} characterId - Drafted member's character ID
+ */
+function onGroupMemberDrafted(characterId) {
+    groupSpeakerId = characterId ?? null;
+}
+
+/**
+ * Get the bank shown and managed in the UI: the bank of the memory scope
+ * setting (for chat and character scope the current character's, or the
+ * shared bank in a group chat)
+ * @param {object} context - SillyTavern context
+ * @returns {string|null} Bank ID
+ */
+function getActiveBankId(context = getContext()) {
+    return getScopeBankId(getSettings().memory_scope || "character", context);
+}
+
+/**
+ * Get the bank of a memory scope in the current context
+ * @param {string} scope - Memory scope (see MEMORY_SCOPES)
+ * @param {object} context - SillyTavern context
+ * @returns {string|null} Bank ID
+ */
+function getScopeBankId(scope, context = getContext()) {
+    return getScopeBank(scope, {
+        characterBank: context.groupId ? getGroupBankId(context.groupId) : context.characterId,
+        persona: user_avatar || null
+    });
+}
+
+/**
+ * Get the chat retrieval is limited to: the current chat in chat scope
+ * @param {object} settings - Extension settings
+ * @param {object} context - SillyTavern context
+ * @returns {string|null} Chat ID, or null for no limit
+ */
+function getScopeChatId(settings = getSettings(), context = getContext()) {
+    return settings.memory_scope === "chat" ? context.chatId ?? null : null;
+}
+
+/**
+ * Get the character about to speak: the drafted group member in a group
+ * chat, otherwise the current character
+ * @param {object} context - SillyTavern context
+ * @returns {string|null} Character ID
+ */
+function getSpeakerId(context = getContext()) {
+    return context.groupId ? (groupSpeakerId ?? context.characterId ?? null) : context.characterId;
+}
+
+/**
+ * Get the banks searched for the next generation
+ * @param {object} context - SillyTavern context
+ * @returns {string[]} Bank IDs
+ */
+function getContextBanks(context = getContext()) {
+    const settings = getSettings();
+    if (spansCharacters(settings.memory_scope)) {
+        const bank = getActiveBankId(context);
+        return bank ? [bank] : [];
+    }
+    
+    if (!context.groupId && !context.characterId) return [];
+    
+    return getRetrievalBanks({
+        groupId: context.groupId || null,
+        speakerId: getSpeakerId(context),
+        sharedBank: settings.group_shared_bank !== false,
+        memberBanks: settings.group_member_banks !== false
+    });
+}
+
+/**
+ * Get every bank the current chat stores memories in, for keeping them in
+ * sync with edits, deletions and swipes
+ * @param {object} context - SillyTavern context
+ * @returns {string[]} Bank IDs
+ */
+function getChatBanks(context = getContext()) {
+    const banks = [];
+    
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        banks.push(getGroupBankId(context.groupId), ...getGroupMemberIds(group, context.characters));
+    } else if (context.characterId) {
+        banks.push(context.characterId);
+    }
+    
+    // Persona and global scope store this chat's messages in their own bank
+    const scopeBank = getActiveBankId(context);
+    if (scopeBank && !banks.includes(scopeBank)) {
+        banks.push(scopeBank);
+    }
+    
+    return banks;
+}
+
+/**
+ * Identify who wrote a message. Group chat messages carry their own
+ * speaker, whoever the current character is.
+ * @param {object|null} message - SillyTavern chat message
+ * @param {object} context - SillyTavern context
+ * @returns {{characterId: string|null, name: string}} Speaker
+ */
+function getMessageSpeaker(message, context) {
+    if (!context.groupId || !message) {
+        return { characterId: context.characterId, name: message?.is_user ? context.name1 : context.name2 };
+    }
+    
+    if (message.is_user) {
+        return { characterId: null, name: message.name || context.name1 };
+    }
+    
+    return {
+        characterId: findCharacterId(context.characters, { avatar: message.original_avatar, name: message.name }),
+        name: message.name || context.name2
+    };
+}
+
+/**
+ * Inject memories before prompt generation
+ * @param {object} data - Prompt generation data
+ */
+async function onBeforePromptGeneration(data) {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.auto_retrieve) return;
+    
+    const context = getContext();
+    const banks = getContextBanks(context);
+    if (banks.length === 0) return;
+    
+    try {
+        // Query with the last few turns, so short replies like "what about her?" keep their context
+        const turns = getQueryTurns(context.chat, settings.query_turns || 1, {
+            userName: context.name1,
+            characterName: context.name2
+        });
+        
+        const speakerId = getSpeakerId(context);
+        const trace = {
+            characterId: getActiveBankId(context),
+            characterName: context.characters?.[speakerId]?.name || context.name2,
+            banks,
+            chatId: getScopeChatId(settings, context),
+            turns,
+            settings: snapshotSettings(settings),
+            candidates: []
+        };
+        // Pinned memories are injected every turn; retrieval needs a user turn to search with
+        const pinned = await getPinnedMemories(banks, trace.chatId);
+        const hasQuery = turns.some(t => t.role === 'user');
+        if (!hasQuery && pinned.length === 0) return;
+        
+        const relevantMemories = hasQuery
+            ? await retrieveRelevantMemories(turns, { banks, chatId: trace.chatId, trace })
+            : [];
+        
+        // Determine injection method
+        const position = settings.injection_position;
+        const depth = settings.injection_depth || 0;
+        
+        const injection = relevantMemories.length > 0 || pinned.length > 0
+            ? await formatMemoriesForInjection(relevantMemories, settings, banks, pinned)
+            : { text: "", count: 0, tokens: 0, items: [] };
+        recordInjection(trace, { ...injection, position, depth });
+        retrievalLog.add(trace);
+        refreshInspector();
+        
+        if (injection.count > 0) {
+            const { text: memoryText, count, tokens } = injection;
+            
+            // Add to extension prompts with depth support
+            if (data.extensionPrompts) {
+                const promptEntry = {
+                    identifier: 'voyageai_memories',
+                    content: memoryText,
+                    position: position
+                };
+                
+                // If depth is specified and position supports it, add depth
+                if (depth > 0) {
+                    promptEntry.depth = depth;
+                    promptEntry.position = 'atDepth'; // Override to use depth-based injection
+                }
+                
+                data.extensionPrompts.push(promptEntry);
+            }
+            
+            log(`Injected ${count} memories (${tokens} tokens) into context (position: ${position}, depth: ${depth})`);
+        }
+    } catch (error) {
+        console.error('[VoyageAI Memory] Error injecting memories:', error);
+    }
+}
+
+/**
+ * Get recent memory summaries for history context
+ * @param {string} characterId - Character ID
+ * @param {number} count - Number of recent summaries to retrieve
+ * @returns {Promise<string[]>} Array of recent summaries
+ */
+async function getRecentSummaries(characterId, count = 3) {
+    try {
+        const memories = await memoryStorage.getMemories(characterId);
+        if (memories.length === 0) return [];
+        
+        // Sort by timestamp descending and take the most recent
+        const recent = memories
+            .filter(m => getMemoryLevel(m) === "message")
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, count)
+            .reverse() // Put in chronological order
+            .map(m => m.summary);
+        
+        return recent;
+    } catch (error) {
+        console.error('[VoyageAI Memory] Error getting recent summaries:', error);
+        return [];
+    }
+}
+
+/**
+ * Get recent raw chat messages for history context
+ * @param {object} context - SillyTavern context
+ * @param {number} count - Number of recent messages to retrieve
+ * @param {boolean} includeBot - Include bot/assistant messages
+ * @param {boolean} includeUser - Include user messages
+ * @param {number} excludeIndex - Message index to exclude (the current message being processed)
+ * @returns {Array<{role: string, name: string, content: string}>} Array of recent messages
+ */
+function getRecentRawMessages(context, count = 5, includeBot = true, includeUser = true, excludeIndex = -1) {
+    if (!context.chat || context.chat.length === 0) return [];
     
     const messages = [];
     
@@ -476,407 +1277,2740 @@ function getRecentRawMessages(context, count = 5, includeBot = true, includeUser
         
         messages.push({
             role: isUser ? 'user' : 'assistant',
-            name: isUser ? (context.name1 || 'User') : (context.name2 || 'Character'),
+            name: isUser ? (context.name1 || 'User') : (msg.name || context.name2 || 'Character'),
             content: msg.mes
         });
     }
     
-    // Reverse to get chronological order
-    return messages.reverse();
+    // Reverse to get chronological order
+    return messages.reverse();
+}
+
+/**
+ * Queue a message for summarization, embedding and storage
+ * @param {string} messageText - The message text
+ * @param {string} role - 'user' or 'assistant'
+ * @param {object} context - SillyTavern context
+ * @param {object} options - Queue options
+ * @param {boolean} options.includeHistory - Capture raw chat history for the summarizer
+ * @param {boolean} options.silent - Suppress the per-message success toast
+ * @param {number} options.messageIndex - Index of the message in the chat, links the memory to it
+ * @returns {object|null} The queued job, or null if skipped
+ */
+function processAndStoreMessage(messageText, role, context, { includeHistory = true, silent = false, messageIndex = -1 } = {}) {
+    if (!messageText || messageText.trim().length < 20) {
+        log("Message too short, skipping");
+        return null;
+    }
+    
+    const settings = getSettings();
+    const speaker = getMessageSpeaker(messageIndex >= 0 ? context.chat[messageIndex] : null, context);
+    const scopeBank = spansCharacters(settings.memory_scope) ? getActiveBankId(context) : null;
+    const banks = scopeBank ? [scopeBank] : getStorageBanks({
+        groupId: context.groupId || null,
+        speakerId: speaker.characterId,
+        role,
+        sharedBank: settings.group_shared_bank !== false,
+        memberBanks: settings.group_member_banks !== false
+    });
+    
+    if (banks.length === 0) {
+        log("No active character, skipping");
+        return null;
+    }
+    
+    // Capture raw messages now; the chat may have moved on by the time the job runs
+    let rawHistory = [];
+    if (includeHistory && settings.include_raw_history) {
+        // Find the index of the current message to exclude it
+        const currentMsgIndex = messageIndex >= 0 ? messageIndex : context.chat.findIndex(m => m.mes === messageText);
+        rawHistory = getRecentRawMessages(
+            context,
+            settings.raw_history_count || 5,
+            settings.raw_include_bot !== false,
+            settings.raw_include_user !== false,
+            currentMsgIndex
+        );
+    }
+    
+    const job = processingQueue.enqueue({
+        messageText: messageText,
+        role: role,
+        characterId: banks[0],
+        banks: banks,
+        characterName: context.groupId && role === "assistant" ? speaker.name : context.name2,
+        userName: (context.groupId && role === "user" ? speaker.name : context.name1) || 'User',
+        speaker: context.groupId ? speaker.name : null,
+        chatId: context.chatId,
+        includeHistory: includeHistory,
+        rawHistory: rawHistory,
+        source: messageIndex >= 0 ? createMessageSource(context.chatId, messageIndex, context.chat[messageIndex]) : null,
+        silent: silent
+    });
+    
+    log(`Queued ${role} message (job ${job.id})`);
+    return job;
+}
+
+/**
+ * Process a queued message job
+ * @param {object} job - Queue job
+ * @param {function(string): void} setState - Updates the job state
+ * @returns {Promise<void>}
+ */
+async function processQueueJob(job, setState) {
+    const settings = getSettings();
+    const payload = job.payload;
+    // Jobs queued before group support name a single bank
+    const banks = payload.banks || [payload.characterId];
+    
+    if (isSourceStale(payload.source, payload.messageText)) {
+        log(`Skipping job ${job.id}: source message was edited, swiped or deleted since it was queued`);
+        return;
+    }
+    
+    // Get recent summaries for history context if enabled
+    let summaryHistory = [];
+    if (payload.includeHistory && settings.include_history) {
+        // The last bank is the group's shared one, which has the whole conversation
+        summaryHistory = await getRecentSummaries(banks[banks.length - 1], settings.history_count || 3);
+    }
+    
+    // Step 1: Summarize with full context
+    setState(JOB_STATES.SUMMARIZING);
+    const summaryContext = {
+        role: payload.role,
+        characterName: payload.characterName,
+        userName: payload.userName,
+        wordLimit: settings.word_limit || 50,
+        summaryHistory: summaryHistory,
+        rawHistory: payload.rawHistory
+    };
+    // Structured mode also extracts participants, location, objects, emotion and in-story time
+    const { summary, metadata: extracted } = settings.structured_extraction
+        ? await summarizerClient.summarizeStructured(payload.messageText, summaryContext)
+        : { summary: await summarizerClient.summarize(payload.messageText, summaryContext), metadata: {} };
+    
+    if (!summary) {
+        throw new Error("Failed to generate summary");
+    }
+    
+    let importance = extracted.importance ?? 0.5;
+    if (settings.rate_importance && extracted.importance === undefined) {
+        try {
+            importance = await summarizerClient.rateImportance(summary);
+        } catch (error) {
+            console.error('[VoyageAI Memory] Importance rating failed:', error);
+        }
+    }
+    
+    // Step 2: Generate embedding
+    setState(JOB_STATES.EMBEDDING);
+    const embedding = await embeddingClient.embedDocument(summary);
+    
+    if (!embedding || embedding.length === 0) {
+        throw new Error("Failed to generate embedding");
+    }
+    
+    // Step 3: Store memory
+    const { provider, model } = embeddingClient.getDescriptor();
+    const memory = createMemory(payload.messageText, summary, embedding, {
+        ...extracted,
+        role: payload.role,
+        chatId: payload.chatId,
+        importance,
+        source: payload.source,
+        ...(payload.speaker ? { speaker: payload.speaker } : {}),
+        embedding_provider: provider,
+        embedding_model: model
+    });
+    
+    // Replaces the memory of an earlier version (edit or swipe) of the same message
+    const added = [];
+    const stored = [];
+    for (const bank of banks) {
+        const result = await memoryStorage.upsertBySource(bank, { ...memory, metadata: { ...memory.metadata } });
+        // A duplicate is another message's memory: it already has its graph and supersede links
+        if (!result.duplicate) {
+            added.push(bank);
+            stored.push(result.memory);
+        }
+    }
+    
+    if (added.length === 0) {
+        log(`Memory for ${payload.role} duplicates a stored one: ${summary.substring(0, 50)}...`);
+    } else {
+        log(`Stored memory for ${payload.role}: ${summary.substring(0, 50)}...`);
+    }
+    if (settings.graph_enabled && added.length > 0) {
+        await updateGraphs(added, stored, payload.userName);
+    }
+    if (settings.supersede_enabled && added.length > 0) {
+        await checkSuperseded(added, stored, payload.userName);
+    }
+    await updateMemoryStats();
+    banks.forEach(bank => maybeConsolidate(bank)
+        .catch(error => console.error('[VoyageAI Memory] Consolidation error:', error)));
+    maybePromoteLore(banks[0])
+        .catch(error => console.error('[VoyageAI Memory] World Info promotion error:', error));
+    
+    if (!payload.silent && added.length === 0) {
+        toastr.info("Already remembered", "VoyageAI Memory");
+    } else if (!payload.silent) {
+        toastr.success("Memory stored successfully", "VoyageAI Memory");
+    }
+}
+
+/**
+ * Check whether a queued job's source message no longer has the text it was
+ * queued with: it was edited, swiped or deleted since. Only checked while
+ * its chat is open.
+ * @param {object|null} source - Source link from the job payload
+ * @param {string} messageText - Message text the job was queued with
+ * @returns {boolean} True if the job should be skipped
+ */
+function isSourceStale(source, messageText) {
+    if (!source) return false;
+    
+    const context = getContext();
+    if (!context.chat || context.chatId !== source.chat_id) return false;
+    
+    const index = context.chat.findIndex((m, i) =>
+        isSameSourceMessage(createMessageSource(context.chatId, i, m), source)
+    );
+    
+    if (index < 0) return true;
+    
+    const message = context.chat[index];
+    return (message.swipe_id ?? 0) !== source.swipe_id || message.mes !== messageText;
+}
+
+/**
+ * Reflect queue progress in the processing indicator and stats panel
+ * @param {ProcessingQueue} queue - Processing queue
+ */
+function onQueueChanged(queue) {
+    const counts = queue.getCounts();
+    const activeJob = queue.getActiveJob();
+    const remaining = counts[JOB_STATES.PENDING] + (activeJob ? 1 : 0);
+    
+    if (activeJob) {
+        const step = activeJob.state === JOB_STATES.SUMMARIZING ? "Summarizing" : "Generating embedding";
+        showProcessingIndicator(remaining > 1 ? `${step}... (${remaining} queued)` : `${step}...`);
+    } else {
+        hideProcessingIndicator();
+    }
+    
+    let text = `${remaining} pending`;
+    if (counts[JOB_STATES.FAILED] > 0) {
+        text += `, ${counts[JOB_STATES.FAILED]} failed`;
+    }
+    $("#voyageai_queue_status").text(text);
+}
+
+/**
+ * Report a job that ran out of retry attempts
+ * @param {object} job - Failed job
+ */
+function onQueueJobFailed(job) {
+    toastr.error(`Failed to process message: ${job.error}`, "VoyageAI Memory");
+}
+
+/**
+ * Requeue failed jobs
+ */
+function retryFailedJobs() {
+    const count = processingQueue.retryFailed();
+    toastr.info(count > 0 ? `Retrying ${count} failed messages` : "No failed messages", "VoyageAI Memory");
+}
+
+/**
+ * Build the query variants to search with: the weighted embedding of the
+ * recent turns, plus an LLM-rewritten query and a hypothetical memory
+ * (HyDE) when enabled. A failed LLM step is skipped, not fatal.
+ * @param {string|Array<{role: string, name: string, content: string}>} query - Query text or conversation turns
+ * @param {object} settings - Extension settings
+ * @returns {Promise<Array<{label: string, text: string, embedding: number[]}>>} Query variants
+ */
+async function buildQueryVariants(query, settings = getSettings()) {
+    const turns = typeof query === "string" ? [{ role: "user", name: "User", content: query }] : query;
+    const transcript = formatTurns(turns);
+    const variants = [];
+    
+    // One query embedding per turn, averaged by role and recency weight
+    const { embeddings } = await embeddingClient.embed(turns.map(t => t.content), "query");
+    const weights = getTurnWeights(turns, {
+        userWeight: settings.query_user_weight ?? 1,
+        assistantWeight: settings.query_assistant_weight ?? 0.5,
+        recencyDecay: settings.query_recency_decay ?? 0.8
+    });
+    const conversationEmbedding = weightedAverageEmbeddings(embeddings, weights);
+    
+    if (conversationEmbedding.length > 0) {
+        variants.push({
+            label: "conversation",
+            text: turns.length === 1 ? turns[0].content : transcript,
+            embedding: conversationEmbedding
+        });
+    }
+    
+    if (settings.query_rewrite) {
+        try {
+            const text = await summarizerClient.rewriteQuery(transcript, { language: settings.language });
+            variants.push({ label: "rewrite", text, embedding: await embeddingClient.embedQuery(text) });
+            log(`Rewritten query: ${text}`);
+        } catch (error) {
+            console.error('[VoyageAI Memory] Query rewrite failed:', error);
+        }
+    }
+    
+    if (settings.query_hyde) {
+        try {
+            const text = await summarizerClient.generateHypotheticalMemory(transcript, { language: settings.language });
+            // Embedded as a document: it imitates a stored summary, not a question
+            variants.push({ label: "hyde", text, embedding: await embeddingClient.embedDocument(text) });
+            log(`Hypothetical memory: ${text}`);
+        } catch (error) {
+            console.error('[VoyageAI Memory] Hypothetical memory generation failed:', error);
+        }
+    }
+    
+    return variants.filter(v => v.embedding && v.embedding.length > 0);
+}
+
+/**
+ * Retrieve relevant memories for a query
+ * @param {string|Array<{role: string, name: string, content: string}>} query - Query text or recent conversation turns
+ * @param {object} options - Options
+ * @param {object} options.settings - Settings to retrieve with (the inspector re-runs with modified copies)
+ * @param {string[]} options.banks - Banks to search (default: the speaking character's, see getContextBanks)
+ * @param {string|null} options.chatId - Chat retrieval is limited to (chat scope), or null
+ * @param {object|null} options.filters - Metadata the memories must match (see matchesMetadata)
+ * @param {object} options.trace - Inspector trace to fill with the queries and every candidate's stage
+ * @param {boolean} options.recordAccess - Count the results as retrieved for access ranking
+ * @param {boolean} options.graphExpansion - Add graph-linked memories to the candidates when the graph is enabled; off for lookups that act on the results
+ * @returns {Promise<Array>} Relevant memories with similarity scores and the bank each was found in
+ */
+async function retrieveRelevantMemories(query, { settings = getSettings(), banks = getContextBanks(), chatId = getScopeChatId(settings), filters = null, trace = null, recordAccess = true, graphExpansion = true } = {}) {
+    if (banks.length === 0) return [];
+    
+    try {
+        const variants = await buildQueryVariants(query, settings);
+        
+        if (trace) {
+            trace.queries = variants.map(v => ({ label: v.label, text: v.text }));
+        }
+        
+        if (variants.length === 0) {
+            return [];
+        }
+        
+        // Load memories; vectors from another model or dimension can't be compared with the query
+        const descriptor = embeddingClient.getDescriptor();
+        const bankMemories = new Map();
+        const bankOf = new Map();
+        const memoryIds = new Set(); // Every memory of the banks, to tell outdated memories from those whose newer version was deleted
+        const sourceHashes = new Set();
+        
+        for (const bank of banks) {
+            const allMemories = await memoryStorage.getMemories(bank);
+            allMemories.forEach(m => memoryIds.add(m.id));
+            const compatible = allMemories.filter(m => isEmbeddingCompatible(m, descriptor, variants[0].embedding.length));
+            
+            if (compatible.length < allMemories.length) {
+                onEmbeddingMismatch(bank, allMemories.length - compatible.length);
+            }
+            
+            // Chat scope leaves out memories of the character's other chats
+            const inScope = compatible.filter(m =>
+                (!chatId || isInScope(m, "chat", chatId)) && (!filters || matchesMetadata(m, filters))
+            );
+            
+            // A group member's messages are stored in its own bank and the shared one; only the first copy is searched
+            const unique = inScope.filter(m => {
+                const hash = m.metadata?.source_hash || getSourceHash(m);
+                if (sourceHashes.has(hash)) return false;
+                sourceHashes.add(hash);
+                return true;
+            });
+            
+            bankMemories.set(bank, unique);
+            unique.forEach(m => bankOf.set(m.id, bank));
+        }
+        
+        const memories = [...bankMemories.values()].flat();
+        if (memories.length === 0) return [];
+        
+        // Find similar memories; over-fetch for the reranker, whose scores replace the cosine threshold
+        const rerank = settings.rerank_enabled;
+        const hybrid = settings.hybrid_enabled;
+        const candidateCount = rerank
+            ? Math.max(settings.rerank_candidates || 20, settings.top_k)
+            : (hybrid || isRankingEnabled(settings) ? settings.top_k * 3 : settings.top_k);
+        const threshold = rerank ? 0 : settings.similarity_threshold;
+        const memoriesById = new Map(memories.map(m => [m.id, m]));
+        const belowThreshold = new Map();
+        const resultSets = [];
+        
+        for (const variant of variants) {
+            // The threshold is applied here rather than in the search so the inspector can show what it cut
+            const found = [];
+            for (const [bank, bankList] of bankMemories) {
+                found.push(...await memoryStorage.searchSimilar(bank, variant.embedding, bankList, candidateCount, 0));
+            }
+            found.sort((a, b) => b.similarity - a.similarity).splice(candidateCount);
+            
+            let candidates = found.filter(c => c.similarity >= threshold);
+            
+            for (const item of found) {
+                if (item.similarity < threshold && !(belowThreshold.get(item.memory.id)?.similarity >= item.similarity)) {
+                    belowThreshold.set(item.memory.id, item);
+                }
+            }
+            
+            // Keyword matches catch exact names and rare terms that dense search misses
+            if (hybrid) {
+                const lexicalResults = [];
+                for (const bank of banks) {
+                    const lexicalIndex = await memoryStorage.getLexicalIndex(bank);
+                    lexicalResults.push(...lexicalIndex.search(variant.text, candidateCount).filter(r => memoriesById.has(r.id)));
+                }
+                lexicalResults.sort((a, b) => b.score - a.score).splice(candidateCount);
+                
+                candidates = fuseRankings(candidates, lexicalResults, memoriesById, variant.embedding, {
+                    lexicalWeight: settings.hybrid_weight ?? 0.3
+                }).slice(0, candidateCount);
+            }
+            
+            resultSets.push({ label: variant.label, results: candidates });
+        }
+        
+        // A memory found by several variants is injected once
+        let candidates = mergeResultSets(resultSets, candidateCount);
+        
+        // Relations of the entities the query names, which similarity alone can miss, compete with the other candidates
+        if (graphExpansion && settings.graph_enabled && settings.graph_expansion > 0) {
+            const expansion = await expandWithGraph(variants, bankMemories, new Set(candidates.map(c => c.memory.id)), settings.graph_expansion);
+            
+            for (const item of expansion.results) {
+                if (item.similarity < threshold) {
+                    belowThreshold.set(item.memory.id, item);
+                }
+            }
+            candidates = insertBySimilarity(candidates, expansion.results.filter(r => r.similarity >= threshold));
+            
+            if (trace && expansion.mentioned.length > 0) {
+                trace.queries.push({ label: "graph", text: expansion.mentioned.join(", ") });
+            }
+        }
+        
+        // The rewritten query is the clearest statement of what's being asked
+        const rerankQuery = (variants.find(v => v.label === "rewrite") || variants[0]).text;
+        const ranked = rerank ? await rerankResults(rerankQuery, candidates, candidates.length, settings) : candidates;
+        // Memories a newer one contradicts are dropped or ranked lower
+        const supersede = { mode: settings.supersede_mode || "downweight", penalty: settings.supersede_penalty ?? 0.5 };
+        const current = settings.supersede_enabled ? handleSuperseded(ranked, memoryIds, supersede) : ranked;
+        const results = rankResults(current, settings).map(r => ({ ...r, bank: bankOf.get(r.memory.id) }));
+        
+        if (trace) {
+            const selected = new Set(results.map(r => r.memory.id));
+            const currentIds = new Set(current.map(c => c.memory.id));
+            const rankedIds = new Set(ranked.map(c => c.memory.id));
+            const found = new Set(candidates.map(c => c.memory.id));
+            trace.candidates = [
+                ...results.map(r => describeCandidate(r, "injected")),
+                ...current.filter(c => !selected.has(c.memory.id)).map(c => describeCandidate(c, "top_k")),
+                ...ranked.filter(c => !currentIds.has(c.memory.id)).map(c => describeCandidate(c, "superseded")),
+                // Candidates the reranker scored below its threshold
+                ...candidates.filter(c => !rankedIds.has(c.memory.id)).map(c => describeCandidate(c, "threshold")),
+                ...[...belowThreshold.values()].filter(c => !found.has(c.memory.id)).map(c => describeCandidate(c, "threshold"))
+            ];
+        }
+        
+        if (recordAccess && results.length > 0 && settings.ranking_access_weight > 0) {
+            for (const bank of banks) {
+                const ids = results.filter(r => bankOf.get(r.memory.id) === bank).map(r => r.memory.id);
+                if (ids.length === 0) continue;
+                
+                memoryStorage.recordAccess(bank, ids)
+                    .catch(error => console.error('[VoyageAI Memory] Failed to record memory access:', error));
+            }
+        }
+        
+        log(`Found ${results.length} relevant memories`);
+        return results;
+    } catch (error) {
+        console.error('[VoyageAI Memory] Retrieval error:', error);
+        if (trace) {
+            trace.error = error.message;
+        }
+        return [];
+    }
+}
+
+/**
+ * Check whether any ranking signal besides similarity is enabled
+ * @param {object} settings - Extension settings
+ * @returns {boolean} True if results are re-scored or diversified
+ */
+function isRankingEnabled(settings = getSettings()) {
+    return settings.mmr_enabled
+        || settings.ranking_recency_weight > 0
+        || settings.ranking_importance_weight > 0
+        || settings.ranking_access_weight > 0;
+}
+
+/**
+ * Order candidates by the combined ranking score and pick the top K,
+ * diversified by MMR when enabled
+ * @param {Array<{memory: object, similarity: number}>} candidates - Retrieval candidates, best first
+ * @param {object} settings - Extension settings
+ * @returns {Array<{memory: object, similarity: number, score?: number}>} Top K results
+ */
+function rankResults(candidates, settings = getSettings()) {
+    if (!isRankingEnabled(settings)) {
+        return candidates.slice(0, settings.top_k);
+    }
+    
+    const scored = scoreMemories(candidates, {
+        similarity: 1,
+        recency: settings.ranking_recency_weight || 0,
+        importance: settings.ranking_importance_weight || 0,
+        access: settings.ranking_access_weight || 0,
+        halfLifeDays: settings.ranking_half_life_days || 30
+    });
+    
+    return settings.mmr_enabled
+        ? selectDiverse(scored, settings.top_k, settings.mmr_lambda ?? 0.7)
+        : scored.slice(0, settings.top_k);
+}
+
+/**
+ * Rerank vector candidates and keep the best by reranker score
+ * @param {string} queryText - The query text
+ * @param {Array<{memory: object, similarity: number}>} candidates - Vector search results
+ * @param {number} limit - Number of results to keep (default: top K)
+ * @param {object} settings - Extension settings
+ * @returns {Promise<Array<{memory: object, similarity: number, vectorSimilarity: number}>>} Reranked results
+ */
+async function rerankResults(queryText, candidates, limit = getSettings().top_k, settings = getSettings()) {
+    if (candidates.length === 0) return [];
+    
+    try {
+        const ranked = await rerankerClient.rerank(queryText, candidates.map(c => c.memory.summary), limit);
+        
+        return ranked
+            .filter(r => r.score >= (settings.rerank_threshold || 0))
+            .slice(0, limit)
+            .map(r => ({
+                memory: candidates[r.index].memory,
+                similarity: r.score,
+                vectorSimilarity: candidates[r.index].similarity
+            }));
+    } catch (error) {
+        console.error('[VoyageAI Memory] Rerank failed, falling back to vector scores:', error);
+        return candidates
+            .filter(c => c.similarity >= settings.similarity_threshold)
+            .slice(0, limit);
+    }
+}
+
+/**
+ * Handle memories whose vectors don't match the current embedding model
+ * @param {string} characterId - Character identifier
+ * @param {number} count - Number of incompatible memories
+ */
+function onEmbeddingMismatch(characterId, count) {
+    const settings = getSettings();
+    log(`${count} memories were embedded with a different model and were skipped`);
+    
+    if (settings.auto_reembed && !reembedCancelled.has(characterId)) {
+        startReembed(characterId);
+    } else if (!reembedJob?.running) {
+        toastr.warning(`${count} memories use a different embedding model and are ignored. Use "Re-embed Bank" to update them.`, "VoyageAI Memory", { preventDuplicates: true });
+    }
+}
+
+/**
+ * Start re-embedding the current bank if any memory records a different
+ * provider or model than the one now selected
+ */
+async function checkEmbeddingCompatibility() {
+    const settings = getSettings();
+    const context = getContext();
+    if (!settings.enabled || !settings.auto_reembed || !getActiveBankId(context)) return;
+    
+    try {
+        const descriptor = embeddingClient.getDescriptor();
+        const memories = await memoryStorage.getMemories(getActiveBankId(context));
+        
+        if (memories.some(m => !isEmbeddingCompatible(m, descriptor))) {
+            startReembed(getActiveBankId(context));
+        }
+    } catch (error) {
+        console.error('[VoyageAI Memory] Embedding compatibility check error:', error);
+    }
+}
+
+/**
+ * Re-embed a bank's stored summaries with the current embedding model
+ * @param {string} characterId - Character identifier
+ * @param {object} options - Options
+ * @param {boolean} options.manual - Started by the user; overrides an earlier cancel
+ */
+async function startReembed(characterId, { manual = false } = {}) {
+    if (characterId === undefined || characterId === null) {
+        toastr.warning("No active character", "VoyageAI Memory");
+        return;
+    }
+    
+    if (reembedJob?.running) return;
+    if (!manual && reembedCancelled.has(characterId)) return;
+    
+    reembedCancelled.delete(characterId);
+    reembedJob = new ReembedJob(memoryStorage, embeddingClient, {
+        onProgress: ({ done, total }) => {
+            $("#voyageai_reembed_status").text(`Re-embedding ${done}/${total}`);
+        }
+    });
+    
+    $("#voyageai_reembed_cancel").show();
+    $("#voyageai_reembed_bank").prop("disabled", true);
+    
+    try {
+        const { done, total, cancelled } = await reembedJob.run(characterId);
+        
+        if (cancelled) {
+            reembedCancelled.add(characterId);
+            $("#voyageai_reembed_status").text(`Cancelled at ${done}/${total}`);
+        } else {
+            $("#voyageai_reembed_status").text(total > 0 ? `Re-embedded ${total} memories` : "All memories up to date");
+            if (total > 0) {
+                toastr.success(`Re-embedded ${total} memories`, "VoyageAI Memory");
+            }
+        }
+    } catch (error) {
+        console.error('[VoyageAI Memory] Re-embed error:', error);
+        $("#voyageai_reembed_status").text("Re-embed failed");
+        toastr.error(`Re-embedding failed: ${error.message}`, "VoyageAI Memory");
+    } finally {
+        $("#voyageai_reembed_cancel").hide();
+        $("#voyageai_reembed_bank").prop("disabled", false);
+    }
+}
+
+/**
+ * Cancel the running re-embed job
+ */
+function cancelReembed() {
+    reembedJob?.cancel();
+}
+
+/**
+ * Start consolidation in the background once enough message memories
+ * are waiting to be grouped
+ * @param {string} characterId - Character identifier
+ */
+async function maybeConsolidate(characterId) {
+    const settings = getSettings();
+    if (!settings.consolidation_enabled || consolidationJob?.running) return;
+    
+    try {
+        const memories = await memoryStorage.getMemories(characterId);
+        if (countUnconsolidated(memories) >= (settings.consolidation_trigger || 20)) {
+            startConsolidation(characterId);
+        }
+    } catch (error) {
+        console.error('[VoyageAI Memory] Consolidation error:', error);
+    }
+}
+
+/**
+ * Summarize runs of message memories into scenes, and scenes into arcs
+ * @param {string} characterId - Character identifier
+ * @param {object} options - Options
+ * @param {boolean} options.manual - Started from the UI (report the outcome)
+ */
+async function startConsolidation(characterId, { manual = false } = {}) {
+    if (characterId === undefined || characterId === null) {
+        toastr.warning("No active character", "VoyageAI Memory");
+        return;
+    }
+    
+    if (consolidationJob?.running) return;
+    
+    const settings = getSettings();
+    const context = getContext();
+    consolidationJob = new ConsolidationJob(memoryStorage, summarizerClient, embeddingClient, {
+        scene: {
+            maxSize: settings.consolidation_scene_size || 12,
+            maxGapMinutes: settings.consolidation_gap_minutes || 60,
+            shiftThreshold: settings.consolidation_shift_threshold ?? 0.3
+        },
+        context: { language: settings.language, userName: context.name1 },
+        onProgress: ({ level, done, total }) => {
+            $("#voyageai_consolidate_status").text(`Building ${level} summaries ${done}/${total}`);
+        }
+    });
+    
+    $("#voyageai_consolidate").prop("disabled", true);
+    
+    try {
+        const { scenes, arcs } = await consolidationJob.run(characterId);
+        $("#voyageai_consolidate_status").text(`Added ${scenes} scene and ${arcs} arc summaries`);
+        
+        if (manual || scenes + arcs > 0) {
+            log(`Consolidated ${characterId}: ${scenes} scenes, ${arcs} arcs`);
+        }
+        if (manual) {
+            toastr.success(`Added ${scenes} scene and ${arcs} arc summaries`, "VoyageAI Memory");
+        }
+        await updateMemoryStats();
+    } catch (error) {
+        console.error('[VoyageAI Memory] Consolidation error:', error);
+        $("#voyageai_consolidate_status").text("Consolidation failed");
+        if (manual) {
+            toastr.error(`Consolidation failed: ${error.message}`, "VoyageAI Memory");
+        }
+    } finally {
+        $("#voyageai_consolidate").prop("disabled", false);
+    }
+}
+
+/**
+ * Get the lorebook promoted memories are written to: the character's
+ * lorebook, or the chat's (created and bound to the chat if it has none)
+ * @param {string} target - "character" or "chat"
+ * @param {object} context - SillyTavern context
+ * @returns {Promise<string>} Lorebook name
+ */
+async function getLorebookName(target, context = getContext()) {
+    if (target === "chat") {
+        const existing = context.chatMetadata?.[METADATA_KEY];
+        if (existing) return existing;
+        
+        if (!context.chatId) {
+            throw new Error("No active chat");
+        }
+        
+        const name = `Chat Book ${context.chatId}`.replace(/[^a-z0-9]/gi, "_").replace(/_{2,}/g, "_").substring(0, 64);
+        await createNewWorldInfo(name, { interactive: false });
+        context.chatMetadata[METADATA_KEY] = name;
+        await context.saveMetadata();
+        log(`Created chat lorebook ${name}`);
+        return name;
+    }
+    
+    const book = context.characters?.[context.characterId]?.data?.extensions?.world;
+    if (!book) {
+        throw new Error("The character has no lorebook. Link one to the character, or promote to the chat lorebook");
+    }
+    
+    return book;
+}
+
+/**
+ * Draft a World Info entry from memories and write it to the lorebook. The
+ * entry lists its source memories, and each memory records the entry.
+ * @param {string} bankId - Bank of the memories
+ * @param {object[]} memories - Source memories
+ * @param {object} options - Promotion options
+ * @param {boolean} options.allowSkip - Let the model decline when nothing is worth an entry
+ * @param {boolean} options.review - Ask before writing the entry
+ * @returns {Promise<{book: string, entry: object}|null>} Written entry, or null if declined
+ */
+async function promoteToWorldInfo(bankId, memories, { allowSkip = false, review = false } = {}) {
+    const settings = getSettings();
+    const context = getContext();
+    const book = await getLorebookName(settings.lore_target, context);
+    
+    const draft = await summarizerClient.draftLoreEntry(memories.map(m => m.summary), {
+        language: settings.language,
+        userName: context.name1,
+        allowSkip
+    });
+    
+    if (!draft) return null;
+    
+    if (review && !confirm(`Add this entry to the lorebook "${book}"?\n\n${draft.title}\nKeys: ${draft.keys.join(", ")}\n\n${draft.content}`)) {
+        return null;
+    }
+    
+    const data = await loadWorldInfo(book);
+    const entry = createWorldInfoEntry(book, data);
+    if (!entry) {
+        throw new Error(`Could not add an entry to ${book}`);
+    }
+    
+    Object.assign(entry, buildLoreEntry(draft, memories));
+    await saveWorldInfo(book, data, true);
+    reloadEditor(book);
+    
+    const link = { book, uid: entry.uid };
+    await memoryStorage.updateMemories(bankId, new Map(memories.map(m => [m.id, { metadata: { world_info: link } }])));
+    
+    log(`Promoted ${memories.length} memories to ${book} entry ${entry.uid}: ${draft.title}`);
+    return { book, entry };
+}
+
+/**
+ * Run the automatic World Info pass once enough memories haven't been
+ * looked at: cluster the important ones and promote each cluster the
+ * model finds a lasting fact in. Every memory looked at is marked so it
+ * isn't clustered again, even if promoting its cluster failed. Without a
+ * lorebook to write to, the pass waits and nothing is marked.
+ * @param {string} bankId - Bank ID
+ */
+async function maybePromoteLore(bankId) {
+    const settings = getSettings();
+    if (!settings.lore_auto || lorePassRunning || !bankId) return;
+    
+    lorePassRunning = true;
+    try {
+        const memories = await memoryStorage.getMemories(bankId);
+        if (countUncheckedLore(memories) < (settings.lore_auto_trigger || 30)) return;
+        
+        try {
+            await getLorebookName(settings.lore_target);
+        } catch (error) {
+            log(`Automatic World Info skipped: ${error.message}`);
+            return;
+        }
+        
+        const checked = memories.filter(m => !m.metadata?.lore_checked && !isPromoted(m));
+        const minImportance = ((settings.lore_min_importance || 7) - 1) / 9;
+        const clusters = clusterMemories(getLoreCandidates(memories, minImportance));
+        let promoted = 0;
+        
+        // A failed cluster doesn't stop the pass; its memories are marked with the rest
+        for (const cluster of clusters) {
+            try {
+                if (await promoteToWorldInfo(bankId, cluster, { allowSkip: true })) {
+                    promoted++;
+                }
+            } catch (error) {
+                console.error('[VoyageAI Memory] World Info promotion error:', error);
+            }
+        }
+        
+        await memoryStorage.updateMemories(bankId, new Map(checked.map(m => [m.id, { metadata: { lore_checked: true } }])));
+        
+        if (promoted > 0) {
+            toastr.info(`Added ${promoted} World Info entries from memories`, "VoyageAI Memory");
+        }
+    } catch (error) {
+        console.error('[VoyageAI Memory] World Info promotion error:', error);
+    } finally {
+        lorePassRunning = false;
+    }
+}
+
+/**
+ * Add the entities and relations of a new memory to the graphs of the banks
+ * it was stored in. Links to the memory's earlier version (edit or swipe)
+ * and to deleted memories are dropped first. A failure leaves the memory
+ * stored.
+ * @param {string[]} banks - Bank IDs
+ * @param {object[]} memories - The stored memory in each bank
+ * @param {string} userName - User name for {{user}}
+ */
+async function updateGraphs(banks, memories, userName) {
+    try {
+        const extraction = await summarizerClient.extractGraph(memories[0].summary, {
+            language: getSettings().language,
+            userName
+        });
+        
+        for (const [index, bank] of banks.entries()) {
+            const memory = memories[index];
+            const graph = await memoryStorage.getGraph(bank);
+            const kept = new Set((await memoryStorage.getMemories(bank)).map(m => m.id));
+            kept.delete(memory.id);
+            
+            pruneGraph(graph, kept);
+            addExtraction(graph, extraction, memory.id);
+            await memoryStorage.saveGraph(bank, graph);
+        }
+        
+        log(`Graph: ${extraction.entities.length} entities, ${extraction.relations.length} relations`);
+    } catch (error) {
+        console.error('[VoyageAI Memory] Graph extraction failed:', error);
+    }
+}
+
+/**
+ * Ask the summarization API whether a new memory makes similar older
+ * memories outdated, and mark those superseded by it. The older memories
+ * are judged once for all the banks the memory was stored in. A failure
+ * leaves them current.
+ * @param {string[]} banks - Bank IDs
+ * @param {object[]} memories - The stored memory in each bank
+ * @param {string} userName - User name for {{user}}
+ */
+async function checkSuperseded(banks, memories, userName) {
+    const threshold = getSettings().supersede_threshold ?? 0.8;
+    
+    try {
+        const candidates = [];
+        for (const [index, bank] of banks.entries()) {
+            candidates.push(getSupersedeCandidates(memories[index], await memoryStorage.getMemories(bank), { threshold }));
+        }
+        
+        const summaries = [...new Set(candidates.flat().map(m => m.summary))];
+        if (summaries.length === 0) return;
+        
+        const outdated = new Set((await summarizerClient.findSuperseded(memories[0].summary, summaries, { userName })).map(i => summaries[i]));
+        if (outdated.size === 0) return;
+        
+        const now = new Date().toISOString();
+        for (const [index, bank] of banks.entries()) {
+            const updates = candidates[index]
+                .filter(m => outdated.has(m.summary))
+                .map(m => [m.id, { metadata: { superseded_by: memories[index].id, superseded_at: now } }]);
+            await memoryStorage.updateMemories(bank, new Map(updates));
+        }
+        
+        log(`Marked ${outdated.size} memories outdated by: ${memories[0].summary.substring(0, 50)}...`);
+    } catch (error) {
+        console.error('[VoyageAI Memory] Contradiction check failed:', error);
+    }
+}
+
+/**
+ * Find the memories the banks' graphs link to entities named in the query,
+ * leaving out those already found
+ * @param {Array<{label: string, text: string, embedding: number[]}>} variants - Query variants
+ * @param {Map<string, object[]>} bankMemories - Searchable memories of each bank
+ * @param {Set<string>} found - IDs of the memories already found
+ * @param {number} limit - Most memories to add
+ * @returns {Promise<{results: Array<{memory: object, similarity: number, matchedBy: string[]}>, mentioned: string[]}>} Added results and the entities named
+ */
+async function expandWithGraph(variants, bankMemories, found, limit) {
+    // A hypothetical memory may name entities the conversation doesn't
+    const text = variants.filter(v => v.label !== "hyde").map(v => v.text).join("\n");
+    const queryVector = toUnitVector(variants[0].embedding);
+    const mentioned = new Set();
+    const results = [];
+    
+    for (const [bank, memories] of bankMemories) {
+        const expansion = getExpansion(await memoryStorage.getGraph(bank), text);
+        expansion.mentioned.forEach(name => mentioned.add(name));
+        
+        const byId = new Map(memories.map(m => [m.id, m]));
+        for (const id of expansion.memoryIds) {
+            const memory = byId.get(id);
+            if (!memory || found.has(id)) continue;
+            
+            found.add(id);
+            results.push({ memory, similarity: dotProduct(queryVector, getUnitVector(memory)), matchedBy: ["graph"] });
+        }
+    }
+    
+    if (results.length > 0) {
+        log(`Graph expansion for ${[...mentioned].join(", ")}: ${results.length} memories`);
+    }
+    
+    return { results: results.slice(0, limit), mentioned: [...mentioned] };
+}
+
+/**
+ * Insert results among candidates by similarity: each goes before the first
+ * candidate it is more similar than. Hybrid candidates are ordered by fused
+ * score, so an inserted result takes that candidate's fused score.
+ * @param {Array<{similarity: number, fusedScore?: number}>} candidates - Candidates, best first
+ * @param {Array<{similarity: number}>} additions - Results to insert
+ * @returns {Array<{similarity: number, fusedScore?: number}>} Candidates with the additions, best first
+ */
+function insertBySimilarity(candidates, additions) {
+    const merged = [...candidates];
+    
+    for (const addition of [...additions].sort((a, b) => b.similarity - a.similarity)) {
+        const index = merged.findIndex(c => c.similarity < addition.similarity);
+        const position = index === -1 ? merged.length : index;
+        const neighbour = merged[position] ?? merged[position - 1];
+        
+        merged.splice(position, 0, neighbour?.fusedScore !== undefined ? { ...addition, fusedScore: neighbour.fusedScore } : addition);
+    }
+    
+    return merged;
+}
+
+/**
+ * Get the pinned memories of the banks, within the memory scope. A memory
+ * stored in several banks (group member and shared) is listed once.
+ * @param {string[]} banks - Bank IDs
+ * @param {string|null} chatId - Chat retrieval is limited to (chat scope), or null
+ * @returns {Promise<object[]>} Pinned memories, oldest first
+ */
+async function getPinnedMemories(banks, chatId = null) {
+    const pinned = [];
+    const sourceHashes = new Set();
+    for (const bank of banks) {
+        const memories = await memoryStorage.getMemories(bank);
+        pinned.push(...memories.filter(m => {
+            if (!m.metadata?.pinned || (chatId && !isInScope(m, "chat", chatId))) return false;
+            
+            // A memory pinned in a member bank and the shared one is injected once
+            const hash = m.metadata?.source_hash || getSourceHash(m);
+            if (sourceHashes.has(hash)) return false;
+            sourceHashes.add(hash);
+            return true;
+        }));
+    }
+    
+    return pinned.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Format one memory as an injected line
+ * @param {object} item - {memory, similarity} object
+ * @param {number} position - 1-based position in the list
+ * @param {string} summary - Summary text (possibly truncated)
+ * @returns {string} Formatted line
+ */
+function formatMemoryLine(item, position, summary) {
+    const level = getMemoryLevel(item.memory);
+    const label = level === "message" ? item.memory.metadata.role : level;
+    if (item.pinned) {
+        return `${position}. [pinned, ${label}] ${summary}`;
+    }
+    
+    const score = (item.similarity * 100).toFixed(0);
+    return `${position}. [${label}] ${summary} (relevance: ${score}%)`;
+}
+
+/**
+ * Format memories for context injection. Pinned memories fill the
+ * template's {{pinned}} section, or lead the {{memories}} list when there is
+ * none, and take their share of the token budget first; one that doesn't fit
+ * is truncated whatever the overflow setting, and those left out are
+ * reported. With a token budget
+ * set, the highest-ranked memories are packed until the budget is reached
+ * and the rest are truncated or dropped; with consolidation enabled, each
+ * memory is replaced by the coarsest summary containing it (arc, then scene)
+ * that still fits. Memories already contained in an injected summary are skipped.
+ * @param {Array} memories - Array of {memory, similarity} objects, best first
+ * @param {object} settings - Extension settings
+ * @param {string[]} banks - Banks the memories come from
+ * @param {object[]} pinned - Pinned memories, injected whatever their similarity
+ * @returns {Promise<{text: string, count: number, tokens: number, items: Array, pinnedDropped: number}>} Formatted memory text, memories included, its token count, the injected forms and the pinned memories the budget left out
+ */
+async function formatMemoriesForInjection(memories, settings = getSettings(), banks = getContextBanks(), pinned = []) {
+    const template = settings.memory_template || "[Relevant memories:\n{{memories}}]";
+    const budget = settings.token_budget || 0;
+    const pinnedSection = template.includes('{{pinned}}');
+    
+    const allMemories = [];
+    for (const bank of banks) {
+        allMemories.push(...await memoryStorage.getMemories(bank));
+    }
+    const memoriesById = new Map(allMemories.map(m => [m.id, m]));
+    const isPacked = (item, packed) => isCovered(item.memory, new Set(packed.map(p => p.memory.id)), memoriesById);
+    
+    const pinnedItems = pinned.map(memory => ({ memory, similarity: null, pinned: true }));
+    const pinnedIds = new Set(pinned.map(m => m.id));
+    const retrieved = memories.filter(item => !pinnedIds.has(item.memory.id));
+    let pinnedLines;
+    let lines;
+    let items;
+    let pinnedDropped = 0;
+    
+    if (budget > 0) {
+        const overhead = await getTokenCountAsync(template.replace('{{pinned}}', '').replace('{{memories}}', ''));
+        const overflow = settings.budget_overflow || "truncate";
+        const pinnedResult = await packWithinBudget(pinnedItems, {
+            budget: budget - overhead,
+            countTokens: getTokenCountAsync,
+            getText: item => item.memory.summary,
+            render: formatMemoryLine,
+            overflow: "truncate"
+        });
+        
+        pinnedDropped = pinnedResult.dropped;
+        if (pinnedResult.truncated > 0 || pinnedDropped > 0) {
+            console.warn(`[VoyageAI Memory] Token budget ${budget} is too small for the pinned memories: ${pinnedResult.truncated} truncated, ${pinnedDropped} left out`);
+        }
+        
+        // Retrieved memories number on from the pinned ones when they share a section
+        const offset = pinnedSection ? 0 : pinnedResult.items.length;
+        const result = await packWithinBudget(retrieved, {
+            budget: budget - overhead - pinnedResult.tokens,
+            countTokens: getTokenCountAsync,
+            getText: item => item.memory.summary,
+            render: (item, position, summary) => formatMemoryLine(item, position + offset, summary),
+            overflow,
+            getAlternatives: settings.consolidation_enabled
+                ? item => getLevelAlternatives(item, memoriesById)
+                : undefined,
+            isCovered: (item, packed) => isPacked(item, [...pinnedResult.items, ...packed])
+        });
+        
+        const truncated = pinnedResult.truncated + result.truncated;
+        const dropped = pinnedResult.dropped + result.dropped;
+        if (truncated > 0 || dropped > 0) {
+            log(`Token budget ${budget}: ${truncated} memories truncated, ${dropped} dropped`);
+        }
+        pinnedLines = pinnedResult.lines;
+        lines = result.lines;
+        items = [...pinnedResult.items, ...result.items];
+    } else {
+        const kept = removeCoveredResults(retrieved, memoriesById).filter(item => !isPacked(item, pinnedItems));
+        const offset = pinnedSection ? 0 : pinnedItems.length;
+        pinnedLines = pinnedItems.map((item, index) => formatMemoryLine(item, index + 1, item.memory.summary));
+        lines = kept.map((item, index) => formatMemoryLine(item, index + offset + 1, item.memory.summary));
+        items = [...pinnedItems, ...kept];
+    }
+    
+    if (pinnedLines.length + lines.length === 0) {
+        return { text: "", count: 0, tokens: 0, items: [], pinnedDropped };
+    }
+    
+    const text = pinnedSection
+        ? template.replace('{{pinned}}', pinnedLines.join('\n')).replace('{{memories}}', lines.join('\n'))
+        : template.replace('{{memories}}', [...pinnedLines, ...lines].join('\n'));
+    return { text, count: pinnedLines.length + lines.length, tokens: await getTokenCountAsync(text), items, pinnedDropped };
+}
+
+/**
+ * Test summarization API connection
+ */
+async function testSummarizationConnection() {
+    const $status = $("#voyageai_summarization_status");
+    $status.text("Testing...").removeClass().addClass("voyageai-status voyageai-status-pending");
+    
+    try {
+        const success = await summarizerClient.testConnection();
+        if (success) {
+            $status.text("✓ Connected").removeClass().addClass("voyageai-status voyageai-status-success");
+        } else {
+            throw new Error("Connection failed");
+        }
+    } catch (error) {
+        $status.text("✗ Failed").removeClass().addClass("voyageai-status voyageai-status-error");
+        toastr.error(`Summarization API test failed: ${error.message}`, "VoyageAI Memory");
+    }
+}
+
+/**
+ * Test embedding provider connection
+ */
+async function testEmbeddingConnection() {
+    const $status = $("#voyageai_embedding_status");
+    $status.text("Testing...").removeClass().addClass("voyageai-status voyageai-status-pending");
+    
+    try {
+        const success = await embeddingClient.testConnection();
+        if (success) {
+            $status.text("✓ Connected").removeClass().addClass("voyageai-status voyageai-status-success");
+        } else {
+            throw new Error("Connection failed");
+        }
+    } catch (error) {
+        $status.text("✗ Failed").removeClass().addClass("voyageai-status voyageai-status-error");
+        toastr.error(`Embedding API test failed: ${error.message}`, "VoyageAI Memory");
+    }
+}
+
+/**
+ * Store all messages from current chat
+ * @param {object} options - Options
+ * @param {boolean} options.silent - Don't ask for confirmation (slash command)
+ * @returns {Promise<number>} Number of messages queued
+ */
+async function storeCurrentChat({ silent = false } = {}) {
+    const context = getContext();
+    
+    if (!getActiveBankId(context) || !context.chat) {
+        toastr.warning("No active chat to process", "VoyageAI Memory");
+        return 0;
+    }
+    
+    const memories = [];
+    for (const bank of getChatBanks(context)) {
+        memories.push(...await memoryStorage.getMemories(bank));
+    }
+    
+    // Messages stored before with the same text would only be summarized and embedded again
+    const isStored = (message, index) => {
+        const source = createMessageSource(context.chatId, index, message);
+        return memories.some(m => m.original_message === message.mes && isMemoryOfMessage(m, source, message.mes));
+    };
+    const candidates = context.chat.filter(m => !m.is_system && m.mes && m.mes.length >= 20);
+    const messages = candidates.filter(m => !isStored(m, context.chat.indexOf(m)));
+    
+    if (messages.length === 0) {
+        toastr.info(candidates.length > 0 ? "All messages are already stored" : "No messages to store", "VoyageAI Memory");
+        return 0;
+    }
+    
+    if (!silent && !confirm(`This will process ${messages.length} messages. Continue?`)) {
+        return 0;
+    }
+    
+    let queued = 0;
+    
+    for (const message of messages) {
+        const role = message.is_user ? "user" : "assistant";
+        const messageIndex = context.chat.indexOf(message);
+        if (processAndStoreMessage(message.mes, role, context, { includeHistory: false, silent: true, messageIndex })) {
+            queued++;
+        }
+    }
+    
+    toastr.success(`Queued ${queued} messages for processing`, "VoyageAI Memory");
+    return queued;
+}
+
+/**
+ * Register the /mem-* slash commands. Each returns a string so results can
+ * be piped in STscript.
+ */
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "mem-search",
+        callback: slashSearch,
+        returns: "matching memory summaries, one per line (or a JSON array with format=json)",
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: "limit",
+                description: "maximum number of results",
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: "5"
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: "format",
+                description: "output format",
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: "text",
+                enumList: ["text", "json"]
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: "participant",
+                description: "only memories involving this person (structured extraction)",
+                typeList: [ARGUMENT_TYPE.STRING]
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: "location",
+                description: "only memories at this place (structured extraction)",
+                typeList: [ARGUMENT_TYPE.STRING]
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: "emotion",
+                description: "only memories with this emotional tone (structured extraction)",
+                typeList: [ARGUMENT_TYPE.STRING]
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "search query",
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true
+            })
+        ],
+        helpString: "Search the current character's memories. Example: <code>/mem-search limit=3 participant=Mira the lighthouse | /echo</code>"
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "mem-add",
+        callback: slashAdd,
+        returns: "ID of the stored memory (or of the existing duplicate)",
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: "role",
+                description: "memory role",
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: "user",
+                enumList: ["user", "assistant"]
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: "importance",
+                description: "importance from 1 to 10",
+                typeList: [ARGUMENT_TYPE.NUMBER]
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "memory text, stored as written",
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true
+            })
+        ],
+        helpString: "Store a memory for the current character without summarizing it."
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "mem-forget",
+        callback: slashForget,
+        returns: "IDs of the deleted memories, comma-separated",
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: "limit",
+                description: "maximum number of memories deleted by a query",
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: "1"
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "memory ID, or a query whose best matches above the similarity threshold are deleted",
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true
+            })
+        ],
+        helpString: "Delete a memory by ID, or the memories best matching a query."
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "mem-pin",
+        callback: slashPin,
+        returns: "IDs of the changed memories, comma-separated (without a target: pinned memories, one per line)",
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: "state",
+                description: "pin or unpin",
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: "on",
+                enumList: ["on", "off"]
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "memory ID, or a query whose best match above the similarity threshold is changed",
+                typeList: [ARGUMENT_TYPE.STRING]
+            })
+        ],
+        helpString: "Pin a memory so it is injected every turn, or unpin it with state=off. Without a target, lists the pinned memories."
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "mem-store-chat",
+        callback: async () => String(await storeCurrentChat({ silent: true })),
+        returns: "number of messages queued",
+        helpString: "Queue every message of the current chat for summarizing and storing, without asking."
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "mem-stats",
+        callback: slashStats,
+        returns: "JSON object with the current bank's statistics",
+        helpString: "Get memory statistics for the current character."
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "mem-inject",
+        callback: slashInject,
+        returns: "the new state: on or off",
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "on or off; toggles when omitted",
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ["on", "off"]
+            })
+        ],
+        helpString: "Turn automatic memory injection on or off."
+    }));
+}
+
+/**
+ * /mem-search: retrieve memories for a query
+ * @param {object} args - Named arguments (limit, format)
+ * @param {string} value - Query
+ * @returns {Promise<string>} Summaries, one per line, or a JSON array
+ */
+async function slashSearch(args, value) {
+    const query = String(value ?? "").trim();
+    if (!query || !getActiveBankId()) return "";
+    
+    const settings = { ...getSettings(), top_k: Math.max(1, parseInt(args.limit) || 5) };
+    const filters = { participant: args.participant || "", location: args.location || "", emotion: args.emotion || "" };
+    const results = await retrieveRelevantMemories(query, { settings, filters, recordAccess: false });
+    
+    if (args.format === "json") {
+        return JSON.stringify(results.map(r => ({
+            id: r.memory.id,
+            summary: r.memory.summary,
+            role: r.memory.metadata?.role,
+            participants: r.memory.metadata?.participants,
+            location: r.memory.metadata?.location,
+            similarity: Number(r.similarity.toFixed(4)),
+            timestamp: r.memory.timestamp
+        })));
+    }
+    
+    return results.map(r => r.memory.summary).join("\n");
+}
+
+/**
+ * /mem-add: store text as a memory, embedded but not summarized
+ * @param {object} args - Named arguments (role, importance)
+ * @param {string} value - Memory text
+ * @returns {Promise<string>} Memory ID
+ */
+async function slashAdd(args, value) {
+    const text = String(value ?? "").trim();
+    const context = getContext();
+    const bankId = getActiveBankId(context);
+    
+    if (!text || !bankId) {
+        toastr.warning(text ? "No active character" : "Nothing to remember", "VoyageAI Memory");
+        return "";
+    }
+    
+    const embedding = await embeddingClient.embedDocument(text);
+    if (!embedding || embedding.length === 0) {
+        throw new Error("Failed to generate embedding");
+    }
+    
+    const rating = parseInt(args.importance);
+    const { provider, model } = embeddingClient.getDescriptor();
+    const { memory } = await memoryStorage.addMemory(bankId, createMemory(text, text, embedding, {
+        role: args.role === "assistant" ? "assistant" : "user",
+        chatId: context.chatId,
+        importance: rating ? (Math.min(10, Math.max(1, rating)) - 1) / 9 : 0.5,
+        manual: true,
+        embedding_provider: provider,
+        embedding_model: model
+    }));
+    
+    await updateMemoryStats();
+    return memory.id;
+}
+
+/**
+ * Get the banks slash commands look memories up in: those searched for the
+ * chat and those its messages are stored in (a group's shared and member
+ * banks, or the scope bank)
+ * @param {object} context - SillyTavern context
+ * @returns {string[]} Bank IDs
+ */
+function getCommandBanks(context = getContext()) {
+    return [...new Set([...getContextBanks(context), ...getChatBanks(context)])];
+}
+
+/**
+ * Find the memories a slash command that changes them acts on: the memory
+ * with the given ID, or else the best matches for it as a query. The
+ * lookup is a plain search for the query text: no rewriting, HyDE or
+ * graph expansion, and every match must reach the similarity threshold by
+ * cosine similarity, even when the reranker (which has no such threshold)
+ * orders them.
+ * @param {string} target - Memory ID or query text
+ * @param {number} limit - Most memories
+ * @param {string[]} banks - Banks to look in
+ * @returns {Promise<Array<{id: string, bank: string}>>} Memories and their banks, best first
+ */
+async function findCommandTargets(target, limit, banks) {
+    for (const bank of banks) {
+        if ((await memoryStorage.getMemories(bank)).some(m => m.id === target)) {
+            return [{ id: target, bank }];
+        }
+    }
+    
+    const settings = { ...getSettings(), top_k: limit, query_rewrite: false, query_hyde: false };
+    const results = await retrieveRelevantMemories(target, { settings, recordAccess: false, graphExpansion: false });
+    
+    return results
+        .filter(r => (r.vectorSimilarity ?? r.similarity) >= settings.similarity_threshold)
+        .map(r => ({ id: r.memory.id, bank: r.bank }));
+}
+
+/**
+ * Group memories by bank, together with their copies in the other banks:
+ * a group member's message is stored in its bank and the shared one, and
+ * retrieval returns only one of them
+ * @param {Array<{id: string, bank: string}>} targets - Memories and their banks
+ * @param {string[]} banks - Banks that may hold copies
+ * @returns {Promise<Map<string, string[]>>} Memory IDs by bank
+ */
+async function getMemoryCopies(targets, banks) {
+    const hashes = new Set();
+    for (const { id, bank } of targets) {
+        const memory = (await memoryStorage.getMemories(bank)).find(m => m.id === id);
+        if (memory) hashes.add(memory.metadata?.source_hash || getSourceHash(memory));
+    }
+    
+    const copies = new Map();
+    for (const bank of new Set([...targets.map(t => t.bank), ...banks])) {
+        const ids = (await memoryStorage.getMemories(bank))
+            .filter(m => targets.some(t => t.id === m.id && t.bank === bank) || hashes.has(m.metadata?.source_hash || getSourceHash(m)))
+            .map(m => m.id);
+        if (ids.length > 0) copies.set(bank, ids);
+    }
+    
+    return copies;
+}
+
+/**
+ * /mem-forget: delete a memory by ID, or the best matches for a query
+ * @param {object} args - Named arguments (limit)
+ * @param {string} value - Memory ID or query
+ * @returns {Promise<string>} Deleted IDs, comma-separated
+ */
+async function slashForget(args, value) {
+    const target = String(value ?? "").trim();
+    const banks = getCommandBanks();
+    if (!target || banks.length === 0) return "";
+    
+    const targets = await findCommandTargets(target, Math.max(1, parseInt(args.limit) || 1), banks);
+    const deletedIds = [];
+    let deleted = 0;
+    
+    // Copies in other banks go too, or the next retrieval would find them instead
+    for (const [bank, ids] of await getMemoryCopies(targets, banks)) {
+        deleted += await memoryStorage.deleteWhere(bank, m => ids.includes(m.id));
+        deletedIds.push(...ids);
+    }
+    
+    if (deleted === 0) {
+        toastr.info("No matching memory", "VoyageAI Memory");
+        return "";
+    }
+    
+    await updateMemoryStats();
+    toastr.success(`Forgot ${deleted} memories`, "VoyageAI Memory");
+    return deletedIds.join(",");
+}
+
+/**
+ * /mem-pin: pin or unpin a memory by ID or by query; without a target,
+ * list the pinned memories
+ * @param {object} args - Named arguments (state: on or off)
+ * @param {string} value - Memory ID or query
+ * @returns {Promise<string>} IDs of the changed memories, or the pinned list
+ */
+async function slashPin(args, value) {
+    const target = String(value ?? "").trim();
+    const banks = getCommandBanks();
+    if (banks.length === 0) return "";
+    
+    if (!target) {
+        return (await getPinnedMemories(banks))
+            .map(m => `${m.id}: ${m.summary}`)
+            .join("\n");
+    }
+    
+    const targets = await findCommandTargets(target, 1, banks);
+    if (targets.length === 0) {
+        toastr.info("No matching memory", "VoyageAI Memory");
+        return "";
+    }
+    
+    // Every copy is changed, so the pin holds whichever bank retrieval reads it from
+    const pinned = String(args.state || "on").toLowerCase() !== "off";
+    const changedIds = [];
+    for (const [bank, ids] of await getMemoryCopies(targets, banks)) {
+        const memories = await memoryStorage.getMemories(bank);
+        const changing = ids.filter(id => !!memories.find(m => m.id === id)?.metadata?.pinned !== pinned);
+        if (changing.length === 0) continue;
+        
+        await memoryStorage.updateMemories(bank, new Map(changing.map(id => [id, { metadata: { pinned } }])));
+        changedIds.push(...changing);
+    }
+    
+    if (changedIds.length === 0) {
+        toastr.info(`Already ${pinned ? "pinned" : "unpinned"}`, "VoyageAI Memory");
+        return "";
+    }
+    
+    toastr.success(`${pinned ? "Pinned" : "Unpinned"} ${changedIds.length} memories`, "VoyageAI Memory");
+    return changedIds.join(",");
+}
+
+/**
+ * /mem-stats: statistics of the current bank
+ * @returns {Promise<string>} JSON object
+ */
+async function slashStats() {
+    const context = getContext();
+    const bankId = getActiveBankId(context);
+    if (!bankId) return "{}";
+    
+    const stats = await memoryStorage.getStats(bankId);
+    return JSON.stringify({ bank: bankId, ...stats });
+}
+
+/**
+ * /mem-inject: switch automatic injection
+ * @param {object} args - Named arguments
+ * @param {string} value - "on", "off" or empty to toggle
+ * @returns {string} New state
+ */
+function slashInject(args, value) {
+    const state = String(value ?? "").trim().toLowerCase();
+    const enabled = state === "" ? !getSettings().auto_retrieve : ["on", "true", "1"].includes(state);
+    
+    saveSetting("auto_retrieve", enabled);
+    $("#voyageai_auto_retrieve").prop("checked", enabled);
+    return enabled ? "on" : "off";
+}
+
+/**
+ * Clear memories for current character
+ */
+async function clearCurrentMemories() {
+    const context = getContext();
+    const bankId = getActiveBankId(context);
+    
+    if (!bankId) {
+        toastr.warning("No active character", "VoyageAI Memory");
+        return;
+    }
+    
+    if (!confirm(`Clear all memories for ${context.name2}? This cannot be undone.`)) {
+        return;
+    }
+    
+    await memoryStorage.clearMemories(bankId);
+    await updateMemoryStats();
+    
+    toastr.success("Memories cleared", "VoyageAI Memory");
+}
+
+/**
+ * Export memories to JSON file
+ */
+async function exportMemories() {
+    const context = getContext();
+    const bankId = getActiveBankId(context);
+    
+    if (!bankId) {
+        toastr.warning("No active character", "VoyageAI Memory");
+        return;
+    }
+    
+    try {
+        const json = await memoryStorage.exportMemories(bankId);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        const bankName = context.groupId ? context.groups?.find(g => g.id === context.groupId)?.name : context.name2;
+        a.download = `${bankName || bankId}_memories.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        toastr.success("Memories exported", "VoyageAI Memory");
+    } catch (error) {
+        toastr.error(`Export failed: ${error.message}`, "VoyageAI Memory");
+    }
+}
+
+/**
+ * Import memories from JSON file
+ */
+async function importMemories(event) {
+    const context = getContext();
+    const bankId = getActiveBankId(context);
+    
+    if (!bankId) {
+        toastr.warning("No active character", "VoyageAI Memory");
+        return;
+    }
+    
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const text = await file.text();
+        const merge = confirm("Merge with existing memories? (Cancel to replace)");
+        const count = await memoryStorage.importMemories(bankId, text, merge);
+        
+        await updateMemoryStats();
+        toastr.success(`Imported ${count} memories`, "VoyageAI Memory");
+    } catch (error) {
+        toastr.error(`Import failed: ${error.message}`, "VoyageAI Memory");
+    }
+    
+    // Reset file input
+    event.target.value = '';
+}
+
+/**
+ * Show memory viewer modal, opened on the memory scope setting
+ */
+async function showMemoryViewer() {
+    const scope = getSettings().memory_scope || "character";
+    
+    if (await loadViewerScope(scope)) {
+        $("#voyageai_viewer_scope").val(scope);
+        $("#voyageai_memory_viewer").show();
+    }
+}
+
+/**
+ * Load a memory scope into the viewer
+ * @param {string} scope - Memory scope (see MEMORY_SCOPES)
+ * @returns {Promise<boolean>} False if the scope has no bank right now
+ */
+async function loadViewerScope(scope) {
+    const context = getContext();
+    const bankId = getScopeBankId(scope, context);
+    
+    if (!bankId) {
+        toastr.warning(scope === "persona" ? "No active persona" : "No active character", "VoyageAI Memory");
+        return false;
+    }
+    
+    const memories = await memoryStorage.getMemories(bankId);
+    viewerState = {
+        characterId: bankId,
+        scope: scope,
+        memories: memories.filter(m => isInScope(m, scope, context.chatId)),
+        scores: null, // Semantic search similarities by memory ID
+        page: 0,
+        selected: new Set()
+    };
+    
+    const $chat = $("#voyageai_viewer_chat");
+    const currentChat = $chat.val();
+    $chat.empty().append('<option value="">All chats</option>');
+    for (const { chatId, count } of listChats(viewerState.memories)) {
+        $chat.append($("<option>").val(chatId).text(`${chatId} (${count})`));
+    }
+    $chat.val(currentChat && $chat.find(`option[value="${CSS.escape(currentChat)}"]`).length ? currentChat : "");
+    
+    renderMemoryViewer();
+    return true;
+}
+
+/**
+ * Read the viewer's filter inputs
+ * @returns {{text: string, role: string, chatId: string, from: string, to: string, pinned: boolean, participant: string, location: string}} Filters
+ */
+function getViewerFilters() {
+    const semantic = $("#voyageai_viewer_search_mode").val() === "semantic";
+    return {
+        text: semantic ? "" : String($("#voyageai_viewer_search").val() || ""),
+        role: $("#voyageai_viewer_role").val() || "",
+        chatId: $("#voyageai_viewer_chat").val() || "",
+        from: $("#voyageai_viewer_from").val() || "",
+        to: $("#voyageai_viewer_to").val() || "",
+        pinned: $("#voyageai_viewer_pinned").prop("checked"),
+        participant: String($("#voyageai_viewer_participant").val() || ""),
+        location: String($("#voyageai_viewer_location").val() || "")
+    };
+}
+
+/**
+ * Render the current page of the memory viewer from viewerState and the
+ * filter inputs. Semantic search results are listed by similarity, all
+ * others newest first.
+ */
+function renderMemoryViewer() {
+    if (!viewerState) return;
+    
+    const $list = $("#voyageai_memories_list");
+    $list.empty();
+    
+    let memories = filterMemories(viewerState.memories, getViewerFilters());
+    
+    if (viewerState.scores) {
+        memories = memories
+            .filter(m => viewerState.scores.has(m.id))
+            .sort((a, b) => viewerState.scores.get(b.id) - viewerState.scores.get(a.id));
+    } else {
+        memories = [...memories].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+    
+    const { items, page, pageCount } = paginate(memories, viewerState.page, VIEWER_PAGE_SIZE);
+    viewerState.page = page;
+    
+    $("#voyageai_viewer_page").text(`${page + 1} / ${pageCount}`);
+    $("#voyageai_viewer_prev").prop("disabled", page === 0);
+    $("#voyageai_viewer_next").prop("disabled", page >= pageCount - 1);
+    $("#voyageai_viewer_count").text(`${memories.length} of ${viewerState.memories.length} memories`);
+    $("#voyageai_viewer_delete_selected")
+        .prop("disabled", viewerState.selected.size === 0)
+        .val(`🗑️ Delete Selected (${viewerState.selected.size})`);
+    $("#voyageai_viewer_select_page").prop("checked", items.length > 0 && items.every(m => viewerState.selected.has(m.id)));
+    $("#voyageai_viewer_move, #voyageai_viewer_copy, #voyageai_viewer_promote").prop("disabled", viewerState.selected.size === 0);
+    $("#voyageai_viewer_supersede").prop("disabled", viewerState.selected.size < 2);
+    
+    if (items.length === 0) {
+        $list.html(`
+            <div class="voyageai-empty-state">
+                <div class="voyageai-empty-state-icon">🧠</div>
+                <div>${viewerState.memories.length === 0 ? "No memories stored yet" : "No memories match"}</div>
+            </div>
+        `);
+        return;
+    }
+    
+    for (const memory of items) {
+        $list.append(renderMemoryItem(memory, viewerState.scores?.get(memory.id)));
+    }
+}
+
+/**
+ * Build the viewer markup for one memory
+ * @param {object} memory - Memory object
+ * @param {number} [similarity] - Semantic search similarity, if searching
+ * @returns {string} HTML
+ */
+function renderMemoryItem(memory, similarity) {
+    const role = memory.metadata?.role || "assistant";
+    const roleClass = role === 'user' 
+        ? 'voyageai-memory-role-user' 
+        : 'voyageai-memory-role-assistant';
+    
+    const timeAgo = formatTimeAgo(new Date(memory.timestamp));
+    const importance = Math.round((memory.metadata?.importance ?? 0.5) * 9) + 1;
+    const match = similarity === undefined ? "" : ` · ${(similarity * 100).toFixed(0)}% match`;
+    const lore = memory.metadata?.world_info;
+    const loreBadge = lore ? ` · 📖 ${escapeHtml(`${lore.book} #${lore.uid}`)}` : "";
+    const pinned = !!memory.metadata?.pinned;
+    const superseded = isSuperseded(memory);
+    const details = [
+        memory.metadata?.participants?.length ? `👥 ${memory.metadata.participants.join(", ")}` : "",
+        memory.metadata?.location ? `📍 ${memory.metadata.location}` : "",
+        memory.metadata?.emotion ? `💭 ${memory.metadata.emotion}` : "",
+        memory.metadata?.story_time ? `🕰️ ${memory.metadata.story_time}` : ""
+    ].filter(Boolean).join(" · ");
+    const checked = viewerState.selected.has(memory.id) ? "checked" : "";
+    
+    return `
+        <div class="voyageai-memory-item ${superseded ? "voyageai-memory-superseded" : ""}" data-id="${escapeHtml(memory.id)}">
+            <div class="voyageai-memory-header">
+                <label class="voyageai-memory-time">
+                    <input class="voyageai-memory-select" type="checkbox" ${checked} />
+                    ${timeAgo} · importance ${importance}/10${match}${loreBadge}${pinned ? " · 📌 pinned" : ""}${superseded ? " · ⚖️ outdated" : ""}
+                </label>
+                <span class="voyageai-memory-role ${roleClass}">${escapeHtml(role)}</span>
+            </div>
+            <div class="voyageai-memory-summary">${escapeHtml(memory.summary)}</div>
+            ${details ? `<div class="voyageai-memory-details">${escapeHtml(details)}</div>` : ""}
+            ${renderSupersedeChain(memory)}
+            <div class="voyageai-memory-original">${escapeHtml((memory.original_message || "").substring(0, 200))}...</div>
+            <div class="voyageai-memory-actions">
+                ${superseded ? '<button class="voyageai-memory-action-btn restore" title="Mark as current again">↩️</button>' : ""}
+                <button class="voyageai-memory-action-btn pin ${pinned ? "pinned" : ""}" title="${pinned ? "Unpin memory" : "Pin memory: always inject it"}">📌</button>
+                <button class="voyageai-memory-action-btn edit" title="Edit memory">✏️</button>
+                <button class="voyageai-memory-action-btn delete" title="Delete memory">🗑️</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the versions of a fact around a viewer memory: the newer memories
+ * that made it outdated and the older ones it replaced
+ * @param {object} memory - Memory object
+ * @returns {string} HTML, empty if the memory is in no chain
+ */
+function renderSupersedeChain(memory) {
+    const byId = new Map(viewerState.memories.map(m => [m.id, m]));
+    const { older, newer } = getSupersedeChain(memory, byId);
+    const list = memories => memories.map(m => escapeHtml(m.summary)).join(" → ");
+    const lines = [];
+    
+    if (newer.length > 0) {
+        lines.push(`⚖️ Outdated by / 대체됨: ${list(newer)}`);
+    } else if (memory.metadata?.superseded_by) {
+        lines.push("⚖️ Outdated by a memory not shown here");
+    }
+    if (older.length > 0) {
+        lines.push(`⚖️ Replaces / 대체함: ${list(older)}`);
+    }
+    
+    return lines.length > 0
+        ? `<div class="voyageai-memory-chain">${lines.map(line => `<div>${line}</div>`).join("")}</div>`
+        : "";
+}
+
+/**
+ * Replace a viewer item with its edit form
+ * @param {jQuery} $item - Memory item element
+ */
+function showMemoryEditor($item) {
+    const memory = viewerState.memories.find(m => m.id === $item.data("id"));
+    if (!memory) return;
+    
+    const role = memory.metadata?.role || "assistant";
+    const roles = ["user", "assistant", "summary"].includes(role) ? ["user", "assistant", "summary"] : ["user", "assistant", "summary", role];
+    const options = roles.map(r => `<option value="${escapeHtml(r)}" ${r === role ? "selected" : ""}>${escapeHtml(r)}</option>`).join("");
+    
+    $item.find(".voyageai-memory-actions").hide();
+    $item.find(".voyageai-memory-summary").replaceWith(`
+        <div class="voyageai-memory-editor flex-container flexFlowColumn">
+            <textarea class="text_pole textarea_compact voyageai-edit-summary" rows="3">${escapeHtml(memory.summary)}</textarea>
+            <div class="flex-container alignItemsCenter">
+                <label>Role / 역할</label>
+                <select class="text_pole voyageai-edit-role">${options}</select>
+                <label>Importance / 중요도</label>
+                <input class="text_pole voyageai-edit-importance" type="number" min="1" max="10" step="1"
+                       value="${Math.round((memory.metadata?.importance ?? 0.5) * 9) + 1}" />
+            </div>
+            <div class="flex-container">
+                <input class="menu_button voyageai-edit-save" type="button" value="💾 Save" />
+                <input class="menu_button voyageai-edit-cancel" type="button" value="Cancel" />
+            </div>
+        </div>
+    `);
+}
+
+/**
+ * Save a viewer edit. A changed summary is embedded again so retrieval
+ * matches the new text.
+ * @param {jQuery} $item - Memory item element with an open editor
+ */
+async function saveMemoryEdit($item) {
+    const id = $item.data("id");
+    const memory = viewerState.memories.find(m => m.id === id);
+    if (!memory) return;
+    
+    const summary = String($item.find(".voyageai-edit-summary").val()).trim();
+    const role = $item.find(".voyageai-edit-role").val();
+    const rating = Math.min(10, Math.max(1, parseInt($item.find(".voyageai-edit-importance").val()) || 5));
+    
+    if (!summary) {
+        toastr.warning("Summary cannot be empty", "VoyageAI Memory");
+        return;
+    }
+    
+    const changes = { metadata: { role, importance: (rating - 1) / 9 } };
+    const $save = $item.find(".voyageai-edit-save").prop("disabled", true);
+    
+    try {
+        if (summary !== memory.summary) {
+            const embedding = await embeddingClient.embedDocument(summary);
+            if (!embedding || embedding.length === 0) {
+                throw new Error("Failed to generate embedding");
+            }
+            
+            const { provider, model } = embeddingClient.getDescriptor();
+            changes.summary = summary;
+            changes.embedding = embedding;
+            Object.assign(changes.metadata, {
+                embedding_provider: provider,
+                embedding_model: model,
+                embedding_dimensions: embedding.length,
+                edited_at: new Date().toISOString()
+            });
+        }
+        
+        const updated = await memoryStorage.updateMemory(viewerState.characterId, id, changes);
+        if (updated) {
+            viewerState.memories = viewerState.memories.map(m => m.id === id ? updated : m);
+        }
+        renderMemoryViewer();
+    } catch (error) {
+        console.error('[VoyageAI Memory] Memory edit failed:', error);
+        toastr.error(`Saving memory failed: ${error.message}`, "VoyageAI Memory");
+        $save.prop("disabled", false);
+    }
+}
+
+/**
+ * Run the viewer search. Text search filters as you type; semantic search
+ * embeds the query and lists memories by similarity.
+ */
+async function runViewerSearch() {
+    if (!viewerState) return;
+    
+    const query = String($("#voyageai_viewer_search").val() || "").trim();
+    viewerState.page = 0;
+    viewerState.scores = null;
+    
+    if (query && $("#voyageai_viewer_search_mode").val() === "semantic") {
+        try {
+            const embedding = await embeddingClient.embedQuery(query);
+            const results = await memoryStorage.searchSimilar(viewerState.characterId, embedding, viewerState.memories, VIEWER_SEMANTIC_LIMIT, 0);
+            viewerState.scores = new Map(results.map(r => [r.memory.id, r.similarity]));
+        } catch (error) {
+            console.error('[VoyageAI Memory] Semantic search failed:', error);
+            toastr.error(`Semantic search failed: ${error.message}`, "VoyageAI Memory");
+        }
+    }
+    
+    renderMemoryViewer();
+}
+
+/**
+ * Delete the memories selected in the viewer
+ */
+async function deleteSelectedMemories() {
+    if (!viewerState || viewerState.selected.size === 0) return;
+    
+    const selected = viewerState.selected;
+    if (!confirm(`Delete ${selected.size} memories? This cannot be undone.`)) {
+        return;
+    }
+    
+    const deleted = await memoryStorage.deleteWhere(viewerState.characterId, m => selected.has(m.id));
+    viewerState.memories = viewerState.memories.filter(m => !selected.has(m.id));
+    viewerState.selected = new Set();
+    
+    renderMemoryViewer();
+    await updateMemoryStats();
+    toastr.success(`Deleted ${deleted} memories`, "VoyageAI Memory");
+}
+
+/**
+ * Move or copy the memories selected in the viewer to another scope. Within
+ * the character's bank only the chat link changes: moving or copying to
+ * this chat attaches the memories to it.
+ * @param {boolean} copy - Copy rather than move
+ */
+async function transferSelectedMemories(copy) {
+    if (!viewerState || viewerState.selected.size === 0) return;
+    
+    const context = getContext();
+    const scope = $("#voyageai_viewer_target_scope").val();
+    const targetBank = getScopeBankId(scope, context);
+    const selected = viewerState.memories.filter(m => viewerState.selected.has(m.id));
+    
+    if (!targetBank) {
+        toastr.warning(scope === "persona" ? "No active persona" : "No active character", "VoyageAI Memory");
+        return;
+    }
+    
+    try {
+        let count = 0;
+        
+        if (targetBank === viewerState.characterId) {
+            const updates = new Map();
+            if (scope === "chat") {
+                for (const memory of selected) {
+                    const relink = getChatRelink(memory, context.chatId);
+                    if (relink) updates.set(memory.id, { metadata: relink });
+                }
+            }
+            count = updates.size > 0 ? await memoryStorage.updateMemories(targetBank, updates) : 0;
+        } else {
+            // A memory the target already has is left where it is
+            const moved = new Set();
+            for (const memory of selected) {
+                const { duplicate } = await memoryStorage.addMemory(targetBank, prepareForScope(memory, scope, { chatId: context.chatId, copy }));
+                if (!duplicate) moved.add(memory.id);
+            }
+            count = moved.size;
+            
+            if (!copy && moved.size > 0) {
+                await memoryStorage.deleteWhere(viewerState.characterId, m => moved.has(m.id));
+            }
+        }
+        
+        const page = viewerState.page;
+        await loadViewerScope(viewerState.scope);
+        viewerState.page = page;
+        renderMemoryViewer();
+        await updateMemoryStats();
+        toastr.success(`${copy ? "Copied" : "Moved"} ${count} memories to ${scope} scope`, "VoyageAI Memory");
+    } catch (error) {
+        console.error('[VoyageAI Memory] Transfer error:', error);
+        toastr.error(`Transfer failed: ${error.message}`, "VoyageAI Memory");
+    }
+}
+
+/**
+ * Promote the memories selected in the viewer into one World Info entry
+ */
+async function promoteSelectedMemories() {
+    if (!viewerState || viewerState.selected.size === 0) return;
+    
+    const selected = viewerState.memories
+        .filter(m => viewerState.selected.has(m.id))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const $button = $("#voyageai_viewer_promote").prop("disabled", true);
+    
+    try {
+        const result = await promoteToWorldInfo(viewerState.characterId, selected, { review: true });
+        if (!result) return;
+        
+        const memories = await memoryStorage.getMemories(viewerState.characterId);
+        const byId = new Map(memories.map(m => [m.id, m]));
+        viewerState.memories = viewerState.memories.map(m => byId.get(m.id) || m);
+        viewerState.selected = new Set();
+        renderMemoryViewer();
+        toastr.success(`Added World Info entry to ${result.book}`, "VoyageAI Memory");
+    } catch (error) {
+        console.error('[VoyageAI Memory] World Info promotion error:', error);
+        toastr.error(`Promotion failed: ${error.message}`, "VoyageAI Memory");
+    } finally {
+        $button.prop("disabled", viewerState.selected.size === 0);
+    }
+}
+
+/**
+ * Mark the selected memories outdated by the newest of them
+ */
+async function supersedeSelectedMemories() {
+    if (!viewerState || viewerState.selected.size < 2) return;
+    
+    const selected = viewerState.memories
+        .filter(m => viewerState.selected.has(m.id))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const newest = selected.pop();
+    
+    if (!confirm(`Mark ${selected.length} memories as outdated by "${newest.summary.substring(0, 80)}"?`)) return;
+    
+    const now = new Date().toISOString();
+    await memoryStorage.updateMemories(viewerState.characterId, new Map(selected.map(m => [m.id, {
+        metadata: { superseded_by: newest.id, superseded_at: now }
+    }])));
+    
+    const memories = await memoryStorage.getMemories(viewerState.characterId);
+    const byId = new Map(memories.map(m => [m.id, m]));
+    viewerState.memories = viewerState.memories.map(m => byId.get(m.id) || m);
+    viewerState.selected = new Set();
+    renderMemoryViewer();
+}
+
+/**
+ * Bind the memory viewer's toolbar and list handlers
+ */
+function bindViewerEvents() {
+    const $list = $("#voyageai_memories_list");
+    
+    $list.on("click", ".voyageai-memory-action-btn.delete", async function() {
+        const $item = $(this).closest(".voyageai-memory-item");
+        const id = $item.data("id");
+        
+        if (confirm("Delete this memory?")) {
+            await memoryStorage.deleteMemory(viewerState.characterId, id);
+            viewerState.memories = viewerState.memories.filter(m => m.id !== id);
+            viewerState.selected.delete(id);
+            $item.fadeOut(() => renderMemoryViewer());
+            await updateMemoryStats();
+        }
+    });
+    
+    $list.on("click", ".voyageai-memory-action-btn.pin", async function() {
+        const id = $(this).closest(".voyageai-memory-item").data("id");
+        const memory = viewerState.memories.find(m => m.id === id);
+        if (!memory) return;
+        
+        const updated = await memoryStorage.updateMemory(viewerState.characterId, id, { metadata: { pinned: !memory.metadata?.pinned } });
+        if (updated) {
+            viewerState.memories = viewerState.memories.map(m => m.id === id ? updated : m);
+            renderMemoryViewer();
+        }
+    });
+    
+    $list.on("click", ".voyageai-memory-action-btn.restore", async function() {
+        const id = $(this).closest(".voyageai-memory-item").data("id");
+        
+        const updated = await memoryStorage.updateMemory(viewerState.characterId, id, { metadata: { superseded_by: undefined, superseded_at: undefined } });
+        if (updated) {
+            viewerState.memories = viewerState.memories.map(m => m.id === id ? updated : m);
+            renderMemoryViewer();
+        }
+    });
+    
+    $list.on("click", ".voyageai-memory-action-btn.edit", function() {
+        showMemoryEditor($(this).closest(".voyageai-memory-item"));
+    });
+    
+    $list.on("click", ".voyageai-edit-save", function() {
+        saveMemoryEdit($(this).closest(".voyageai-memory-item"));
+    });
+    
+    $list.on("click", ".voyageai-edit-cancel", renderMemoryViewer);
+    
+    $list.on("change", ".voyageai-memory-select", function() {
+        const id = $(this).closest(".voyageai-memory-item").data("id");
+        if ($(this).prop("checked")) {
+            viewerState.selected.add(id);
+        } else {
+            viewerState.selected.delete(id);
+        }
+        renderMemoryViewer();
+    });
+    
+    $("#voyageai_viewer_select_page").on("change", function() {
+        const checked = $(this).prop("checked");
+        $list.find(".voyageai-memory-item").each(function() {
+            const id = $(this).data("id");
+            if (checked) {
+                viewerState.selected.add(id);
+            } else {
+                viewerState.selected.delete(id);
+            }
+        });
+        renderMemoryViewer();
+    });
+    
+    let searchTimer = null;
+    $("#voyageai_viewer_search").on("input", function() {
+        if ($("#voyageai_viewer_search_mode").val() === "semantic") return;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runViewerSearch, 200);
+    });
+    
+    $("#voyageai_viewer_search").on("keydown", function(event) {
+        if (event.key === "Enter") runViewerSearch();
+    });
+    
+    $("#voyageai_viewer_search_mode").on("change", runViewerSearch);
+    
+    $("#voyageai_viewer_participant, #voyageai_viewer_location").on("input", function() {
+        if (!viewerState) return;
+        viewerState.page = 0;
+        renderMemoryViewer();
+    });
+    
+    $("#voyageai_viewer_role, #voyageai_viewer_chat, #voyageai_viewer_from, #voyageai_viewer_to, #voyageai_viewer_pinned").on("change", function() {
+        if (!viewerState) return;
+        viewerState.page = 0;
+        renderMemoryViewer();
+    });
+    
+    $("#voyageai_viewer_prev").on("click", function() {
+        viewerState.page--;
+        renderMemoryViewer();
+    });
+    
+    $("#voyageai_viewer_next").on("click", function() {
+        viewerState.page++;
+        renderMemoryViewer();
+    });
+    
+    $("#voyageai_viewer_delete_selected").on("click", deleteSelectedMemories);
+    
+    $("#voyageai_viewer_scope").on("change", function() {
+        if (viewerState) loadViewerScope($(this).val());
+    });
+    
+    $("#voyageai_viewer_move").on("click", () => transferSelectedMemories(false));
+    $("#voyageai_viewer_copy").on("click", () => transferSelectedMemories(true));
+    $("#voyageai_viewer_promote").on("click", promoteSelectedMemories);
+    $("#voyageai_viewer_supersede").on("click", supersedeSelectedMemories);
 }
 
 /**
- * Process and store a message
- * @param {string} messageText - The message text
- * @param {string} role - 'user' or 'assistant'
- * @param {object} context - SillyTavern context
+ * List proposed duplicate merges in the memory viewer. Each proposal keeps
+ * the oldest memory; every duplicate is merged into it (deleted) or kept
+ * separate (marked distinct so it isn't proposed again), one at a time or
+ * all the remaining ones of the group at once.
  */
-async function processAndStoreMessage(messageText, role, context) {
-    if (isProcessing) {
-        log("Already processing, skipping message");
+async function showDuplicateProposals() {
+    const context = getContext();
+    const bankId = viewerState?.characterId ?? getActiveBankId(context);
+    
+    if (!bankId) {
+        toastr.warning("No active character", "VoyageAI Memory");
         return;
     }
     
-    if (!messageText || messageText.trim().length < 20) {
-        log("Message too short, skipping");
+    const settings = getSettings();
+    const memories = await memoryStorage.getMemories(bankId);
+    const groups = findDuplicateGroups(memories, settings.duplicate_threshold ?? 0.95);
+    const $list = $("#voyageai_memories_list");
+    $list.empty();
+    $("#voyageai_viewer_count").text(`${groups.length} duplicate groups`);
+    
+    if (groups.length === 0) {
+        $list.html(`
+            <div class="voyageai-empty-state">
+                <div class="voyageai-empty-state-icon">✨</div>
+                <div>No duplicates found</div>
+            </div>
+        `);
         return;
     }
     
-    const settings = getSettings();
-    isProcessing = true;
-    showProcessingIndicator("Processing message...");
+    $list.append(`<div class="voyageai-hint">${groups.length} possible duplicate groups. Merge or keep separate each duplicate of the first memory.</div>`);
     
-    try {
-        // Get recent summaries for history context if enabled
-        let summaryHistory = [];
-        if (settings.include_history && context.characterId) {
-            summaryHistory = await getRecentSummaries(context.characterId, settings.history_count || 3);
-        }
+    groups.forEach((group, index) => {
+        const duplicates = group.duplicates.map(({ memory, similarity }, position) => `
+            <div class="voyageai-duplicate-entry" data-duplicate="${position}">
+                <span class="voyageai-memory-time">${(similarity * 100).toFixed(0)}% · ${formatTimeAgo(new Date(memory.timestamp))}</span>
+                <div class="voyageai-memory-summary">${escapeHtml(memory.summary)}</div>
+                <div class="voyageai-memory-actions">
+                    <button class="voyageai-memory-action-btn voyageai-duplicate-merge" title="Merge into the kept memory">✓</button>
+                    <button class="voyageai-memory-action-btn voyageai-duplicate-reject" title="Keep separate">✗</button>
+                </div>
+            </div>
+        `).join("");
         
-        // Get recent raw messages for context if enabled
-        let rawHistory = [];
-        if (settings.include_raw_history) {
-            // Find the index of the current message to exclude it
-            const currentMsgIndex = context.chat.findIndex(m => m.mes === messageText);
-            rawHistory = getRecentRawMessages(
-                context,
-                settings.raw_history_count || 5,
-                settings.raw_include_bot !== false,
-                settings.raw_include_user !== false,
-                currentMsgIndex
-            );
-        }
+        $list.append(`
+            <div class="voyageai-memory-item voyageai-duplicate-group" data-index="${index}">
+                <div class="voyageai-memory-header">
+                    <span class="voyageai-memory-time">Keep · ${formatTimeAgo(new Date(group.keep.timestamp))}</span>
+                </div>
+                <div class="voyageai-memory-summary">${escapeHtml(group.keep.summary)}</div>
+                ${duplicates}
+                <div class="flex-container">
+                    <input class="menu_button voyageai-duplicate-merge-all" type="button" value="✓ Merge All" />
+                    <input class="menu_button voyageai-duplicate-reject-all" type="button" value="✗ Keep All Separate" />
+                </div>
+            </div>
+        `);
+    });
+    
+    // Merge the decided duplicates into the kept memory, or mark them distinct from it (and, together, from each other)
+    const decide = async ($entries, merge) => {
+        if ($entries.length === 0) return;
         
-        // Step 1: Summarize with full context
-        showProcessingIndicator("Summarizing...");
-        const summary = await summarizerClient.summarize(messageText, {
-            role: role,
-            characterName: context.name2,
-            userName: context.name1 || 'User',
-            wordLimit: settings.word_limit || 50,
-            summaryHistory: summaryHistory,
-            rawHistory: rawHistory
-        });
+        const $item = $entries.closest(".voyageai-duplicate-group");
+        const group = groups[$item.data("index")];
+        const ids = $entries.map((_, entry) => group.duplicates[$(entry).data("duplicate")].memory.id).get();
         
-        if (!summary) {
-            throw new Error("Failed to generate summary");
+        if (merge) {
+            await memoryStorage.mergeDuplicates(bankId, group.keep.id, ids);
+            viewerState.memories = await memoryStorage.getMemories(bankId);
+            await updateMemoryStats();
+        } else {
+            await memoryStorage.markDistinct(bankId, [group.keep.id, ...ids]);
         }
         
-        // Step 2: Generate embedding
-        showProcessingIndicator("Generating embedding...");
-        const embedding = await voyageClient.embedDocument(summary);
-        
-        if (!embedding || embedding.length === 0) {
-            throw new Error("Failed to generate embedding");
+        $entries.remove();
+        if ($item.find(".voyageai-duplicate-entry").length === 0) {
+            $item.fadeOut(() => $item.remove());
         }
-        
-        // Step 3: Store memory
-        showProcessingIndicator("Storing memory...");
-        const memory = createMemory(messageText, summary, embedding, {
-            role: role,
-            chatId: context.chatId
-        });
-        
-        await memoryStorage.addMemory(context.characterId, memory);
-        
-        log(`Stored memory for ${role}: ${summary.substring(0, 50)}...`);
-        await updateMemoryStats();
-        
-        toastr.success("Memory stored successfully", "VoyageAI Memory");
-    } catch (error) {
-        console.error('[VoyageAI Memory] Processing error:', error);
-        toastr.error(`Failed to process message: ${error.message}`, "VoyageAI Memory");
-    } finally {
-        isProcessing = false;
-        hideProcessingIndicator();
-    }
+    };
+    
+    $list.find(".voyageai-duplicate-merge").on("click", function() {
+        decide($(this).closest(".voyageai-duplicate-entry"), true);
+    });
+    
+    $list.find(".voyageai-duplicate-reject").on("click", function() {
+        decide($(this).closest(".voyageai-duplicate-entry"), false);
+    });
+    
+    $list.find(".voyageai-duplicate-merge-all").on("click", function() {
+        decide($(this).closest(".voyageai-duplicate-group").find(".voyageai-duplicate-entry"), true);
+    });
+    
+    $list.find(".voyageai-duplicate-reject-all").on("click", function() {
+        decide($(this).closest(".voyageai-duplicate-group").find(".voyageai-duplicate-entry"), false);
+    });
 }
 
 /**
- * Retrieve relevant memories for a query
- * @param {string} queryText - The query text
- * @returns {Promise<Array>} Relevant memories with similarity scores
+ * Show the retrieval inspector
  */
-async function retrieveRelevantMemories(queryText) {
-    const settings = getSettings();
-    const context = getContext();
-    
-    if (!context.characterId) return [];
-    
-    try {
-        // Generate query embedding
-        const queryEmbedding = await voyageClient.embedQuery(queryText);
-        
-        if (!queryEmbedding || queryEmbedding.length === 0) {
-            return [];
-        }
-        
-        // Load memories
-        const memories = await memoryStorage.getMemories(context.characterId);
-        
-        if (memories.length === 0) return [];
-        
-        // Find similar memories
-        const results = findTopKSimilar(
-            queryEmbedding,
-            memories,
-            settings.top_k,
-            settings.similarity_threshold
-        );
-        
-        log(`Found ${results.length} relevant memories`);
-        return results;
-    } catch (error) {
-        console.error('[VoyageAI Memory] Retrieval error:', error);
-        return [];
-    }
+function showInspector() {
+    $("#voyageai_inspector").show();
+    refreshInspector();
 }
 
 /**
- * Format memories for context injection
- * @param {Array} memories - Array of {memory, similarity} objects
- * @returns {string} Formatted memory text
+ * Hide the retrieval inspector
  */
-function formatMemoriesForInjection(memories) {
-    const settings = getSettings();
-    
-    const memoryTexts = memories.map((item, index) => {
-        const memory = item.memory;
-        const score = (item.similarity * 100).toFixed(0);
-        return `${index + 1}. [${memory.metadata.role}] ${memory.summary} (relevance: ${score}%)`;
-    }).join('\n');
-    
-    const template = settings.memory_template || "[Relevant memories:\n{{memories}}]";
-    return template.replace('{{memories}}', memoryTexts);
+function hideInspector() {
+    $("#voyageai_inspector").hide();
 }
 
 /**
- * Test summarization API connection
+ * Refresh the inspector's trace list, keeping the selected trace if it is
+ * still logged. Does nothing while the inspector is closed.
+ * @param {number} [selectId] - Trace to select instead
  */
-async function testSummarizationConnection() {
-    const $status = $("#voyageai_summarization_status");
-    $status.text("Testing...").removeClass().addClass("voyageai-status voyageai-status-pending");
+function refreshInspector(selectId) {
+    if (!$("#voyageai_inspector").is(":visible")) return;
     
-    try {
-        const success = await summarizerClient.testConnection();
-        if (success) {
-            $status.text("✓ Connected").removeClass().addClass("voyageai-status voyageai-status-success");
-        } else {
-            throw new Error("Connection failed");
-        }
-    } catch (error) {
-        $status.text("✗ Failed").removeClass().addClass("voyageai-status voyageai-status-error");
-        toastr.error(`Summarization API test failed: ${error.message}`, "VoyageAI Memory");
+    const $select = $("#voyageai_inspector_trace");
+    const current = selectId ?? parseInt($select.val());
+    const traces = retrievalLog.list();
+    
+    $select.empty();
+    for (const trace of traces) {
+        const time = new Date(trace.time).toLocaleTimeString();
+        const rerun = trace.rerunOf ? ` (re-run of #${trace.rerunOf})` : "";
+        const count = trace.injection?.count ?? 0;
+        $select.append($("<option>").val(trace.id).text(`#${trace.id} ${time} · ${trace.characterName || trace.characterId} · ${count} injected${rerun}`));
+    }
+    
+    const selected = retrievalLog.get(current) || traces[0];
+    if (!selected) {
+        $("#voyageai_inspector_details").html(`
+            <div class="voyageai-empty-state">
+                <div class="voyageai-empty-state-icon">🔬</div>
+                <div>No retrievals yet. Send a message to log one.</div>
+            </div>
+        `);
+        $("#voyageai_inspector_rerun_block").hide();
+        return;
+    }
+    
+    $select.val(selected.id);
+    renderTrace(selected);
+    
+    // The re-run form keeps its edits until another trace is chosen
+    if (!retrievalLog.get(parseInt($("#voyageai_inspector_rerun_block").data("trace")))) {
+        prefillRerun(selected);
     }
 }
 
 /**
- * Test VoyageAI embedding connection
+ * Render one trace: queries, settings, every candidate with its scores and
+ * stage, and the injected text. A re-run is compared with its original.
+ * @param {object} trace - Retrieval trace
  */
-async function testEmbeddingConnection() {
-    const $status = $("#voyageai_embedding_status");
-    $status.text("Testing...").removeClass().addClass("voyageai-status voyageai-status-pending");
+function renderTrace(trace) {
+    const settings = trace.settings || {};
+    const original = trace.rerunOf ? retrievalLog.get(trace.rerunOf) : null;
+    const diff = original ? compareTraces(original, trace) : null;
+    const added = new Set(diff?.added || []);
+    const format = value => value === undefined || value === null ? "" : Number(value).toFixed(3);
     
-    try {
-        const success = await voyageClient.testConnection();
-        if (success) {
-            $status.text("✓ Connected").removeClass().addClass("voyageai-status voyageai-status-success");
-        } else {
-            throw new Error("Connection failed");
-        }
-    } catch (error) {
-        $status.text("✗ Failed").removeClass().addClass("voyageai-status voyageai-status-error");
-        toastr.error(`VoyageAI API test failed: ${error.message}`, "VoyageAI Memory");
-    }
+    const queries = (trace.queries || []).map(q => `
+        <div><b>${escapeHtml(q.label)}</b><pre class="voyageai-inspector-pre">${escapeHtml(q.text)}</pre></div>
+    `).join("");
+    
+    const rows = trace.candidates.map((c, index) => {
+        const scores = [
+            c.rerankScore !== undefined ? `rerank ${format(c.rerankScore)}` : "",
+            c.lexicalScore ? `keyword ${format(c.lexicalScore)}` : "",
+            c.score !== undefined ? `score ${format(c.score)}` : "",
+            c.pinned ? "📌 pinned" : "",
+            c.matchedBy?.includes("graph") ? "🕸️ graph" : "",
+            c.superseded ? "⚖️ outdated" : ""
+        ].filter(Boolean).join(" · ");
+        const rowClass = added.has(c.id) ? "voyageai-inspector-added" : "";
+        
+        return `
+            <tr class="${rowClass}">
+                <td>${index + 1}</td>
+                <td><span class="voyageai-inspector-stage voyageai-inspector-stage-${c.stage}">${c.stage}</span></td>
+                <td>${format(c.similarity)}</td>
+                <td>${scores}</td>
+                <td>[${escapeHtml(c.level === "message" ? c.role || "" : c.level)}] ${escapeHtml(c.summary || "")}</td>
+            </tr>
+        `;
+    }).join("");
+    
+    const injection = trace.injection || {};
+    const comparison = diff
+        ? `<div class="voyageai-inspector-section">Compared with #${original.id}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.kept.length} kept</div>`
+        : "";
+    
+    $("#voyageai_inspector_details").html(`
+        ${comparison}
+        ${trace.error ? `<div class="voyageai-status voyageai-status-error">Retrieval failed: ${escapeHtml(trace.error)}</div>` : ""}
+        <div class="voyageai-inspector-section">${queries || "<i>No query</i>"}</div>
+        <div class="voyageai-inspector-section voyageai-hint">
+            Top K ${settings.top_k} · threshold ${settings.rerank_enabled ? `rerank ${settings.rerank_threshold || 0}` : settings.similarity_threshold}
+            · budget ${settings.token_budget || "none"}
+            ${settings.hybrid_enabled ? "· hybrid" : ""}${settings.rerank_enabled ? " · rerank" : ""}${settings.mmr_enabled ? " · MMR" : ""}
+        </div>
+        <table class="voyageai-inspector-table">
+            <tr><th>#</th><th>Stage</th><th>Similarity</th><th>Scores</th><th>Memory</th></tr>
+            ${rows || '<tr><td colspan="5"><i>No candidates</i></td></tr>'}
+        </table>
+        <div class="voyageai-inspector-section">
+            <b>Injected:</b> ${injection.count || 0} memories, ${injection.tokens || 0} tokens
+            (position: ${escapeHtml(String(injection.position ?? ""))}, depth: ${injection.depth ?? 0})${trace.rerunOf ? " · not sent" : ""}
+            ${injection.pinnedDropped > 0 ? `<div class="voyageai-status voyageai-status-error">⚠️ ${injection.pinnedDropped} pinned memories left out: the token budget is too small</div>` : ""}
+            <pre class="voyageai-inspector-pre">${escapeHtml(injection.text || "")}</pre>
+        </div>
+    `);
 }
 
 /**
- * Store all messages from current chat
+ * Fill the re-run form from a trace
+ * @param {object} trace - Retrieval trace
  */
-async function storeCurrentChat() {
-    const context = getContext();
+function prefillRerun(trace) {
+    const settings = trace.settings || {};
+    const query = Array.isArray(trace.turns) ? formatTurns(trace.turns) : trace.turns;
     
-    if (!context.characterId || !context.chat) {
-        toastr.warning("No active chat to process", "VoyageAI Memory");
-        return;
-    }
+    $("#voyageai_inspector_rerun_block").data("trace", trace.id).show();
+    $("#voyageai_inspector_query").val(query || "");
+    $("#voyageai_inspector_top_k").val(settings.top_k);
+    $("#voyageai_inspector_threshold").val(settings.similarity_threshold);
+    $("#voyageai_inspector_budget").val(settings.token_budget || 0);
+    $("#voyageai_inspector_hybrid").prop("checked", !!settings.hybrid_enabled);
+    $("#voyageai_inspector_rerank").prop("checked", !!settings.rerank_enabled);
+    $("#voyageai_inspector_mmr").prop("checked", !!settings.mmr_enabled);
+}
+
+/**
+ * Re-run the selected trace's retrieval with the settings in the re-run
+ * form. Nothing is injected; the result is logged as a new trace and
+ * compared with the original.
+ */
+async function rerunRetrieval() {
+    const original = retrievalLog.get(parseInt($("#voyageai_inspector_rerun_block").data("trace")));
+    if (!original) return;
     
-    const messages = context.chat.filter(m => !m.is_system && m.mes && m.mes.length >= 20);
+    const banks = original.banks || [original.characterId];
     
-    if (messages.length === 0) {
-        toastr.info("No messages to store", "VoyageAI Memory");
-        return;
-    }
+    // An edited query is searched as plain text; otherwise the original turns are reused
+    const text = String($("#voyageai_inspector_query").val() || "").trim();
+    const originalText = Array.isArray(original.turns) ? formatTurns(original.turns) : original.turns;
+    const query = text === originalText ? original.turns : text;
     
-    if (!confirm(`This will process ${messages.length} messages. Continue?`)) {
+    if (!query || query.length === 0) {
+        toastr.warning("Enter a query to re-run", "VoyageAI Memory");
         return;
     }
     
-    let processed = 0;
-    let failed = 0;
+    const settings = {
+        ...getSettings(),
+        ...original.settings,
+        top_k: Math.max(1, parseInt($("#voyageai_inspector_top_k").val()) || 5),
+        similarity_threshold: parseFloat($("#voyageai_inspector_threshold").val()) || 0,
+        token_budget: Math.max(0, parseInt($("#voyageai_inspector_budget").val()) || 0),
+        hybrid_enabled: $("#voyageai_inspector_hybrid").prop("checked"),
+        rerank_enabled: $("#voyageai_inspector_rerank").prop("checked"),
+        mmr_enabled: $("#voyageai_inspector_mmr").prop("checked")
+    };
     
-    for (const message of messages) {
-        try {
-            showProcessingIndicator(`Processing ${processed + 1}/${messages.length}...`);
-            
-            const role = message.is_user ? "user" : "assistant";
-            
-            // Summarize
-            const summary = await summarizerClient.summarize(message.mes, {
-                role: role,
-                characterName: context.name2
-            });
-            
-            // Embed
-            const embedding = await voyageClient.embedDocument(summary);
-            
-            // Store
-            const memory = createMemory(message.mes, summary, embedding, {
-                role: role,
-                chatId: context.chatId
-            });
-            
-            await memoryStorage.addMemory(context.characterId, memory);
-            processed++;
-            
-            // Rate limiting delay
-            await new Promise(resolve => setTimeout(resolve, 200));
-        } catch (error) {
-            console.error('[VoyageAI Memory] Error processing message:', error);
-            failed++;
-        }
-    }
+    const trace = {
+        characterId: original.characterId,
+        characterName: original.characterName,
+        banks,
+        chatId: original.chatId ?? null,
+        turns: query,
+        settings: snapshotSettings(settings),
+        candidates: [],
+        rerunOf: original.id
+    };
     
-    hideProcessingIndicator();
-    await updateMemoryStats();
+    const $button = $("#voyageai_inspector_rerun").prop("disabled", true);
     
-    toastr.success(`Processed ${processed} messages (${failed} failed)`, "VoyageAI Memory");
+    try {
+        const results = await retrieveRelevantMemories(query, { settings, banks, chatId: trace.chatId, trace, recordAccess: false });
+        const pinned = await getPinnedMemories(banks, trace.chatId);
+        const injection = results.length > 0 || pinned.length > 0
+            ? await formatMemoriesForInjection(results, settings, banks, pinned)
+            : { text: "", count: 0, tokens: 0, items: [] };
+        
+        recordInjection(trace, {
+            ...injection,
+            position: settings.injection_position,
+            depth: settings.injection_depth || 0
+        });
+        refreshInspector(retrievalLog.add(trace).id);
+    } catch (error) {
+        console.error('[VoyageAI Memory] Inspector re-run failed:', error);
+        toastr.error(`Re-run failed: ${error.message}`, "VoyageAI Memory");
+    } finally {
+        $button.prop("disabled", false);
+    }
 }
 
 /**
- * Clear memories for current character
+ * Open the knowledge graph panel for a bank. Links to memories deleted
+ * since the graph was last updated are dropped.
+ * @param {string|null} bankId - Bank ID
  */
-async function clearCurrentMemories() {
-    const context = getContext();
-    
-    if (!context.characterId) {
+async function showGraphPanel(bankId) {
+    if (!bankId) {
         toastr.warning("No active character", "VoyageAI Memory");
         return;
     }
     
-    if (!confirm(`Clear all memories for ${context.name2}? This cannot be undone.`)) {
-        return;
+    const graph = await memoryStorage.getGraph(bankId);
+    const memories = await memoryStorage.getMemories(bankId);
+    if (pruneGraph(graph, new Set(memories.map(m => m.id))) > 0) {
+        await memoryStorage.saveGraph(bankId, graph);
     }
     
-    await memoryStorage.clearMemories(context.characterId);
-    await updateMemoryStats();
+    graphState = {
+        bankId: bankId,
+        graph: graph,
+        memories: new Map(memories.map(m => [m.id, m])),
+        selected: null
+    };
     
-    toastr.success("Memories cleared", "VoyageAI Memory");
+    $("#voyageai_graph_search").val("");
+    renderGraphPanel();
+    $("#voyageai_graph_panel").show();
 }
 
 /**
- * Export memories to JSON file
+ * Hide the knowledge graph panel
  */
-async function exportMemories() {
-    const context = getContext();
+function hideGraphPanel() {
+    $("#voyageai_graph_panel").hide();
+    graphState = null;
+}
+
+/**
+ * Render the entity list, filtered by the search box, and the selected entity
+ */
+function renderGraphPanel() {
+    const { graph, selected } = graphState;
+    const search = $("#voyageai_graph_search").val().trim().toLowerCase();
+    const nodes = graph.nodes
+        .filter(n => !search || [n.name, ...n.aliases].some(name => name.toLowerCase().includes(search)))
+        .sort((a, b) => b.memory_ids.length - a.memory_ids.length || a.name.localeCompare(b.name));
     
-    if (!context.characterId) {
-        toastr.warning("No active character", "VoyageAI Memory");
-        return;
-    }
+    $("#voyageai_graph_count").text(`${graph.nodes.length} entities · ${graph.edges.length} relations`);
     
-    try {
-        const json = await memoryStorage.exportMemories(context.characterId);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${context.name2}_memories.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        toastr.success("Memories exported", "VoyageAI Memory");
-    } catch (error) {
-        toastr.error(`Export failed: ${error.message}`, "VoyageAI Memory");
+    if (graph.nodes.length === 0) {
+        $("#voyageai_graph_nodes").html(`
+            <div class="voyageai-empty-state">
+                <div class="voyageai-empty-state-icon">🕸️</div>
+                <div>No entities yet</div>
+                <small>Enable the knowledge graph to extract them from new memories</small>
+            </div>
+        `);
+    } else {
+        $("#voyageai_graph_nodes").html(nodes.map(n => `
+            <div class="voyageai-graph-node ${n.id === selected ? "selected" : ""}" data-index="${graph.nodes.indexOf(n)}">
+                <span>${escapeHtml(n.name)}</span>
+                <small class="voyageai-hint">${escapeHtml(n.type)} · ${n.memory_ids.length}</small>
+            </div>
+        `).join(""));
     }
+    
+    renderGraphDetails();
 }
 
 /**
- * Import memories from JSON file
+ * Render the selected entity: its fields, relations and memories
  */
-async function importMemories(event) {
-    const context = getContext();
+function renderGraphDetails() {
+    const { graph, memories } = graphState;
+    const node = graph.nodes.find(n => n.id === graphState.selected);
+    const $details = $("#voyageai_graph_details");
     
-    if (!context.characterId) {
-        toastr.warning("No active character", "VoyageAI Memory");
+    if (!node) {
+        $details.html('<small class="voyageai-hint">Select an entity to see and edit it / 개체를 선택하세요</small>');
         return;
     }
     
-    const file = event.target.files[0];
-    if (!file) return;
+    // Entities and relations are referred to by position: their IDs are names and may hold quotes
+    const link = id => {
+        const index = graph.nodes.findIndex(n => n.id === id);
+        return `<a class="voyageai-graph-link" data-index="${index}">${escapeHtml(graph.nodes[index]?.name || id)}</a>`;
+    };
+    const relations = graph.edges
+        .filter(e => e.source === node.id || e.target === node.id)
+        .map(e => `
+            <div class="voyageai-graph-edge flex-container alignItemsCenter" data-index="${graph.edges.indexOf(e)}">
+                <span class="flex1">${link(e.source)} → ${escapeHtml(e.relation)} → ${link(e.target)}</span>
+                <button class="voyageai-memory-action-btn voyageai-graph-edge-delete" title="Delete relation">🗑️</button>
+            </div>
+        `).join("");
+    const summaries = node.memory_ids
+        .map(id => memories.get(id))
+        .filter(Boolean)
+        .map(m => `<div class="voyageai-duplicate-entry">${escapeHtml(m.summary)}</div>`)
+        .join("");
+    const types = ENTITY_TYPES.map(type => `<option value="${type}" ${type === node.type ? "selected" : ""}>${type}</option>`).join("");
+    const others = graph.nodes
+        .filter(n => n !== node)
+        .map(n => `<option value="${graph.nodes.indexOf(n)}">${escapeHtml(n.name)}</option>`)
+        .join("");
     
-    try {
-        const text = await file.text();
-        const merge = confirm("Merge with existing memories? (Cancel to replace)");
-        const count = await memoryStorage.importMemories(context.characterId, text, merge);
-        
-        await updateMemoryStats();
-        toastr.success(`Imported ${count} memories`, "VoyageAI Memory");
-    } catch (error) {
-        toastr.error(`Import failed: ${error.message}`, "VoyageAI Memory");
-    }
+    $details.html(`
+        <div class="flex-container flexFlowColumn marginBot5">
+            <label for="voyageai_graph_name">Name / 이름</label>
+            <input id="voyageai_graph_name" type="text" class="text_pole" />
+            <label for="voyageai_graph_type">Type / 유형</label>
+            <select id="voyageai_graph_type" class="text_pole">${types}</select>
+            <label for="voyageai_graph_aliases">Aliases / 별칭</label>
+            <input id="voyageai_graph_aliases" type="text" class="text_pole" />
+            <small class="voyageai-hint">Comma-separated; a query naming an alias finds this entity</small>
+            <div class="flex-container">
+                <input id="voyageai_graph_save" class="menu_button" type="button" value="💾 Save" />
+                <input id="voyageai_graph_delete" class="menu_button" type="button" value="🗑️ Delete Entity" />
+            </div>
+        </div>
+        <div class="voyageai-inspector-section">
+            <b>Relations / 관계</b>
+            ${relations || '<div><small class="voyageai-hint">No relations</small></div>'}
+            <div class="flex-container alignItemsCenter">
+                <input id="voyageai_graph_relation" type="text" class="text_pole flex1" placeholder="e.g. sister of / 관계" />
+                <input id="voyageai_graph_target" type="text" class="text_pole flex1" placeholder="Entity / 개체" list="voyageai_graph_names" />
+                <datalist id="voyageai_graph_names"></datalist>
+                <input id="voyageai_graph_add_edge" class="menu_button" type="button" value="➕ Add" />
+            </div>
+        </div>
+        ${others ? `
+        <div class="voyageai-inspector-section flex-container alignItemsCenter">
+            <select id="voyageai_graph_merge_from" class="text_pole flex1">${others}</select>
+            <input id="voyageai_graph_merge" class="menu_button" type="button" value="Merge into this / 이 개체로 합치기" />
+        </div>` : ""}
+        <div class="voyageai-inspector-section">
+            <b>Memories / 기억 (${node.memory_ids.length})</b>
+            ${summaries || '<div><small class="voyageai-hint">Added by hand</small></div>'}
+        </div>
+    `);
     
-    // Reset file input
-    event.target.value = '';
+    $("#voyageai_graph_name").val(node.name);
+    $("#voyageai_graph_aliases").val(node.aliases.join(", "));
+    $("#voyageai_graph_names").append(graph.nodes.filter(n => n !== node).map(n => $("<option>").val(n.name)));
 }
 
 /**
- * Show memory viewer modal
+ * Save the graph panel's graph and re-render it
  */
-async function showMemoryViewer() {
-    const context = getContext();
+async function saveGraphPanel() {
+    await memoryStorage.saveGraph(graphState.bankId, graphState.graph);
+    renderGraphPanel();
+}
+
+/**
+ * Bind event handlers for the knowledge graph panel
+ */
+function bindGraphEvents() {
+    const $panel = $("#voyageai_graph_panel");
+    const selectedNode = () => graphState.graph.nodes.find(n => n.id === graphState.selected);
     
-    if (!context.characterId) {
-        toastr.warning("No active character", "VoyageAI Memory");
-        return;
-    }
+    $("#voyageai_graph_search").on("input", () => renderGraphPanel());
     
-    const memories = await memoryStorage.getMemories(context.characterId);
-    const $list = $("#voyageai_memories_list");
-    $list.empty();
+    $panel.on("click", ".voyageai-graph-node, .voyageai-graph-link", function() {
+        const node = graphState.graph.nodes[$(this).data("index")];
+        if (!node) return;
+        
+        graphState.selected = node.id;
+        renderGraphPanel();
+    });
     
-    if (memories.length === 0) {
-        $list.html(`
-            <div class="voyageai-empty-state">
-                <div class="voyageai-empty-state-icon">🧠</div>
-                <div>No memories stored yet</div>
-            </div>
-        `);
-    } else {
-        // Sort by timestamp descending (newest first)
-        const sortedMemories = [...memories].sort((a, b) => 
-            new Date(b.timestamp) - new Date(a.timestamp)
-        );
+    $panel.on("click", "#voyageai_graph_save", async function() {
+        const node = selectedNode();
+        const name = $("#voyageai_graph_name").val().trim();
+        if (!node || !name) return;
         
-        for (const memory of sortedMemories) {
-            const roleClass = memory.metadata.role === 'user' 
-                ? 'voyageai-memory-role-user' 
-                : 'voyageai-memory-role-assistant';
-            
-            const timeAgo = formatTimeAgo(new Date(memory.timestamp));
-            
-            $list.append(`
-                <div class="voyageai-memory-item" data-id="${memory.id}">
-                    <div class="voyageai-memory-header">
-                        <span class="voyageai-memory-time">${timeAgo}</span>
-                        <span class="voyageai-memory-role ${roleClass}">${memory.metadata.role}</span>
-                    </div>
-                    <div class="voyageai-memory-summary">${escapeHtml(memory.summary)}</div>
-                    <div class="voyageai-memory-original">${escapeHtml(memory.original_message.substring(0, 200))}...</div>
-                    <div class="voyageai-memory-actions">
-                        <button class="voyageai-memory-action-btn delete" title="Delete memory">🗑️</button>
-                    </div>
-                </div>
-            `);
+        const existing = findNode(graphState.graph, name);
+        if (existing && existing !== node) {
+            toastr.warning(`"${existing.name}" already exists; merge the entities instead`, "VoyageAI Memory");
+            return;
         }
         
-        // Bind delete handlers
-        $list.find(".voyageai-memory-action-btn.delete").on("click", async function() {
-            const $item = $(this).closest(".voyageai-memory-item");
-            const id = $item.data("id");
-            
-            if (confirm("Delete this memory?")) {
-                await memoryStorage.deleteMemory(context.characterId, id);
-                $item.fadeOut(() => $item.remove());
-                await updateMemoryStats();
-            }
-        });
-    }
+        node.name = name;
+        node.type = $("#voyageai_graph_type").val();
+        node.aliases = [...new Set($("#voyageai_graph_aliases").val().split(",").map(a => a.trim()).filter(Boolean))];
+        await saveGraphPanel();
+    });
+    
+    $panel.on("click", "#voyageai_graph_delete", async function() {
+        const node = selectedNode();
+        if (!node || !confirm(`Delete "${node.name}" and its relations?`)) return;
+        
+        deleteNode(graphState.graph, node.id);
+        graphState.selected = null;
+        await saveGraphPanel();
+    });
+    
+    $panel.on("click", ".voyageai-graph-edge-delete", async function() {
+        const edge = graphState.graph.edges[$(this).closest(".voyageai-graph-edge").data("index")];
+        if (!edge) return;
+        
+        deleteEdge(graphState.graph, edge.id);
+        await saveGraphPanel();
+    });
+    
+    $panel.on("click", "#voyageai_graph_add_edge", async function() {
+        const node = selectedNode();
+        const relation = $("#voyageai_graph_relation").val().trim();
+        const targetName = $("#voyageai_graph_target").val().trim();
+        if (!node || !relation || !targetName) return;
+        
+        const target = upsertNode(graphState.graph, { name: targetName }, null, true);
+        if (target === node) return;
+        
+        upsertEdge(graphState.graph, node.id, target.id, relation, null, true);
+        await saveGraphPanel();
+    });
     
-    $("#voyageai_memory_viewer").show();
+    $panel.on("click", "#voyageai_graph_merge", async function() {
+        const node = selectedNode();
+        const other = graphState.graph.nodes[parseInt($("#voyageai_graph_merge_from").val())];
+        if (!node || !other || !confirm(`Merge "${other.name}" into "${node.name}"?`)) return;
+        
+        mergeNodes(graphState.graph, node.id, other.id);
+        await saveGraphPanel();
+    });
 }
 
 /**
@@ -898,12 +4032,68 @@ function updateUI() {
     $("#voyageai_summarization_model").val(settings.summarization_model);
     $("#voyageai_api_key").val(settings.voyage_api_key);
     $("#voyageai_model").val(settings.voyage_model);
+    $("#voyageai_output_dimension").val(String(settings.voyage_output_dimension || 0));
+    $("#voyageai_embedding_provider").val(settings.embedding_provider || "voyageai");
+    $("#voyageai_embedding_url").val(settings.embedding_url);
+    $("#voyageai_embedding_key").val(settings.embedding_key);
+    $("#voyageai_embedding_model").val(settings.embedding_model);
+    $("#voyageai_auto_reembed").prop("checked", settings.auto_reembed !== false);
+    updateEmbeddingProviderVisibility();
     $("#voyageai_auto_store").prop("checked", settings.auto_store);
     $("#voyageai_auto_retrieve").prop("checked", settings.auto_retrieve);
+    $("#voyageai_memory_scope").val(settings.memory_scope || "character");
     $("#voyageai_top_k").val(settings.top_k);
     $("#voyageai_similarity_threshold").val(settings.similarity_threshold);
     $("#voyageai_injection_position").val(settings.injection_position);
     $("#voyageai_injection_depth").val(settings.injection_depth || 0);
+    $("#voyageai_token_budget").val(settings.token_budget || 0);
+    $("#voyageai_budget_overflow").val(settings.budget_overflow || "truncate");
+    $("#voyageai_storage_backend").val(settings.storage_backend || "indexeddb");
+    $("#voyageai_embedding_format").val(settings.embedding_format || "float32");
+    $("#voyageai_duplicate_threshold").val(settings.duplicate_threshold ?? 0.95);
+    $("#voyageai_query_turns").val(settings.query_turns || 1);
+    $("#voyageai_query_user_weight").val(settings.query_user_weight ?? 1);
+    $("#voyageai_query_assistant_weight").val(settings.query_assistant_weight ?? 0.5);
+    $("#voyageai_query_recency_decay").val(settings.query_recency_decay ?? 0.8);
+    $("#voyageai_query_rewrite").prop("checked", settings.query_rewrite);
+    $("#voyageai_query_hyde").prop("checked", settings.query_hyde);
+    $("#voyageai_rate_importance").prop("checked", settings.rate_importance);
+    $("#voyageai_structured_extraction").prop("checked", settings.structured_extraction);
+    $("#voyageai_ranking_recency_weight").val(settings.ranking_recency_weight || 0);
+    $("#voyageai_ranking_half_life_days").val(settings.ranking_half_life_days || 30);
+    $("#voyageai_ranking_importance_weight").val(settings.ranking_importance_weight || 0);
+    $("#voyageai_ranking_access_weight").val(settings.ranking_access_weight || 0);
+    $("#voyageai_mmr_enabled").prop("checked", settings.mmr_enabled);
+    $("#voyageai_mmr_lambda").val(settings.mmr_lambda ?? 0.7);
+    $("#voyageai_group_member_banks").prop("checked", settings.group_member_banks !== false);
+    $("#voyageai_group_shared_bank").prop("checked", settings.group_shared_bank !== false);
+    $("#voyageai_consolidation_enabled").prop("checked", settings.consolidation_enabled);
+    $("#voyageai_consolidation_trigger").val(settings.consolidation_trigger || 20);
+    $("#voyageai_consolidation_scene_size").val(settings.consolidation_scene_size || 12);
+    $("#voyageai_consolidation_gap_minutes").val(settings.consolidation_gap_minutes || 60);
+    $("#voyageai_consolidation_shift_threshold").val(settings.consolidation_shift_threshold ?? 0.3);
+    $("#voyageai_lore_target").val(settings.lore_target || "character");
+    $("#voyageai_lore_auto").prop("checked", settings.lore_auto);
+    $("#voyageai_lore_auto_trigger").val(settings.lore_auto_trigger || 30);
+    $("#voyageai_lore_min_importance").val(settings.lore_min_importance || 7);
+    $("#voyageai_graph_enabled").prop("checked", settings.graph_enabled);
+    $("#voyageai_graph_expansion").val(settings.graph_expansion ?? 3);
+    $("#voyageai_supersede_enabled").prop("checked", settings.supersede_enabled);
+    $("#voyageai_supersede_threshold").val(settings.supersede_threshold ?? 0.8);
+    $("#voyageai_supersede_mode").val(settings.supersede_mode || "downweight");
+    $("#voyageai_supersede_penalty").val(settings.supersede_penalty ?? 0.5);
+    $("#voyageai_hybrid_enabled").prop("checked", settings.hybrid_enabled);
+    $("#voyageai_hybrid_weight").val(settings.hybrid_weight ?? 0.3);
+    $("#voyageai_rerank_enabled").prop("checked", settings.rerank_enabled);
+    $("#voyageai_rerank_provider").val(settings.rerank_provider || "voyageai");
+    $("#voyageai_rerank_model").val(settings.rerank_model);
+    $("#voyageai_rerank_url").val(settings.rerank_url);
+    $("#voyageai_rerank_key").val(settings.rerank_key);
+    $("#voyageai_rerank_candidates").val(settings.rerank_candidates || 20);
+    $("#voyageai_rerank_threshold").val(settings.rerank_threshold || 0);
+    updateRerankProviderVisibility();
+    $("#voyageai_ann_enabled").prop("checked", settings.ann_enabled !== false);
+    $("#voyageai_ann_min_size").val(settings.ann_min_size || 2000);
     $("#voyageai_summarize_bot").prop("checked", settings.summarize_bot !== false);
     $("#voyageai_summarize_user").prop("checked", settings.summarize_user !== false);
     $("#voyageai_language").val(settings.language || "ko");
@@ -916,6 +4106,7 @@ function updateUI() {
     $("#voyageai_raw_include_user").prop("checked", settings.raw_include_user !== false);
     $("#voyageai_custom_prompt").val(settings.custom_prompt);
     $("#voyageai_memory_template").val(settings.memory_template);
+    $("#voyageai_inspector_history").val(settings.inspector_history || 20);
     $("#voyageai_debug_mode").prop("checked", settings.debug_mode);
     
     updateStatus();
@@ -941,15 +4132,16 @@ function updateStatus() {
  */
 async function updateMemoryStats() {
     const context = getContext();
+    const bankId = getActiveBankId(context);
     
-    if (!context.characterId) {
+    if (!bankId) {
         $("#voyageai_memory_count").text("0");
         $("#voyageai_last_updated").text("N/A");
         return;
     }
     
     try {
-        const stats = await memoryStorage.getStats(context.characterId);
+        const stats = await memoryStorage.getStats(bankId);
         $("#voyageai_memory_count").text(stats.totalMemories);
         
         if (stats.updatedAt) {
@@ -1007,14 +4199,14 @@ function formatTimeAgo(date) {
 }
 
 /**
- * Escape HTML entities
+ * Escape HTML entities, quotes included so the result is safe in attributes
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
 }
 
 /**
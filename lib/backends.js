@@ -0,0 +1,493 @@
+/**
+ * Persistence backends for per-character memory banks
+ * @module lib/backends
+ */
+
+const DB_NAME = 'voyageai_memory';
+const DB_VERSION = 1;
+const BANK_STORE = 'banks';
+
+// Key prefix used by the original localStorage persistence
+const LEGACY_KEY_PREFIX = 'voyageai_memory_';
+// Must not start with LEGACY_KEY_PREFIX, or it would be picked up as a bank
+const MIGRATION_FLAG_KEY = 'voyageai_storage_migrated';
+
+// Index of bank IDs kept next to the server-side bank files
+const SERVER_INDEX_FILE = 'voyageai-memory-index.json';
+
+/**
+ * IndexedDB backend (default). Banks are stored as structured-cloned objects
+ * keyed by character ID, so there is no practical size ceiling.
+ */
+export class IndexedDBBackend {
+    /**
+     * Create an IndexedDB backend
+     * @param {string} dbName - Database name
+     */
+    constructor(dbName = DB_NAME) {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is usable in this environment
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (or reuse) the database connection
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(BANK_STORE)) {
+                        db.createObjectStore(BANK_STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Allow a later call to retry opening
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the bank store
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {function(IDBObjectStore): IDBRequest} callback - Builds the request
+     * @returns {Promise<any>} Request result
+     */
+    async request(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(BANK_STORE, mode);
+            const request = callback(transaction.objectStore(BANK_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Load a bank
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<object|null>} Bank data or null if missing
+     */
+    async load(characterId) {
+        const data = await this.request('readonly', store => store.get(String(characterId)));
+        return data || null;
+    }
+
+    /**
+     * Save a bank
+     * @param {string} characterId - Character identifier
+     * @param {object} data - Bank data
+     * @returns {Promise<void>}
+     */
+    async save(characterId, data) {
+        await this.request('readwrite', store => store.put(data, String(characterId)));
+    }
+
+    /**
+     * Delete a bank
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<void>}
+     */
+    async remove(characterId) {
+        await this.request('readwrite', store => store.delete(String(characterId)));
+    }
+
+    /**
+     * List stored bank IDs
+     * @returns {Promise<string[]>} Character identifiers
+     */
+    async list() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+}
+
+/**
+ * localStorage backend. Kept to read banks written by earlier versions and
+ * as a fallback where IndexedDB is unavailable; subject to the ~5MB quota.
+ */
+export class LocalStorageBackend {
+    constructor() {
+        this.name = 'localstorage';
+    }
+
+    /**
+     * Get the localStorage key for a bank
+     * @param {string} characterId - Character identifier
+     * @returns {string} Storage key
+     */
+    getKey(characterId) {
+        return `${LEGACY_KEY_PREFIX}${characterId}`;
+    }
+
+    /**
+     * Load a bank
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<object|null>} Bank data or null if missing
+     */
+    async load(characterId) {
+        const raw = localStorage.getItem(this.getKey(characterId));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    /**
+     * Save a bank
+     * @param {string} characterId - Character identifier
+     * @param {object} data - Bank data
+     * @returns {Promise<void>}
+     */
+    async save(characterId, data) {
+        localStorage.setItem(this.getKey(characterId), JSON.stringify(data));
+    }
+
+    /**
+     * Delete a bank
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<void>}
+     */
+    async remove(characterId) {
+        localStorage.removeItem(this.getKey(characterId));
+    }
+
+    /**
+     * List stored bank IDs
+     * @returns {Promise<string[]>} Character identifiers
+     */
+    async list() {
+        const ids = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(LEGACY_KEY_PREFIX)) {
+                ids.push(key.slice(LEGACY_KEY_PREFIX.length));
+            }
+        }
+        return ids;
+    }
+}
+
+/**
+ * Encode a string as base64 via UTF-8
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 string
+ */
+function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    const CHUNK_SIZE = 0x8000;
+
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Merge a remote bank that changed since we last saw it into the local bank.
+ * Remote-only memories newer than `since` were added elsewhere and are kept;
+ * older remote-only memories were deleted locally and stay deleted.
+ * @param {object} local - Local bank data (mutated)
+ * @param {object} remote - Remote bank data
+ * @param {string|null} since - updated_at of the last remote version we saw
+ * @returns {number} Number of memories pulled in from the remote bank
+ */
+export function mergeBanks(local, remote, since = null) {
+    const localIds = new Set(local.memories.map(m => m.id));
+    const sinceTime = since ? new Date(since).getTime() : -Infinity;
+
+    const added = (remote.memories || []).filter(m =>
+        !localIds.has(m.id) && new Date(m.timestamp).getTime() > sinceTime
+    );
+
+    local.memories.push(...added);
+    local.memories.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return added.length;
+}
+
+/**
+ * Server-side backend storing one JSON file per character in the user's
+ * SillyTavern data directory (user/files) through the files API, so banks
+ * are shared across browsers and devices.
+ */
+export class ServerFileBackend {
+    /**
+     * Create a server file backend
+     * @param {object} options - Backend options
+     * @param {function(): object} options.getHeaders - Returns request headers (CSRF token etc.)
+     * @param {string} options.baseUrl - Server origin, empty for same-origin
+     */
+    constructor({ getHeaders = () => ({ 'Content-Type': 'application/json' }), baseUrl = '' } = {}) {
+        this.name = 'server';
+        this.getHeaders = getHeaders;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.versions = new Map(); // characterId -> updated_at of the last remote version seen
+        this.writeQueues = new Map(); // characterId -> tail of serialized writes
+    }
+
+    /**
+     * Get the file name for a character's bank
+     * @param {string} characterId - Character identifier
+     * @returns {string} File name
+     */
+    getFileName(characterId) {
+        // Sanitize character ID for use as filename
+        const safeId = String(characterId).replace(/[^a-zA-Z0-9_-]/g, '_');
+        return `voyageai-memory-${safeId}.json`;
+    }
+
+    /**
+     * Read a JSON file from user/files
+     * @param {string} fileName - File name
+     * @returns {Promise<object|null>} Parsed JSON or null if missing
+     */
+    async readFile(fileName) {
+        const response = await fetch(`${this.baseUrl}/user/files/${encodeURIComponent(fileName)}`, {
+            cache: 'no-store'
+        });
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        if (!response.ok) {
+            throw new Error(`Memory file read error: ${response.status} - ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Write a JSON file to user/files
+     * @param {string} fileName - File name
+     * @param {object} data - Data to serialize
+     * @returns {Promise<void>}
+     */
+    async writeFile(fileName, data) {
+        const response = await fetch(`${this.baseUrl}/api/files/upload`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify({
+                name: fileName,
+                data: encodeBase64(JSON.stringify(data))
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Memory file write error: ${response.status} - ${response.statusText}`);
+        }
+    }
+
+    /**
+     * Delete a file from user/files
+     * @param {string} fileName - File name
+     * @returns {Promise<void>}
+     */
+    async deleteFile(fileName) {
+        const response = await fetch(`${this.baseUrl}/api/files/delete`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify({ path: `user/files/${fileName}` })
+        });
+
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Memory file delete error: ${response.status} - ${response.statusText}`);
+        }
+    }
+
+    /**
+     * Serialize writes per bank so read-compare-write cycles don't interleave
+     * @param {string} characterId - Character identifier
+     * @param {function(): Promise<any>} task - Write task
+     * @returns {Promise<any>} Task result
+     */
+    enqueueWrite(characterId, task) {
+        const previous = this.writeQueues.get(characterId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this.writeQueues.set(characterId, next);
+        return next;
+    }
+
+    /**
+     * Load a bank
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<object|null>} Bank data or null if missing
+     */
+    async load(characterId) {
+        const data = await this.readFile(this.getFileName(characterId));
+
+        if (data) {
+            this.versions.set(characterId, data.updated_at);
+        }
+
+        return data;
+    }
+
+    /**
+     * Save a bank. If the server copy changed since we last read it (another
+     * browser or device wrote it), the remote additions are merged in first.
+     * @param {string} characterId - Character identifier
+     * @param {object} data - Bank data (updated in place on merge)
+     * @returns {Promise<void>}
+     */
+    save(characterId, data) {
+        return this.enqueueWrite(characterId, async () => {
+            const fileName = this.getFileName(characterId);
+            const remote = await this.readFile(fileName);
+            const known = this.versions.get(characterId) || null;
+
+            if (remote && remote.updated_at !== known && new Date(remote.updated_at) > new Date(known || 0)) {
+                const merged = mergeBanks(data, remote, known);
+                console.warn(`[VoyageAI Memory] Write conflict for ${characterId}: merged ${merged} memories from the server copy`);
+            }
+
+            await this.writeFile(fileName, data);
+            this.versions.set(characterId, data.updated_at);
+
+            if (!remote) {
+                await this.updateIndex(ids => ids.add(String(characterId)));
+            }
+        });
+    }
+
+    /**
+     * Delete a bank
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<void>}
+     */
+    remove(characterId) {
+        return this.enqueueWrite(characterId, async () => {
+            await this.deleteFile(this.getFileName(characterId));
+            this.versions.delete(characterId);
+            await this.updateIndex(ids => ids.delete(String(characterId)));
+        });
+    }
+
+    /**
+     * List stored bank IDs. The files API has no directory listing, so an
+     * index file is kept alongside the banks.
+     * @returns {Promise<string[]>} Character identifiers
+     */
+    async list() {
+        const index = await this.readFile(SERVER_INDEX_FILE);
+        return index?.banks || [];
+    }
+
+    /**
+     * Apply a change to the bank index file
+     * @param {function(Set<string>): void} change - Mutates the set of bank IDs
+     * @returns {Promise<void>}
+     */
+    updateIndex(change) {
+        return this.enqueueWrite(SERVER_INDEX_FILE, async () => {
+            const ids = new Set(await this.list());
+            change(ids);
+            await this.writeFile(SERVER_INDEX_FILE, { banks: [...ids] });
+        });
+    }
+}
+
+/**
+ * Copy every bank from one backend to another. A bank is only overwritten
+ * when the source copy is newer than the target copy.
+ * @param {object} source - Backend to read from
+ * @param {object} target - Backend to write to
+ * @returns {Promise<string[]>} IDs of the banks that were copied
+ */
+export async function copyBanks(source, target) {
+    const copied = [];
+
+    for (const characterId of await source.list()) {
+        const data = await source.load(characterId);
+        if (!data) continue;
+
+        const existing = await target.load(characterId);
+        if (existing && new Date(existing.updated_at) >= new Date(data.updated_at)) {
+            continue;
+        }
+
+        await target.save(characterId, data);
+        copied.push(characterId);
+    }
+
+    return copied;
+}
+
+/**
+ * One-time migration of `voyageai_memory_*` localStorage banks into another
+ * backend. Legacy keys are removed once copied to free the localStorage quota.
+ * @param {object} target - Backend to migrate into
+ * @returns {Promise<number>} Number of banks migrated
+ */
+export async function migrateLegacyStorage(target) {
+    if (typeof localStorage === 'undefined' || target.name === 'localstorage') {
+        return 0;
+    }
+
+    if (localStorage.getItem(MIGRATION_FLAG_KEY)) {
+        return 0;
+    }
+
+    const legacy = new LocalStorageBackend();
+    const legacyIds = await legacy.list();
+    const copied = await copyBanks(legacy, target);
+
+    for (const characterId of legacyIds) {
+        await legacy.remove(characterId);
+    }
+
+    localStorage.setItem(MIGRATION_FLAG_KEY, new Date().toISOString());
+
+    if (legacyIds.length > 0) {
+        console.log(`[VoyageAI Memory] Migrated ${copied.length} memory banks from localStorage to ${target.name}`);
+    }
+
+    return copied.length;
+}
+
+/**
+ * Create a storage backend by type, falling back to localStorage when
+ * IndexedDB is not available
+ * @param {string} type - 'indexeddb', 'server' or 'localstorage'
+ * @param {object} options - Options passed to the server backend
+ * @returns {object} Backend instance
+ */
+export function createStorageBackend(type = 'indexeddb', options = {}) {
+    if (type === 'server') {
+        return new ServerFileBackend(options);
+    }
+
+    if (type === 'localstorage' || !IndexedDBBackend.isAvailable()) {
+        return new LocalStorageBackend();
+    }
+
+    return new IndexedDBBackend();
+}
+
+// Available storage backends for the settings UI
+export const STORAGE_BACKENDS = [
+    { id: 'indexeddb', name: 'IndexedDB (browser)' },
+    { id: 'server', name: 'SillyTavern server (user files)' },
+    { id: 'localstorage', name: 'localStorage (legacy, ~5MB limit)' }
+];
@@ -0,0 +1,139 @@
+/**
+ * Token-budgeted packing of memories into the injected prompt
+ * @module lib/budget
+ */
+
+/**
+ * Cut text down to at most `maxTokens`, at a word boundary when possible.
+ * Finds the longest prefix that fits by binary search over its length.
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token limit, including the ellipsis
+ * @param {function(string): Promise<number>} countTokens - Token counter
+ * @returns {Promise<string>} Truncated text ending in '…', or '' if nothing fits
+ */
+export async function truncateToTokens(text, maxTokens, countTokens) {
+    if (await countTokens(text) <= maxTokens) {
+        return text;
+    }
+
+    let low = 0;
+    let high = text.length;
+
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (await countTokens(text.slice(0, middle) + '…') <= maxTokens) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    if (low === 0) {
+        return '';
+    }
+
+    let prefix = text.slice(0, low);
+    const lastSpace = prefix.lastIndexOf(' ');
+    if (lastSpace > low * 0.6) {
+        prefix = prefix.slice(0, lastSpace);
+    }
+
+    return prefix.trimEnd() + '…';
+}
+
+/**
+ * Greedily pack ranked items into a token budget. Items are taken in
+ * order while they fit. An item may offer alternatives (e.g. a scene
+ * summary covering a message); the first alternative that fits is used.
+ * An item that doesn't fit at all is either truncated to the remaining
+ * space (after which the budget is full) or dropped, in which case later,
+ * shorter items may still fit.
+ * @param {object[]} items - Items, best first
+ * @param {object} options - Packing options
+ * @param {number} options.budget - Token budget for all lines
+ * @param {function(string): Promise<number>} options.countTokens - Token counter
+ * @param {function(object): string} options.getText - Text of an item that may be truncated
+ * @param {function(object, number, string): string} options.render - Renders an item as a line given its position (1-based) and text
+ * @param {string} options.overflow - 'truncate' or 'drop'
+ * @param {number} options.minTokens - Don't truncate to fewer tokens than this
+ * @param {function(object): object[]} options.getAlternatives - Preferred forms of an item, tried first to last; the last is the item itself
+ * @param {function(object, object[]): boolean} options.isCovered - True if a form is already represented by the packed items
+ * @returns {Promise<{lines: string[], items: object[], tokens: number, truncated: number, dropped: number}>} Packing result
+ */
+export async function packWithinBudget(items, {
+    budget,
+    countTokens,
+    getText,
+    render,
+    overflow = 'truncate',
+    minTokens = 16,
+    getAlternatives = item => [item],
+    isCovered = () => false
+}) {
+    const lines = [];
+    const packed = [];
+    let tokens = 0;
+    let truncated = 0;
+    let dropped = 0;
+
+    for (let i = 0; i < items.length; i++) {
+        const forms = getAlternatives(items[i]).filter(form => !isCovered(form, packed));
+        if (forms.length === 0) continue;
+
+        const position = packed.length + 1;
+        let placed = false;
+
+        for (const form of forms.slice(0, -1)) {
+            const formLine = render(form, position, getText(form));
+            const formTokens = await countTokens(formLine + '\n');
+
+            if (tokens + formTokens <= budget) {
+                lines.push(formLine);
+                packed.push(form);
+                tokens += formTokens;
+                placed = true;
+                break;
+            }
+        }
+
+        if (placed) continue;
+
+        const item = forms[forms.length - 1];
+        const line = render(item, position, getText(item));
+        // Lines are joined with newlines; count the separator too
+        const lineTokens = await countTokens(line + '\n');
+
+        if (tokens + lineTokens <= budget) {
+            lines.push(line);
+            packed.push(item);
+            tokens += lineTokens;
+            continue;
+        }
+
+        const remaining = budget - tokens;
+        if (overflow === 'truncate' && remaining >= minTokens) {
+            // Space taken by everything on the line except the text itself
+            const frame = await countTokens(render(item, position, '') + '\n');
+            const text = await truncateToTokens(getText(item), remaining - frame, countTokens);
+
+            const shortLine = text ? render(item, position, text) : '';
+            const shortTokens = text ? await countTokens(shortLine + '\n') : Infinity;
+
+            // Token counts aren't exactly additive, so check the final line too
+            const fits = tokens + shortTokens <= budget;
+            if (fits) {
+                lines.push(shortLine);
+                packed.push(item);
+                tokens += shortTokens;
+                truncated++;
+            }
+
+            dropped += items.length - i - (fits ? 1 : 0);
+            break;
+        }
+
+        dropped++;
+    }
+
+    return { lines, items: packed, tokens, truncated, dropped };
+}
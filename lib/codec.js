@@ -0,0 +1,166 @@
+/**
+ * Compact encodings for stored embeddings
+ * @module lib/codec
+ */
+
+// Bank format versions: 1 = embeddings as JSON number arrays, 2 = encoded embeddings
+export const STORAGE_FORMAT_VERSION = 2;
+
+// Encoded embeddings of unchanged memories, so saves don't re-encode the whole bank
+const encodedCache = new WeakMap();
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    const CHUNK_SIZE = 0x8000;
+
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Raw bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+/**
+ * Encode an embedding for storage as base64. float32 takes 4 bytes per
+ * dimension instead of ~20 characters of JSON text; int8 takes one byte per
+ * dimension plus a scale factor (symmetric quantization).
+ * @param {ArrayLike<number>} vector - Embedding vector
+ * @param {string} format - 'float32' or 'int8'
+ * @returns {{dtype: string, data: string, scale?: number}|Array} Encoded embedding (empty vectors are kept as-is)
+ */
+export function encodeEmbedding(vector, format = 'float32') {
+    if (!vector || vector.length === 0) {
+        return [];
+    }
+
+    if (format === 'int8') {
+        let maxAbs = 0;
+        for (let i = 0; i < vector.length; i++) {
+            maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+        }
+
+        const scale = maxAbs / 127 || 1;
+        const quantized = new Int8Array(vector.length);
+        for (let i = 0; i < vector.length; i++) {
+            quantized[i] = Math.round(vector[i] / scale);
+        }
+
+        return { dtype: 'int8', scale, data: bytesToBase64(new Uint8Array(quantized.buffer)) };
+    }
+
+    const floats = Float32Array.from(vector);
+    return { dtype: 'float32', data: bytesToBase64(new Uint8Array(floats.buffer)) };
+}
+
+/**
+ * Decode a stored embedding. Plain arrays from format version 1 are
+ * returned unchanged.
+ * @param {object|number[]} value - Encoded embedding
+ * @returns {Float32Array|number[]} Embedding vector
+ */
+export function decodeEmbedding(value) {
+    if (!value || Array.isArray(value) || ArrayBuffer.isView(value)) {
+        return value || [];
+    }
+
+    const bytes = base64ToBytes(value.data);
+
+    switch (value.dtype) {
+        case 'float32':
+            return new Float32Array(bytes.buffer);
+        case 'int8': {
+            const quantized = new Int8Array(bytes.buffer);
+            const vector = new Float32Array(quantized.length);
+            for (let i = 0; i < quantized.length; i++) {
+                vector[i] = quantized[i] * value.scale;
+            }
+            return vector;
+        }
+        default:
+            throw new Error(`Unknown embedding encoding: ${value.dtype}`);
+    }
+}
+
+/**
+ * Encode a memory's embedding, reusing the previous encoding while the
+ * embedding and format are unchanged
+ * @param {object} memory - Memory object
+ * @param {string} format - 'float32' or 'int8'
+ * @returns {object|Array} Encoded embedding
+ */
+function encodeMemoryEmbedding(memory, format) {
+    const cached = encodedCache.get(memory);
+    if (cached && cached.source === memory.embedding && cached.format === format) {
+        return cached.encoded;
+    }
+
+    const encoded = encodeEmbedding(memory.embedding, format);
+    encodedCache.set(memory, { source: memory.embedding, format, encoded });
+    return encoded;
+}
+
+/**
+ * Build the stored form of a bank. The bank itself is not modified.
+ * @param {object} data - Bank data with decoded embeddings
+ * @param {string} format - 'float32' or 'int8'
+ * @returns {object} Bank data with encoded embeddings
+ */
+export function encodeBank(data, format = 'float32') {
+    return {
+        ...data,
+        format_version: STORAGE_FORMAT_VERSION,
+        embedding_format: format,
+        memories: (data.memories || []).map(memory => ({
+            ...memory,
+            embedding: encodeMemoryEmbedding(memory, format)
+        }))
+    };
+}
+
+/**
+ * Decode a stored bank of any format version in place. Version 1 banks
+ * are upgraded on their next save.
+ * @param {object} data - Stored bank data
+ * @returns {object} The same bank with decoded embeddings
+ */
+export function decodeBank(data) {
+    data.memories = (data.memories || []).map(memory => decodeMemory(memory));
+    return data;
+}
+
+/**
+ * Decode a stored memory in place
+ * @param {object} memory - Stored memory
+ * @returns {object} The same memory with a decoded embedding
+ */
+export function decodeMemory(memory) {
+    memory.embedding = decodeEmbedding(memory.embedding);
+    return memory;
+}
+
+// Embedding storage formats for the settings UI
+export const EMBEDDING_FORMATS = [
+    { id: 'float32', name: 'Float32 (4 bytes per dimension)' },
+    { id: 'int8', name: 'Int8 quantized (1 byte per dimension)' }
+];
@@ -0,0 +1,297 @@
+/**
+ * Hierarchical consolidation of message memories into scene and arc summaries
+ * @module lib/consolidation
+ */
+
+import { cosineSimilarity, averageEmbeddings } from './similarity.js';
+
+// Memory levels, finest first. Memories without metadata.level are messages.
+export const MEMORY_LEVELS = ['message', 'scene', 'arc'];
+
+/**
+ * Get the level of a memory
+ * @param {object} memory - Memory object
+ * @returns {string} 'message', 'scene' or 'arc'
+ */
+export function getMemoryLevel(memory) {
+    return memory.metadata?.level || 'message';
+}
+
+/**
+ * Get the time a memory's content happened: the source message's send date
+ * when it parses, else the time the memory was stored
+ * @param {object} memory - Memory object
+ * @returns {number} Time in ms
+ */
+function getMemoryTime(memory) {
+    const sent = Date.parse(memory.metadata?.source?.send_date || '');
+    return Number.isFinite(sent) ? sent : new Date(memory.timestamp).getTime();
+}
+
+/**
+ * Order memories as they appeared in the chat
+ * @param {object} a - First memory
+ * @param {object} b - Second memory
+ * @returns {number} Sort order
+ */
+function compareChatOrder(a, b) {
+    const indexA = a.metadata?.source?.message_index;
+    const indexB = b.metadata?.source?.message_index;
+
+    if (indexA !== undefined && indexB !== undefined && indexA !== indexB) {
+        return indexA - indexB;
+    }
+
+    return getMemoryTime(a) - getMemoryTime(b);
+}
+
+/**
+ * Split unconsolidated memories of one level into runs of consecutive
+ * memories. A run ends at a chat boundary, a time gap, a drop in similarity
+ * to the run so far (a topic shift), or when it reaches `maxSize`. The
+ * newest run of each chat is left open, since the scene may still be going,
+ * unless it is already full.
+ * @param {object[]} memories - All memories in the bank
+ * @param {string} level - Level to group ('message' or 'scene')
+ * @param {object} options - Grouping options
+ * @param {number} options.minSize - Smallest run worth summarizing
+ * @param {number} options.maxSize - Largest run
+ * @param {number} options.maxGapMinutes - Time gap that ends a run
+ * @param {number} options.shiftThreshold - Similarity to the run's centroid below which a run ends
+ * @returns {object[][]} Closed runs, each oldest first
+ */
+export function groupConsecutive(memories, level, { minSize = 4, maxSize = 12, maxGapMinutes = 60, shiftThreshold = 0.3 } = {}) {
+    const byChat = new Map();
+
+    for (const memory of memories) {
+        if (getMemoryLevel(memory) !== level || memory.metadata?.parent_id) continue;
+
+        const chatId = memory.metadata?.source?.chat_id ?? memory.metadata?.chat_id ?? null;
+        if (!byChat.has(chatId)) byChat.set(chatId, []);
+        byChat.get(chatId).push(memory);
+    }
+
+    const groups = [];
+
+    for (const chatMemories of byChat.values()) {
+        chatMemories.sort(compareChatOrder);
+
+        let run = [];
+        const closeRun = () => {
+            if (run.length >= minSize) groups.push(run);
+            run = [];
+        };
+
+        for (const memory of chatMemories) {
+            if (run.length > 0) {
+                const previous = run[run.length - 1];
+                const gap = (getMemoryTime(memory) - getMemoryTime(previous)) / 60000;
+                const centroid = averageEmbeddings(run.map(m => m.embedding).filter(e => e?.length === memory.embedding?.length));
+                const shifted = centroid.length > 0 && cosineSimilarity(centroid, memory.embedding) < shiftThreshold;
+
+                if (gap > maxGapMinutes || shifted) {
+                    closeRun();
+                }
+            }
+
+            run.push(memory);
+
+            if (run.length >= maxSize) {
+                closeRun();
+            }
+        }
+
+        // The newest run stays open; it's summarized once it fills up or is cut off
+    }
+
+    return groups;
+}
+
+/**
+ * Background job that summarizes runs of message memories into scene
+ * memories, and runs of scenes into arc memories. Each summary gets its own
+ * embedding; the grouped memories keep their place in the bank and record
+ * the new memory as `metadata.parent_id`.
+ */
+export class ConsolidationJob {
+    /**
+     * Create a consolidation job
+     * @param {import('./storage.js').MemoryStorage} storage - Memory storage
+     * @param {import('./summarizer.js').SummarizerClient} summarizer - Summarization client
+     * @param {object} embeddingClient - Embedding provider
+     * @param {object} options - Job options
+     * @param {object} options.scene - Grouping options for message -> scene (see groupConsecutive)
+     * @param {object} options.arc - Grouping options for scene -> arc
+     * @param {object} options.context - Summarizer context (language, userName, characterName)
+     * @param {function({level: string, done: number, total: number}): void} options.onProgress - Progress callback
+     */
+    constructor(storage, summarizer, embeddingClient, { scene = {}, arc = {}, context = {}, onProgress = () => {} } = {}) {
+        this.storage = storage;
+        this.summarizer = summarizer;
+        this.embeddingClient = embeddingClient;
+        this.grouping = {
+            scene: { minSize: 4, maxSize: 12, maxGapMinutes: 60, shiftThreshold: 0.3, ...scene },
+            arc: { minSize: 3, maxSize: 8, maxGapMinutes: 24 * 60, shiftThreshold: 0.2, ...arc }
+        };
+        this.context = context;
+        this.onProgress = onProgress;
+        this.cancelled = false;
+        this.running = false;
+    }
+
+    /**
+     * Request cancellation; the current group finishes first
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Consolidate a bank: messages into scenes, then scenes into arcs
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<{scenes: number, arcs: number, cancelled: boolean}>} Number of memories created
+     */
+    async run(characterId) {
+        this.running = true;
+        this.cancelled = false;
+
+        try {
+            const scenes = await this.consolidateLevel(characterId, 'message', 'scene');
+            const arcs = this.cancelled ? 0 : await this.consolidateLevel(characterId, 'scene', 'arc');
+            return { scenes, arcs, cancelled: this.cancelled };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Summarize closed runs of one level into memories of the next level
+     * @param {string} characterId - Character identifier
+     * @param {string} fromLevel - Level being grouped
+     * @param {string} toLevel - Level being created
+     * @returns {Promise<number>} Number of memories created
+     */
+    async consolidateLevel(characterId, fromLevel, toLevel) {
+        const memories = await this.storage.getMemories(characterId);
+        const groups = groupConsecutive(memories, fromLevel, this.grouping[toLevel]);
+        let done = 0;
+
+        this.onProgress({ level: toLevel, done, total: groups.length });
+
+        for (const group of groups) {
+            if (this.cancelled) break;
+
+            const summary = await this.summarizer.summarizeGroup(group.map(m => m.summary), {
+                ...this.context,
+                level: toLevel
+            });
+            const embedding = await this.embeddingClient.embedDocument(summary);
+
+            if (!embedding || embedding.length === 0) {
+                throw new Error(`Failed to embed ${toLevel} summary`);
+            }
+
+            const { provider, model } = this.embeddingClient.getDescriptor();
+            const first = group[0];
+            const last = group[group.length - 1];
+
+            // Not deduplicated: a similar summary of another run would become this group's parent without listing it as children
+            const { memory: parent } = await this.storage.addMemory(characterId, {
+                original_message: group.map(m => m.summary).join('\n'),
+                summary,
+                embedding,
+                metadata: {
+                    role: 'summary',
+                    level: toLevel,
+                    chat_id: first.metadata?.chat_id ?? null,
+                    children: group.map(m => m.id),
+                    start_time: new Date(getMemoryTime(first)).toISOString(),
+                    end_time: new Date(getMemoryTime(last)).toISOString(),
+                    importance: Math.max(...group.map(m => m.metadata?.importance ?? 0.5)),
+                    embedding_provider: provider,
+                    embedding_model: model,
+                    embedding_dimensions: embedding.length
+                }
+            }, { dedupe: false });
+
+            await this.storage.updateMemories(characterId, new Map(
+                group.map(m => [m.id, { metadata: { parent_id: parent.id } }])
+            ));
+
+            done++;
+            this.onProgress({ level: toLevel, done, total: groups.length });
+        }
+
+        return done;
+    }
+}
+
+/**
+ * Count memories of a level that no consolidated memory covers yet
+ * @param {object[]} memories - All memories in the bank
+ * @param {string} level - Memory level
+ * @returns {number} Unconsolidated count
+ */
+export function countUnconsolidated(memories, level = 'message') {
+    return memories.filter(m => getMemoryLevel(m) === level && !m.metadata?.parent_id).length;
+}
+
+/**
+ * Get a memory's ancestors, nearest first
+ * @param {object} memory - Memory object
+ * @param {Map<string, object>} memoriesById - Lookup of all memories
+ * @returns {object[]} Parent, grandparent, ...
+ */
+export function getAncestors(memory, memoriesById) {
+    const ancestors = [];
+    let parentId = memory.metadata?.parent_id;
+
+    while (parentId && memoriesById.has(parentId) && ancestors.length < MEMORY_LEVELS.length) {
+        const parent = memoriesById.get(parentId);
+        ancestors.push(parent);
+        parentId = parent.metadata?.parent_id;
+    }
+
+    return ancestors;
+}
+
+/**
+ * List the levels a retrieval result can be injected at, coarsest first:
+ * the arc and scene it belongs to, then the result itself
+ * @param {{memory: object, similarity: number}} result - Retrieval result
+ * @param {Map<string, object>} memoriesById - Lookup of all memories
+ * @returns {Array<{memory: object, similarity: number}>} Alternatives, coarsest first
+ */
+export function getLevelAlternatives(result, memoriesById) {
+    return [
+        ...getAncestors(result.memory, memoriesById)
+            .reverse()
+            .map(memory => ({ ...result, memory })),
+        result
+    ];
+}
+
+/**
+ * Check whether a memory is already represented by injected memories:
+ * itself or one of its ancestors was injected
+ * @param {object} memory - Memory object
+ * @param {Set<string>} injectedIds - IDs of injected memories
+ * @param {Map<string, object>} memoriesById - Lookup of all memories
+ * @returns {boolean} True if covered
+ */
+export function isCovered(memory, injectedIds, memoriesById) {
+    return injectedIds.has(memory.id)
+        || getAncestors(memory, memoriesById).some(ancestor => injectedIds.has(ancestor.id));
+}
+
+/**
+ * Drop results already covered by a coarser result (an ancestor that was
+ * also retrieved), keeping the order
+ * @param {Array<{memory: object, similarity: number}>} results - Retrieval results, best first
+ * @param {Map<string, object>} memoriesById - Lookup of all memories
+ * @returns {Array<{memory: object, similarity: number}>} Results without covered descendants
+ */
+export function removeCoveredResults(results, memoriesById) {
+    const retrieved = new Set(results.map(r => r.memory.id));
+    return results.filter(r => !getAncestors(r.memory, memoriesById).some(a => retrieved.has(a.id)));
+}
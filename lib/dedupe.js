@@ -0,0 +1,170 @@
+/**
+ * Duplicate detection for memories: exact matches by source hash and
+ * near-duplicates by embedding similarity
+ * @module lib/dedupe
+ */
+
+import { dotProduct, getUnitVector } from './similarity.js';
+
+/**
+ * Hash a string (32-bit FNV-1a)
+ * @param {string} text - Input text
+ * @returns {string} Hash as 8 hex characters
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Get the exact-duplicate hash of a memory: its source message (chat, send
+ * date or index) plus the message text, or the text alone when the memory
+ * has no source link
+ * @param {object} memory - Memory object
+ * @returns {string} Hash
+ */
+export function getSourceHash(memory) {
+    const source = memory.metadata?.source;
+    const key = source
+        ? `${source.chat_id}:${source.send_date || source.message_index}`
+        : '';
+
+    return hashString(`${key}\n${memory.original_message || memory.summary || ''}`);
+}
+
+/**
+ * Check whether two memories can be duplicates of each other: same level,
+ * comparable embeddings and not marked distinct by the user
+ * @param {object} a - First memory
+ * @param {object} b - Second memory
+ * @returns {boolean} True if they may be compared
+ */
+function isComparable(a, b) {
+    return (a.metadata?.level || 'message') === (b.metadata?.level || 'message')
+        && a.embedding?.length > 0
+        && a.embedding.length === b.embedding?.length
+        && !a.metadata?.distinct_from?.includes(b.id)
+        && !b.metadata?.distinct_from?.includes(a.id);
+}
+
+/**
+ * Find the stored memory a new memory duplicates, if any: first by source
+ * hash, then by embedding similarity
+ * @param {object} memory - New memory (with metadata.source_hash set)
+ * @param {object[]} memories - Stored memories
+ * @param {number} threshold - Minimum cosine similarity for a near-duplicate (0 = exact only)
+ * @returns {{memory: object, similarity: number}|null} Existing duplicate
+ */
+export function findDuplicate(memory, memories, threshold = 0) {
+    const hash = memory.metadata?.source_hash;
+    const exact = hash && memories.find(m => (m.metadata?.source_hash || getSourceHash(m)) === hash);
+
+    if (exact) {
+        return { memory: exact, similarity: 1 };
+    }
+
+    if (!(threshold > 0) || !memory.embedding?.length) {
+        return null;
+    }
+
+    const vector = getUnitVector(memory);
+    let best = null;
+
+    for (const candidate of memories) {
+        if (!isComparable(memory, candidate)) continue;
+
+        const similarity = dotProduct(vector, getUnitVector(candidate));
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+            best = { memory: candidate, similarity };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Group a bank's duplicates for review. Memories are visited oldest first;
+ * each one not yet grouped is kept, and later memories matching it (same
+ * source hash, or similarity at or above the threshold) are proposed as
+ * its duplicates. Matches aren't chained, so every duplicate is close to
+ * the memory it would be merged into.
+ * @param {object[]} memories - All memories in the bank
+ * @param {number} threshold - Minimum cosine similarity
+ * @returns {Array<{keep: object, duplicates: Array<{memory: object, similarity: number}>}>} Merge proposals
+ */
+export function findDuplicateGroups(memories, threshold = 0.95) {
+    const sorted = [...memories].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const hashes = new Map(sorted.map(m => [m.id, m.metadata?.source_hash || getSourceHash(m)]));
+    const grouped = new Set();
+    const groups = [];
+
+    for (let i = 0; i < sorted.length; i++) {
+        const keep = sorted[i];
+        if (grouped.has(keep.id)) continue;
+
+        const duplicates = [];
+
+        for (let j = i + 1; j < sorted.length; j++) {
+            const candidate = sorted[j];
+            if (grouped.has(candidate.id)) continue;
+
+            let similarity = 0;
+            if (hashes.get(candidate.id) === hashes.get(keep.id)) {
+                similarity = 1;
+            } else if (isComparable(keep, candidate)) {
+                similarity = dotProduct(getUnitVector(keep), getUnitVector(candidate));
+            }
+
+            if (similarity >= threshold) {
+                duplicates.push({ memory: candidate, similarity });
+                grouped.add(candidate.id);
+            }
+        }
+
+        if (duplicates.length > 0) {
+            groups.push({ keep, duplicates });
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Combine the metadata of a kept memory with the duplicates merged into it:
+ * the highest importance, summed access counts, the latest access and the
+ * consolidation links (parent and union of children)
+ * @param {object} keep - Memory that is kept
+ * @param {object[]} duplicates - Memories merged into it
+ * @returns {object} Metadata changes for the kept memory
+ */
+export function mergeMetadata(keep, duplicates) {
+    const all = [keep, ...duplicates];
+    const changes = {
+        importance: Math.max(...all.map(m => m.metadata?.importance ?? 0.5)),
+        access_count: all.reduce((sum, m) => sum + (m.metadata?.access_count || 0), 0),
+        merged_count: all.reduce((sum, m) => sum + (m.metadata?.merged_count || 0), 0) + duplicates.length
+    };
+
+    const accessed = all.map(m => m.metadata?.last_accessed).filter(Boolean).sort();
+    if (accessed.length > 0) {
+        changes.last_accessed = accessed[accessed.length - 1];
+    }
+
+    const parent = all.find(m => m.metadata?.parent_id);
+    if (parent && !keep.metadata?.parent_id) {
+        changes.parent_id = parent.metadata.parent_id;
+    }
+
+    const children = all.flatMap(m => m.metadata?.children || []);
+    if (children.length > 0) {
+        changes.children = [...new Set(children)];
+    }
+
+    return changes;
+}
@@ -0,0 +1,90 @@
+/**
+ * Embedding provider interface
+ * @module lib/embedding-provider
+ */
+
+/**
+ * Base class for embedding providers. Subclasses implement `embed`; the
+ * document/query/batch helpers are shared.
+ */
+export class EmbeddingProvider {
+    /**
+     * Create an embedding provider
+     * @param {string} provider - Provider identifier recorded on memories
+     * @param {string} model - Model name
+     */
+    constructor(provider, model = '') {
+        this.provider = provider;
+        this.model = model;
+        this.batchSize = 64;
+    }
+
+    /**
+     * Generate embeddings for one or more texts
+     * @param {string|string[]} input - Text or array of texts to embed
+     * @param {string} inputType - Type of input: 'document' or 'query'
+     * @returns {Promise<{embeddings: number[][], usage: {total_tokens: number}}>}
+     */
+    async embed(input, inputType = 'document') {
+        throw new Error(`${this.provider} provider does not implement embed()`);
+    }
+
+    /**
+     * Generate embedding for a single document (for storage)
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>} Embedding vector
+     */
+    async embedDocument(text) {
+        const result = await this.embed(text, 'document');
+        return result.embeddings[0] || [];
+    }
+
+    /**
+     * Generate embedding for a query (for retrieval)
+     * @param {string} text - Query text to embed
+     * @returns {Promise<number[]>} Embedding vector
+     */
+    async embedQuery(text) {
+        const result = await this.embed(text, 'query');
+        return result.embeddings[0] || [];
+    }
+
+    /**
+     * Batch embed multiple documents
+     * @param {string[]} texts - Array of texts to embed
+     * @returns {Promise<number[][]>} Array of embedding vectors
+     */
+    async embedDocuments(texts) {
+        const allEmbeddings = [];
+
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            const batch = texts.slice(i, i + this.batchSize);
+            const result = await this.embed(batch, 'document');
+            allEmbeddings.push(...result.embeddings);
+        }
+
+        return allEmbeddings;
+    }
+
+    /**
+     * Test the API connection
+     * @returns {Promise<boolean>} True if connection successful
+     */
+    async testConnection() {
+        try {
+            await this.embed('test', 'document');
+            return true;
+        } catch (error) {
+            console.error(`[VoyageAI Memory] ${this.provider} connection test failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Describe which provider and model produce this provider's vectors
+     * @returns {{provider: string, model: string}} Descriptor
+     */
+    getDescriptor() {
+        return { provider: this.provider, model: this.model };
+    }
+}
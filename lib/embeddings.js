@@ -0,0 +1,189 @@
+/**
+ * Non-VoyageAI embedding providers and provider selection
+ * @module lib/embeddings
+ */
+
+import { EmbeddingProvider } from './embedding-provider.js';
+import { VoyageAIClient } from './voyageai.js';
+
+/**
+ * Client for any OpenAI-compatible `/v1/embeddings` endpoint
+ * (OpenAI, LM Studio, llama.cpp server, Ollama, vLLM, ...)
+ */
+export class OpenAICompatibleEmbeddingClient extends EmbeddingProvider {
+    /**
+     * Create an OpenAI-compatible embedding client
+     * @param {string} apiUrl - API base URL (e.g. http://localhost:1234/v1)
+     * @param {string} apiKey - API key, optional for local servers
+     * @param {string} model - Model name
+     */
+    constructor(apiUrl, apiKey = '', model = '') {
+        super('openai', model);
+        this.apiUrl = apiUrl;
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Get the full embeddings endpoint URL
+     * @returns {string} Full API URL
+     */
+    getEndpointUrl() {
+        let url = (this.apiUrl || '').trim();
+
+        // Remove trailing slash
+        if (url.endsWith('/')) {
+            url = url.slice(0, -1);
+        }
+
+        // Add /embeddings if not present
+        if (!url.endsWith('/embeddings')) {
+            if (!url.endsWith('/v1')) {
+                url += '/v1';
+            }
+            url += '/embeddings';
+        }
+
+        return url;
+    }
+
+    /**
+     * Generate embeddings for one or more texts
+     * @param {string|string[]} input - Text or array of texts to embed
+     * @param {string} inputType - Unused; OpenAI-style endpoints have no input type
+     * @returns {Promise<{embeddings: number[][], usage: {total_tokens: number}}>}
+     */
+    async embed(input, inputType = 'document') {
+        if (!this.apiUrl) {
+            throw new Error('Embedding API URL is not configured');
+        }
+
+        const texts = Array.isArray(input) ? input : [input];
+
+        if (texts.length === 0) {
+            return { embeddings: [], usage: { total_tokens: 0 } };
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        try {
+            const response = await fetch(this.getEndpointUrl(), {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    input: texts,
+                    model: this.model
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(
+                    `Embedding API error: ${response.status} - ${errorData.error?.message || response.statusText}`
+                );
+            }
+
+            const data = await response.json();
+
+            // Extract embeddings in order
+            const embeddings = data.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+
+            return {
+                embeddings,
+                usage: data.usage || { total_tokens: 0 }
+            };
+        } catch (error) {
+            console.error('[VoyageAI Memory] Embedding error:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Calls the local server behind the source selected in SillyTavern's
+ * Vector Storage extension (Ollama, llama.cpp, vLLM) directly, through its
+ * OpenAI-compatible endpoint. SillyTavern does not expose raw vectors
+ * through its own API, so its other sources can't be used.
+ */
+export class VectorStorageServerClient extends EmbeddingProvider {
+    /**
+     * Create a client for the Vector Storage source's server
+     * @param {function(): {apiUrl: string, model: string, source: string}} resolveConfig - Reads ST's current vector settings; throws if the source is unsupported
+     */
+    constructor(resolveConfig) {
+        super('sillytavern');
+        this.resolveConfig = resolveConfig;
+    }
+
+    /**
+     * Build a client for the currently configured vector source
+     * @returns {OpenAICompatibleEmbeddingClient} Delegate client
+     */
+    getDelegate() {
+        const { apiUrl, model, source } = this.resolveConfig();
+
+        if (!apiUrl) {
+            throw new Error(`No server URL configured for SillyTavern vector source "${source}"`);
+        }
+
+        return new OpenAICompatibleEmbeddingClient(apiUrl, '', model);
+    }
+
+    /**
+     * Generate embeddings for one or more texts
+     * @param {string|string[]} input - Text or array of texts to embed
+     * @param {string} inputType - Type of input: 'document' or 'query'
+     * @returns {Promise<{embeddings: number[][], usage: {total_tokens: number}}>}
+     */
+    async embed(input, inputType = 'document') {
+        return this.getDelegate().embed(input, inputType);
+    }
+
+    /**
+     * Describe which provider and model produce this provider's vectors
+     * @returns {{provider: string, model: string}} Descriptor
+     * @throws {Error} If the selected vector source is not supported
+     */
+    getDescriptor() {
+        const { model, source } = this.resolveConfig();
+        return { provider: this.provider, model: source ? `${source}/${model}` : model };
+    }
+}
+
+/**
+ * Create the embedding provider selected in settings
+ * @param {object} settings - Extension settings
+ * @param {object} options - Provider dependencies
+ * @param {function(): object} options.resolveSillyTavernConfig - Resolver for the SillyTavern provider
+ * @returns {object} Embedding provider
+ */
+export function createEmbeddingProvider(settings, { resolveSillyTavernConfig } = {}) {
+    switch (settings.embedding_provider) {
+        case 'openai':
+            return new OpenAICompatibleEmbeddingClient(
+                settings.embedding_url,
+                settings.embedding_key,
+                settings.embedding_model
+            );
+        case 'sillytavern':
+            return new VectorStorageServerClient(resolveSillyTavernConfig);
+        case 'voyageai':
+        default:
+            return new VoyageAIClient(settings.voyage_api_key, settings.voyage_model, {
+                outputDimension: Number(settings.voyage_output_dimension) || null,
+                // Ask for pre-quantized vectors when they are stored as int8 anyway
+                outputDtype: settings.embedding_format === 'int8' ? 'int8' : null
+            });
+    }
+}
+
+// Available embedding providers
+export const EMBEDDING_PROVIDERS = [
+    { id: 'voyageai', name: 'VoyageAI' },
+    { id: 'openai', name: 'OpenAI-compatible (LM Studio, llama.cpp, Ollama, ...)' },
+    { id: 'sillytavern', name: 'Vector Storage local server (Ollama, llama.cpp, vLLM)' }
+];
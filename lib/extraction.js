@@ -0,0 +1,112 @@
+/**
+ * Structured memory extraction: the JSON schema asked of the summarizer,
+ * and its validation into memory metadata
+ * @module lib/extraction
+ */
+
+/**
+ * Fields of a structured extraction and their types. Only summary is required.
+ */
+export const EXTRACTION_SCHEMA = {
+    summary: 'string',
+    participants: 'string[]',
+    location: 'string',
+    objects: 'string[]',
+    emotion: 'string',
+    importance: 'number',
+    story_time: 'string'
+};
+
+// Timestamp the Korean prompt asks for in plain-text mode, e.g. "[01/22|22:11]"
+const STAMP_PATTERN = /^\s*\[\d{1,2}\/\d{1,2}\|\d{1,2}:\d{2}\]\s*/;
+
+/**
+ * Check a value against a schema type
+ * @param {any} value - Value
+ * @param {string} type - 'string', 'number' or 'string[]'
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+    if (type === 'string[]') {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+    return typeof value === type;
+}
+
+/**
+ * Validate an extraction against EXTRACTION_SCHEMA. Missing optional fields
+ * and empty values are allowed; a field of the wrong type is an error.
+ * @param {object} data - Parsed extraction
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateExtraction(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['not a JSON object'];
+    }
+
+    const errors = [];
+    if (typeof data.summary !== 'string' || !data.summary.trim()) {
+        errors.push('summary is required');
+    }
+
+    for (const [field, type] of Object.entries(EXTRACTION_SCHEMA)) {
+        const value = data[field];
+        if (field === 'summary' || value === undefined || value === null || value === '') continue;
+
+        if (!hasType(value, type)) {
+            errors.push(`${field} must be ${type === 'string[]' ? 'an array of strings' : `a ${type}`}`);
+        }
+    }
+
+    if (typeof data.importance === 'number' && !(data.importance >= 1 && data.importance <= 10)) {
+        errors.push('importance must be between 1 and 10');
+    }
+
+    return errors;
+}
+
+/**
+ * Parse a structured extraction from a model reply, allowing a code fence
+ * or text around the JSON
+ * @param {string} reply - Model reply
+ * @returns {{summary: string, metadata: object}} Summary and the metadata fields present
+ * @throws {Error} If the reply is not valid JSON or fails validation
+ */
+export function parseExtraction(reply) {
+    const json = reply.match(/\{[\s\S]*\}/)?.[0];
+    let data = null;
+
+    try {
+        data = json ? JSON.parse(json) : null;
+    } catch (error) {
+        throw new Error(`Extraction is not valid JSON: ${error.message}`);
+    }
+
+    const errors = validateExtraction(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid extraction: ${errors.join(', ')}`);
+    }
+
+    const list = values => [...new Set((values || []).map(v => v.trim()).filter(Boolean))];
+    const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+
+    const metadata = {
+        participants: list(data.participants),
+        location: text(data.location),
+        objects: list(data.objects),
+        emotion: text(data.emotion),
+        story_time: text(data.story_time)
+    };
+    if (typeof data.importance === 'number') {
+        metadata.importance = (Math.round(data.importance) - 1) / 9;
+    }
+
+    // Drop empty fields so memories only carry what was found
+    for (const [key, value] of Object.entries(metadata)) {
+        if (value === null || (Array.isArray(value) && value.length === 0)) {
+            delete metadata[key];
+        }
+    }
+
+    return { summary: data.summary.replace(STAMP_PATTERN, '').trim(), metadata };
+}
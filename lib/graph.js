@@ -0,0 +1,316 @@
+/**
+ * Knowledge graph of the entities named in a bank's memories (people,
+ * places, objects, groups) and the relations between them. Nodes and edges
+ * list the memories they were extracted from.
+ * @module lib/graph
+ */
+
+export const ENTITY_TYPES = ['person', 'place', 'object', 'group', 'other'];
+
+/**
+ * Create an empty graph
+ * @returns {{nodes: object[], edges: object[]}} Graph
+ */
+export function createGraph() {
+    return { nodes: [], edges: [] };
+}
+
+/**
+ * Normalize an entity name for matching: case, spacing and Unicode form
+ * @param {string} name - Entity name
+ * @returns {string} Normalized name
+ */
+export function normalizeEntityName(name) {
+    return String(name ?? '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Find a node by name or alias
+ * @param {object} graph - Graph
+ * @param {string} name - Entity name
+ * @returns {object|null} Node
+ */
+export function findNode(graph, name) {
+    const key = normalizeEntityName(name);
+    if (!key) return null;
+
+    return graph.nodes.find(node =>
+        node.id === key
+        || normalizeEntityName(node.name) === key
+        || (node.aliases || []).some(alias => normalizeEntityName(alias) === key)
+    ) || null;
+}
+
+/**
+ * Get a node, adding it if no node has the name
+ * @param {object} graph - Graph (mutated)
+ * @param {{name: string, type: string}} entity - Entity
+ * @param {string|null} memoryId - Memory the entity was found in
+ * @param {boolean} manual - Added in the graph editor; kept without memories
+ * @returns {object} Node
+ */
+export function upsertNode(graph, { name, type = 'other' }, memoryId = null, manual = false) {
+    let node = findNode(graph, name);
+
+    if (!node) {
+        const key = normalizeEntityName(name);
+        let id = key;
+        for (let n = 2; graph.nodes.some(other => other.id === id); n++) {
+            id = `${key}#${n}`;
+        }
+
+        node = { id, name: String(name).trim(), type: 'other', aliases: [], memory_ids: [] };
+        if (manual) node.manual = true;
+        graph.nodes.push(node);
+    }
+
+    // A type learned later replaces the placeholder of a node first seen in a relation
+    if (node.type === 'other' && ENTITY_TYPES.includes(type)) {
+        node.type = type;
+    }
+    if (memoryId && !node.memory_ids.includes(memoryId)) {
+        node.memory_ids.push(memoryId);
+    }
+
+    return node;
+}
+
+/**
+ * Get an edge, adding it if the two nodes aren't linked by the relation yet
+ * @param {object} graph - Graph (mutated)
+ * @param {string} source - Source node ID
+ * @param {string} target - Target node ID
+ * @param {string} relation - Relation, e.g. "sister of"
+ * @param {string|null} memoryId - Memory the relation was found in
+ * @param {boolean} manual - Added in the graph editor; kept without memories
+ * @returns {object} Edge
+ */
+export function upsertEdge(graph, source, target, relation, memoryId = null, manual = false) {
+    const label = String(relation).trim();
+    const id = `${source}|${normalizeEntityName(label)}|${target}`;
+    let edge = graph.edges.find(e => e.id === id);
+
+    if (!edge) {
+        edge = { id, source, target, relation: label, memory_ids: [] };
+        if (manual) edge.manual = true;
+        graph.edges.push(edge);
+    }
+
+    if (memoryId && !edge.memory_ids.includes(memoryId)) {
+        edge.memory_ids.push(memoryId);
+    }
+
+    return edge;
+}
+
+/**
+ * Add the entities and relations extracted from a memory
+ * @param {object} graph - Graph (mutated)
+ * @param {{entities: object[], relations: object[]}} extraction - Extraction (see parseGraphExtraction)
+ * @param {string} memoryId - Source memory ID
+ */
+export function addExtraction(graph, { entities = [], relations = [] }, memoryId) {
+    for (const entity of entities) {
+        upsertNode(graph, entity, memoryId);
+    }
+
+    for (const { source, target, relation } of relations) {
+        const from = upsertNode(graph, { name: source }, memoryId);
+        const to = upsertNode(graph, { name: target }, memoryId);
+        if (from !== to) {
+            upsertEdge(graph, from.id, to.id, relation, memoryId);
+        }
+    }
+}
+
+/**
+ * Parse the entities and relations extracted from a memory, allowing a code
+ * fence or text around the JSON. Malformed entries are skipped.
+ * @param {string} reply - Model reply
+ * @returns {{entities: Array<{name: string, type: string}>, relations: Array<{source: string, target: string, relation: string}>}} Extraction
+ * @throws {Error} If the reply holds no JSON object
+ */
+export function parseGraphExtraction(reply) {
+    const json = reply.match(/\{[\s\S]*\}/)?.[0];
+    let data = null;
+
+    try {
+        data = json ? JSON.parse(json) : null;
+    } catch (error) {
+        data = null;
+    }
+
+    if (!data || typeof data !== 'object') {
+        throw new Error(`Unexpected graph extraction: ${reply.substring(0, 200)}`);
+    }
+
+    const text = value => typeof value === 'string' ? value.trim() : '';
+    const entities = (Array.isArray(data.entities) ? data.entities : [])
+        .map(e => ({ name: text(e?.name), type: ENTITY_TYPES.includes(e?.type) ? e.type : 'other' }))
+        .filter(e => e.name);
+    const relations = (Array.isArray(data.relations) ? data.relations : [])
+        .map(r => ({ source: text(r?.source), target: text(r?.target), relation: text(r?.relation) }))
+        .filter(r => r.source && r.target && r.relation);
+
+    return { entities, relations };
+}
+
+/**
+ * Remove links to memories that no longer exist. Nodes and edges left
+ * without memories are removed, unless they were added in the editor (or,
+ * for nodes, a relation added in the editor links them).
+ * @param {object} graph - Graph (mutated)
+ * @param {Set<string>} memoryIds - IDs of the bank's memories
+ * @returns {number} Nodes and edges removed
+ */
+export function pruneGraph(graph, memoryIds) {
+    const before = graph.nodes.length + graph.edges.length;
+    const keep = item => {
+        item.memory_ids = item.memory_ids.filter(id => memoryIds.has(id));
+        return item.manual || item.memory_ids.length > 0;
+    };
+    const manualEnds = new Set(graph.edges.filter(e => e.manual).flatMap(e => [e.source, e.target]));
+
+    graph.nodes = graph.nodes.filter(node => keep(node) || manualEnds.has(node.id));
+    const nodeIds = new Set(graph.nodes.map(n => n.id));
+    graph.edges = graph.edges.filter(e => keep(e) && nodeIds.has(e.source) && nodeIds.has(e.target));
+
+    return before - graph.nodes.length - graph.edges.length;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the nodes whose name or an alias is mentioned in a text. A name must
+ * start a word; Latin names must also end one, while names in other
+ * scripts may be followed by a particle (e.g. Korean 미라가).
+ * @param {object} graph - Graph
+ * @param {string} text - Text, e.g. the recent turns
+ * @returns {object[]} Mentioned nodes
+ */
+export function findMentionedNodes(graph, text) {
+    const haystack = normalizeEntityName(text);
+
+    return graph.nodes.filter(node => [node.name, ...(node.aliases || [])].some(name => {
+        const key = normalizeEntityName(name);
+        if (key.length < 2 || !haystack.includes(key)) return false;
+
+        const end = /[a-z0-9]$/.test(key) ? '(?![\\p{L}\\p{N}])' : '';
+        return new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(key)}${end}`, 'u').test(haystack);
+    }));
+}
+
+/**
+ * Get the neighbourhood of nodes: the nodes within `depth` relations of
+ * them and the edges on the way
+ * @param {object} graph - Graph
+ * @param {string[]} nodeIds - Start node IDs
+ * @param {number} depth - Relations to follow
+ * @returns {{nodes: object[], edges: object[]}} Neighbour nodes (without the start nodes) and edges
+ */
+export function getNeighbourhood(graph, nodeIds, depth = 1) {
+    const visited = new Set(nodeIds);
+    const edges = new Set();
+    let frontier = new Set(nodeIds);
+
+    for (let step = 0; step < depth && frontier.size > 0; step++) {
+        const next = new Set();
+
+        for (const edge of graph.edges) {
+            const from = frontier.has(edge.source) ? edge.target : frontier.has(edge.target) ? edge.source : null;
+            if (from === null) continue;
+
+            edges.add(edge);
+            if (!visited.has(from)) {
+                visited.add(from);
+                next.add(from);
+            }
+        }
+
+        frontier = next;
+    }
+
+    const start = new Set(nodeIds);
+    return {
+        nodes: graph.nodes.filter(n => visited.has(n.id) && !start.has(n.id)),
+        edges: [...edges]
+    };
+}
+
+/**
+ * Get the memories that expand a retrieval for a text: the memories behind
+ * the relations of the entities it mentions, then those of their neighbours
+ * @param {object} graph - Graph
+ * @param {string} text - Query text
+ * @param {number} depth - Relations to follow
+ * @returns {{memoryIds: string[], mentioned: string[]}} Memory IDs, most direct first, and the mentioned entity names
+ */
+export function getExpansion(graph, text, depth = 1) {
+    const mentioned = findMentionedNodes(graph, text);
+    if (mentioned.length === 0) {
+        return { memoryIds: [], mentioned: [] };
+    }
+
+    const { nodes, edges } = getNeighbourhood(graph, mentioned.map(n => n.id), depth);
+    const memoryIds = new Set([
+        ...edges.flatMap(e => e.memory_ids),
+        ...nodes.flatMap(n => n.memory_ids)
+    ]);
+
+    return { memoryIds: [...memoryIds], mentioned: mentioned.map(n => n.name) };
+}
+
+/**
+ * Merge one node into another: its memories, name (as an alias) and
+ * relations move to the kept node
+ * @param {object} graph - Graph (mutated)
+ * @param {string} keepId - Node kept
+ * @param {string} mergeId - Node merged and removed
+ */
+export function mergeNodes(graph, keepId, mergeId) {
+    const keep = graph.nodes.find(n => n.id === keepId);
+    const merge = graph.nodes.find(n => n.id === mergeId);
+    if (!keep || !merge || keep === merge) return;
+
+    keep.memory_ids = [...new Set([...keep.memory_ids, ...merge.memory_ids])];
+    keep.aliases = [...new Set([...(keep.aliases || []), merge.name, ...(merge.aliases || [])])]
+        .filter(alias => normalizeEntityName(alias) !== normalizeEntityName(keep.name));
+    graph.nodes = graph.nodes.filter(n => n !== merge);
+
+    const edges = graph.edges;
+    graph.edges = [];
+    for (const edge of edges) {
+        const source = edge.source === mergeId ? keepId : edge.source;
+        const target = edge.target === mergeId ? keepId : edge.target;
+        if (source === target) continue;
+
+        const merged = upsertEdge(graph, source, target, edge.relation, null, edge.manual);
+        merged.memory_ids = [...new Set([...merged.memory_ids, ...edge.memory_ids])];
+    }
+}
+
+/**
+ * Remove a node and its relations
+ * @param {object} graph - Graph (mutated)
+ * @param {string} nodeId - Node ID
+ */
+export function deleteNode(graph, nodeId) {
+    graph.nodes = graph.nodes.filter(n => n.id !== nodeId);
+    graph.edges = graph.edges.filter(e => e.source !== nodeId && e.target !== nodeId);
+}
+
+/**
+ * Remove a relation
+ * @param {object} graph - Graph (mutated)
+ * @param {string} edgeId - Edge ID
+ */
+export function deleteEdge(graph, edgeId) {
+    graph.edges = graph.edges.filter(e => e.id !== edgeId);
+}
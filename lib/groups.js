@@ -0,0 +1,107 @@
+/**
+ * Memory bank selection for group chats: each member keeps its own bank,
+ * and the group shares one more
+ * @module lib/groups
+ */
+
+const GROUP_BANK_PREFIX = 'group_';
+
+/**
+ * Get the ID of a group's shared bank
+ * @param {string} groupId - SillyTavern group ID
+ * @returns {string} Bank ID
+ */
+export function getGroupBankId(groupId) {
+    return `${GROUP_BANK_PREFIX}${groupId}`;
+}
+
+/**
+ * Check whether a bank is a group's shared bank
+ * @param {string} bankId - Bank ID
+ * @returns {boolean} True for shared group banks
+ */
+export function isGroupBank(bankId) {
+    return String(bankId).startsWith(GROUP_BANK_PREFIX);
+}
+
+/**
+ * Find a character's ID (its index in the character list) by avatar, or by
+ * name when the avatar is unknown and the name is unique
+ * @param {object[]} characters - SillyTavern character list
+ * @param {object} speaker - Speaker of a message
+ * @param {string} speaker.avatar - Avatar file (message.original_avatar or a group member entry)
+ * @param {string} speaker.name - Display name
+ * @returns {string|null} Character ID
+ */
+export function findCharacterId(characters, { avatar, name } = {}) {
+    if (!Array.isArray(characters)) {
+        return null;
+    }
+
+    if (avatar) {
+        const index = characters.findIndex(c => c?.avatar === avatar);
+        if (index >= 0) return String(index);
+    }
+
+    if (name) {
+        const matches = characters.flatMap((c, index) => c?.name === name ? [index] : []);
+        if (matches.length === 1) return String(matches[0]);
+    }
+
+    return null;
+}
+
+/**
+ * Get the character IDs of a group's members
+ * @param {object} group - SillyTavern group (members are avatar files)
+ * @param {object[]} characters - SillyTavern character list
+ * @returns {string[]} Character IDs
+ */
+export function getGroupMemberIds(group, characters) {
+    return (group?.members || [])
+        .map(avatar => findCharacterId(characters, { avatar }))
+        .filter(id => id !== null);
+}
+
+/**
+ * Choose the banks a message is stored in. Outside groups this is the
+ * character's bank. In a group, a member's message goes to its own bank
+ * and the shared bank; a user message goes to the shared bank.
+ * @param {object} options - Message context
+ * @param {string|null} options.groupId - Group ID, if a group chat
+ * @param {string|null} options.speakerId - Character ID of the speaker (or the current character outside groups)
+ * @param {string} options.role - 'user' or 'assistant'
+ * @param {boolean} options.sharedBank - Use the group's shared bank
+ * @param {boolean} options.memberBanks - Use members' own banks
+ * @returns {string[]} Bank IDs, the speaker's own first
+ */
+export function getStorageBanks({ groupId = null, speakerId = null, role = 'assistant', sharedBank = true, memberBanks = true } = {}) {
+    if (!groupId) {
+        return speakerId !== null && speakerId !== undefined ? [speakerId] : [];
+    }
+
+    const banks = [];
+    if (memberBanks && role === 'assistant' && speakerId !== null && speakerId !== undefined) {
+        banks.push(speakerId);
+    }
+    // With both kinds disabled the shared bank is still used, so nothing is lost
+    if (sharedBank || banks.length === 0) {
+        banks.push(getGroupBankId(groupId));
+    }
+
+    return banks;
+}
+
+/**
+ * Choose the banks searched for a generation: outside groups the
+ * character's bank, in a group the speaking member's bank and the shared bank
+ * @param {object} options - Generation context
+ * @param {string|null} options.groupId - Group ID, if a group chat
+ * @param {string|null} options.speakerId - Character ID of the character about to speak
+ * @param {boolean} options.sharedBank - Use the group's shared bank
+ * @param {boolean} options.memberBanks - Use members' own banks
+ * @returns {string[]} Bank IDs
+ */
+export function getRetrievalBanks({ groupId = null, speakerId = null, sharedBank = true, memberBanks = true } = {}) {
+    return getStorageBanks({ groupId, speakerId, role: 'assistant', sharedBank, memberBanks });
+}
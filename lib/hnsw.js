@@ -0,0 +1,436 @@
+/**
+ * Hierarchical Navigable Small World (HNSW) index for approximate
+ * nearest-neighbour search over normalized embeddings
+ * @module lib/hnsw
+ */
+
+import { toUnitVector, dotProduct } from './similarity.js';
+
+/**
+ * Binary heap ordered by a comparator (smallest first)
+ */
+class BinaryHeap {
+    /**
+     * Create a heap
+     * @param {function(any, any): number} compare - Negative if a comes before b
+     */
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    /**
+     * Number of items in the heap
+     * @returns {number} Size
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Get the first item without removing it
+     * @returns {any} First item
+     */
+    peek() {
+        return this.items[0];
+    }
+
+    /**
+     * Insert an item
+     * @param {any} item - Item to insert
+     */
+    push(item) {
+        const items = this.items;
+        items.push(item);
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Remove and return the first item
+     * @returns {any} First item
+     */
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === i) break;
+
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+/**
+ * HNSW index. Vectors are normalized on insert so distance is 1 - dot
+ * product. Removal is a soft delete: the node keeps routing searches but is
+ * never returned, and the graph is rebuilt once most nodes are deleted.
+ */
+export class HNSWIndex {
+    /**
+     * Create an HNSW index
+     * @param {object} options - Index parameters
+     * @param {number} options.M - Neighbours per node on upper layers (2M on layer 0)
+     * @param {number} options.efConstruction - Candidate list size while inserting
+     * @param {number} options.efSearch - Candidate list size while searching
+     */
+    constructor({ M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+        this.M = M;
+        this.maxM0 = M * 2;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        this.levelMultiplier = 1 / Math.log(M);
+        this.nodes = []; // { id, vector, level, neighbors: number[][], distances: number[][], deleted }
+        this.idToNode = new Map();
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.dimensions = null;
+        this.deletedCount = 0;
+    }
+
+    /**
+     * Number of live (non-deleted) vectors
+     * @returns {number} Size
+     */
+    get size() {
+        return this.idToNode.size;
+    }
+
+    /**
+     * Check whether an ID is indexed
+     * @param {string} id - Memory ID
+     * @returns {boolean} True if present
+     */
+    has(id) {
+        return this.idToNode.has(id);
+    }
+
+    /**
+     * Distance between two unit vectors
+     * @param {Float32Array} a - First vector
+     * @param {Float32Array} b - Second vector
+     * @returns {number} 1 - cosine similarity
+     */
+    distance(a, b) {
+        return 1 - dotProduct(a, b);
+    }
+
+    /**
+     * Draw a random level for a new node
+     * @returns {number} Level
+     */
+    randomLevel() {
+        return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    }
+
+    /**
+     * Add or replace a vector
+     * @param {string} id - Memory ID
+     * @param {number[]|Float32Array} vector - Embedding vector
+     * @returns {boolean} False if the vector's dimension doesn't match the index
+     */
+    add(id, vector) {
+        if (this.dimensions === null) {
+            this.dimensions = vector.length;
+        } else if (vector.length !== this.dimensions) {
+            return false;
+        }
+
+        if (this.idToNode.has(id)) {
+            this.remove(id);
+        }
+
+        const unit = toUnitVector(vector);
+        const level = this.randomLevel();
+        const index = this.nodes.length;
+        const node = {
+            id,
+            vector: unit,
+            level,
+            neighbors: Array.from({ length: level + 1 }, () => []),
+            distances: Array.from({ length: level + 1 }, () => []),
+            deleted: false
+        };
+
+        this.nodes.push(node);
+        this.idToNode.set(id, index);
+
+        if (this.entryPoint < 0) {
+            this.entryPoint = index;
+            this.maxLevel = level;
+            return true;
+        }
+
+        let entry = this.entryPoint;
+        for (let l = this.maxLevel; l > level; l--) {
+            entry = this.greedyClosest(unit, entry, l);
+        }
+
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const candidates = this.searchLayer(unit, [entry], this.efConstruction, l);
+            const maxNeighbors = l === 0 ? this.maxM0 : this.M;
+            const selected = this.selectNeighbors(candidates, this.M);
+
+            node.neighbors[l] = selected.map(c => c.index);
+            node.distances[l] = selected.map(c => c.distance);
+
+            for (const { index: neighborIndex, distance } of selected) {
+                this.connect(this.nodes[neighborIndex], index, distance, l, maxNeighbors);
+            }
+
+            entry = candidates[0].index;
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = index;
+            this.maxLevel = level;
+        }
+
+        return true;
+    }
+
+    /**
+     * Add a back-link to a neighbour. A full neighbour list drops its
+     * farthest link instead of re-running neighbour selection, which would
+     * cost O(M^2) distance computations on every insert.
+     * @param {object} neighbor - Node receiving the link
+     * @param {number} index - Index of the new node
+     * @param {number} distance - Distance between the two nodes
+     * @param {number} level - Layer
+     * @param {number} maxNeighbors - Link limit on this layer
+     */
+    connect(neighbor, index, distance, level, maxNeighbors) {
+        const links = neighbor.neighbors[level];
+        const distances = neighbor.distances[level];
+
+        if (links.length < maxNeighbors) {
+            links.push(index);
+            distances.push(distance);
+            return;
+        }
+
+        let farthest = 0;
+        for (let i = 1; i < distances.length; i++) {
+            if (distances[i] > distances[farthest]) farthest = i;
+        }
+
+        if (distance < distances[farthest]) {
+            links[farthest] = index;
+            distances[farthest] = distance;
+        }
+    }
+
+    /**
+     * Soft-delete a vector
+     * @param {string} id - Memory ID
+     */
+    remove(id) {
+        const index = this.idToNode.get(id);
+        if (index === undefined) return;
+
+        this.nodes[index].deleted = true;
+        this.idToNode.delete(id);
+        this.deletedCount++;
+
+        if (this.deletedCount > this.nodes.length / 2) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rebuild the graph without deleted nodes
+     */
+    compact() {
+        const live = this.nodes.filter(node => !node.deleted);
+
+        this.nodes = [];
+        this.idToNode.clear();
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+
+        for (const node of live) {
+            this.add(node.id, node.vector);
+        }
+    }
+
+    /**
+     * Walk greedily towards the query on one layer
+     * @param {Float32Array} query - Unit query vector
+     * @param {number} entry - Starting node index
+     * @param {number} level - Layer
+     * @returns {number} Closest node index found
+     */
+    greedyClosest(query, entry, level) {
+        let current = entry;
+        let currentDistance = this.distance(query, this.nodes[current].vector);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (const neighbor of this.nodes[current].neighbors[level] || []) {
+                const distance = this.distance(query, this.nodes[neighbor].vector);
+                if (distance < currentDistance) {
+                    current = neighbor;
+                    currentDistance = distance;
+                    improved = true;
+                }
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Beam search on one layer
+     * @param {Float32Array} query - Unit query vector
+     * @param {number[]} entries - Starting node indices
+     * @param {number} ef - Beam width
+     * @param {number} level - Layer
+     * @returns {Array<{index: number, distance: number}>} Closest nodes, nearest first
+     */
+    searchLayer(query, entries, ef, level) {
+        const visited = new Set(entries);
+        const candidates = new BinaryHeap((a, b) => a.distance - b.distance);
+        const results = new BinaryHeap((a, b) => b.distance - a.distance);
+
+        for (const index of entries) {
+            const item = { index, distance: this.distance(query, this.nodes[index].vector) };
+            candidates.push(item);
+            results.push(item);
+        }
+
+        while (candidates.size > 0) {
+            const closest = candidates.pop();
+            if (closest.distance > results.peek().distance && results.size >= ef) break;
+
+            for (const neighbor of this.nodes[closest.index].neighbors[level] || []) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
+
+                const distance = this.distance(query, this.nodes[neighbor].vector);
+                if (results.size < ef || distance < results.peek().distance) {
+                    const item = { index: neighbor, distance };
+                    candidates.push(item);
+                    results.push(item);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.items.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Pick diverse neighbours (HNSW heuristic): a candidate is kept only if it
+     * is closer to the base than to every neighbour kept so far; remaining
+     * slots are filled with the closest rejected candidates.
+     * @param {Array<{index: number, distance: number}>} candidates - Sorted nearest first
+     * @param {number} count - Number of neighbours
+     * @returns {Array<{index: number, distance: number}>} Selected neighbours
+     */
+    selectNeighbors(candidates, count) {
+        const selected = [];
+        const rejected = [];
+
+        for (const candidate of candidates) {
+            if (selected.length >= count) break;
+
+            const vector = this.nodes[candidate.index].vector;
+            const diverse = selected.every(s => this.distance(vector, this.nodes[s.index].vector) > candidate.distance);
+
+            (diverse ? selected : rejected).push(candidate);
+        }
+
+        for (const candidate of rejected) {
+            if (selected.length >= count) break;
+            selected.push(candidate);
+        }
+
+        return selected;
+    }
+
+    /**
+     * Find approximate nearest neighbours
+     * @param {number[]|Float32Array} query - Query vector
+     * @param {number} k - Number of results
+     * @param {number} ef - Beam width (defaults to efSearch)
+     * @returns {Array<{id: string, similarity: number}>} Results, most similar first
+     */
+    search(query, k = 5, ef = this.efSearch) {
+        if (this.entryPoint < 0 || query.length !== this.dimensions) {
+            return [];
+        }
+
+        const unit = toUnitVector(query);
+        let entry = this.entryPoint;
+
+        for (let l = this.maxLevel; l > 0; l--) {
+            entry = this.greedyClosest(unit, entry, l);
+        }
+
+        // Widen the beam by the deleted share so enough live nodes survive filtering
+        const beam = Math.max(ef, k) + Math.min(this.deletedCount, Math.max(ef, k));
+
+        return this.searchLayer(unit, [entry], beam, 0)
+            .filter(item => !this.nodes[item.index].deleted)
+            .slice(0, k)
+            .map(item => ({ id: this.nodes[item.index].id, similarity: 1 - item.distance }));
+    }
+}
+
+/**
+ * Apply an index operation message. Shared by the search worker and the
+ * in-thread fallback used when workers are unavailable.
+ * @param {Map<string, HNSWIndex>} indexes - Indexes by bank ID
+ * @param {object} message - Operation: build, add, remove, drop or search
+ * @returns {any} Operation result
+ */
+export function applyIndexOperation(indexes, message) {
+    const { type, bank } = message;
+
+    switch (type) {
+        case 'build': {
+            const index = new HNSWIndex(message.options);
+            for (const item of message.items) {
+                index.add(item.id, item.vector);
+            }
+            indexes.set(bank, index);
+            return index.size;
+        }
+        case 'add':
+            return indexes.get(bank)?.add(message.item.id, message.item.vector) ?? false;
+        case 'remove':
+            indexes.get(bank)?.remove(message.memoryId);
+            return null;
+        case 'drop':
+            indexes.delete(bank);
+            return null;
+        case 'search':
+            return indexes.get(bank)?.search(message.vector, message.k) || [];
+        default:
+            throw new Error(`Unknown index operation: ${type}`);
+    }
+}
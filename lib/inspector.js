@@ -0,0 +1,167 @@
+/**
+ * Retrieval log for the inspector: what each generation searched for, which
+ * candidates were found, where each was cut and what was injected
+ * @module lib/inspector
+ */
+
+/**
+ * Settings that shape retrieval, snapshotted with every trace
+ */
+export const RETRIEVAL_SETTING_KEYS = [
+    'top_k', 'similarity_threshold', 'query_turns', 'query_rewrite', 'query_hyde',
+    'hybrid_enabled', 'hybrid_weight', 'rerank_enabled', 'rerank_candidates', 'rerank_threshold',
+    'ranking_recency_weight', 'ranking_importance_weight', 'ranking_access_weight', 'ranking_half_life_days',
+    'mmr_enabled', 'mmr_lambda', 'token_budget', 'budget_overflow', 'consolidation_enabled', 'memory_scope',
+    'graph_enabled', 'graph_expansion', 'supersede_enabled', 'supersede_mode', 'supersede_penalty',
+    'injection_position', 'injection_depth'
+];
+
+/**
+ * Stages at which a candidate can leave the pipeline, in order
+ */
+export const CANDIDATE_STAGES = ['threshold', 'superseded', 'top_k', 'budget', 'injected'];
+
+/**
+ * Copy the retrieval settings from the extension settings
+ * @param {object} settings - Extension settings
+ * @returns {object} Retrieval settings
+ */
+export function snapshotSettings(settings) {
+    return Object.fromEntries(RETRIEVAL_SETTING_KEYS.map(key => [key, settings[key]]));
+}
+
+/**
+ * Describe a retrieval result for the log, without its embedding
+ * @param {{memory: object, similarity: number}} result - Retrieval result
+ * @param {string} stage - Stage the candidate reached (see CANDIDATE_STAGES)
+ * @returns {object} Candidate record
+ */
+export function describeCandidate(result, stage) {
+    const { memory } = result;
+    return {
+        id: memory.id,
+        summary: memory.summary,
+        role: memory.metadata?.role,
+        level: memory.metadata?.level || 'message',
+        similarity: result.vectorSimilarity ?? result.similarity,
+        rerankScore: result.vectorSimilarity !== undefined ? result.similarity : undefined,
+        lexicalScore: result.lexicalScore,
+        fusedScore: result.fusedScore,
+        score: result.score,
+        matchedBy: result.matchedBy,
+        pinned: !!result.pinned,
+        superseded: !!result.superseded,
+        stage
+    };
+}
+
+/**
+ * Record the injection step of a trace. Selected candidates that didn't make
+ * it into the text are moved to the budget stage; summaries injected in
+ * place of a candidate (see lib/consolidation) are added as candidates.
+ * @param {object} trace - Trace with candidates
+ * @param {object} injection - Injection result
+ * @param {string} injection.text - Injected text
+ * @param {number} injection.tokens - Its token count
+ * @param {Array<{memory: object, similarity: number}>} injection.items - Injected forms
+ * @param {string} injection.position - Injection position
+ * @param {number} injection.depth - Injection depth
+ * @param {number} injection.pinnedDropped - Pinned memories the token budget left out
+ */
+export function recordInjection(trace, { text, tokens, items, position, depth, pinnedDropped = 0 }) {
+    const injectedIds = new Set(items.map(item => item.memory.id));
+
+    for (const candidate of trace.candidates) {
+        if (injectedIds.has(candidate.id)) {
+            candidate.stage = 'injected';
+        } else if (candidate.stage === 'injected') {
+            candidate.stage = 'budget';
+        }
+    }
+
+    const known = new Set(trace.candidates.map(c => c.id));
+    const substitutes = items
+        .filter(item => !known.has(item.memory.id))
+        .map(item => describeCandidate(item, 'injected'));
+
+    trace.candidates.unshift(...substitutes);
+    trace.injection = { text, tokens, count: items.length, position, depth, pinnedDropped };
+}
+
+/**
+ * Compare the injected memories of two traces
+ * @param {object} before - Earlier trace
+ * @param {object} after - Later trace
+ * @returns {{added: string[], removed: string[], kept: string[]}} Memory IDs
+ */
+export function compareTraces(before, after) {
+    const injectedIds = trace => new Set(trace.candidates.filter(c => c.stage === 'injected').map(c => c.id));
+    const a = injectedIds(before);
+    const b = injectedIds(after);
+
+    return {
+        added: [...b].filter(id => !a.has(id)),
+        removed: [...a].filter(id => !b.has(id)),
+        kept: [...a].filter(id => b.has(id))
+    };
+}
+
+/**
+ * Bounded, newest-first log of retrieval traces
+ */
+export class RetrievalLog {
+    /**
+     * Create a retrieval log
+     * @param {number} limit - Traces kept; older ones are discarded
+     */
+    constructor(limit = 20) {
+        this.limit = limit;
+        this.traces = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Change how many traces are kept
+     * @param {number} limit - Trace limit
+     */
+    setLimit(limit) {
+        this.limit = limit;
+        this.traces.length = Math.min(this.traces.length, limit);
+    }
+
+    /**
+     * Add a trace, assigning its ID and time
+     * @param {object} trace - Trace from a retrieval
+     * @returns {object} The stored trace
+     */
+    add(trace) {
+        const stored = { id: this.nextId++, time: new Date().toISOString(), ...trace };
+        this.traces.unshift(stored);
+        this.traces.length = Math.min(this.traces.length, this.limit);
+        return stored;
+    }
+
+    /**
+     * Get a trace by ID
+     * @param {number} id - Trace ID
+     * @returns {object|undefined} Trace
+     */
+    get(id) {
+        return this.traces.find(t => t.id === id);
+    }
+
+    /**
+     * List traces, newest first
+     * @returns {object[]} Traces
+     */
+    list() {
+        return this.traces;
+    }
+
+    /**
+     * Remove all traces
+     */
+    clear() {
+        this.traces = [];
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Keyword (BM25) index for hybrid lexical + vector retrieval
+ * @module lib/lexical
+ */
+
+const HANGUL_PATTERN = /[가-힣]/;
+
+// Common Korean particles, longest first so '에서' wins over '에'
+const KOREAN_PARTICLES = [
+    '에서', '에게', '한테', '으로', '까지', '부터', '이랑', '처럼', '보다', '께서',
+    '은', '는', '이', '가', '을', '를', '에', '의', '와', '과', '도', '로', '만', '랑', '께'
+];
+
+const ENGLISH_STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by',
+    'from', 'as', 'is', 'was', 'were', 'are', 'be', 'been', 'it', 'its', 'this', 'that',
+    'he', 'she', 'they', 'his', 'her', 'their', 'them', 'him', 'i', 'you', 'we', 'me', 'my',
+    'your', 'our', 'so', 'if', 'then', 'than', 'not', 'no', 'do', 'did', 'has', 'had', 'have'
+]);
+
+/**
+ * Get the forms of a Korean word to index: the word without its trailing
+ * particle, plus the bare word when a one-syllable stem is ambiguous
+ * ('성은' may be 성 + 은, '사과' is a word of its own)
+ * @param {string} word - Hangul word
+ * @returns {string[]} Stems
+ */
+function getKoreanStems(word) {
+    for (const particle of KOREAN_PARTICLES) {
+        if (!word.endsWith(particle) || word.length === particle.length) continue;
+
+        const stem = word.slice(0, -particle.length);
+        if (stem.length >= 2 || particle.length >= 2) {
+            return [stem];
+        }
+        return [word, stem];
+    }
+    return [word];
+}
+
+/**
+ * Tokenize text for keyword matching. English words are lowercased with
+ * stopwords and possessives removed; Korean words yield the stem without
+ * its particle plus character bigrams, so inflected forms and compounds
+ * still match.
+ * @param {string} text - Input text
+ * @returns {string[]} Tokens
+ */
+export function tokenize(text) {
+    if (!text) {
+        return [];
+    }
+
+    const tokens = [];
+    const normalized = text.normalize('NFC').toLowerCase()
+        // Split mixed-script words such as "sword를" into "sword 를"
+        .replace(/([가-힣])(?=[^가-힣\s])/g, '$1 ')
+        .replace(/([^가-힣\s])(?=[가-힣])/g, '$1 ');
+    const words = normalized.match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+        if (HANGUL_PATTERN.test(word)) {
+            // A particle left over from splitting "sword를"
+            if (KOREAN_PARTICLES.includes(word)) {
+                continue;
+            }
+
+            for (const stem of getKoreanStems(word)) {
+                tokens.push(stem);
+
+                for (let i = 0; stem.length > 2 && i < stem.length - 1; i++) {
+                    tokens.push(stem.slice(i, i + 2));
+                }
+            }
+            continue;
+        }
+
+        if (ENGLISH_STOPWORDS.has(word)) {
+            continue;
+        }
+
+        // "Elara's" -> "elara"; the apostrophe split leaves a lone "s"
+        if (word === 's') {
+            continue;
+        }
+
+        tokens.push(word);
+    }
+
+    return tokens;
+}
+
+/**
+ * Get the text of a memory that is indexed for keyword search
+ * @param {object} memory - Memory object
+ * @returns {string} Indexed text
+ */
+export function getLexicalText(memory) {
+    return memory.summary || '';
+}
+
+/**
+ * In-memory BM25 index over memory summaries
+ */
+export class BM25Index {
+    /**
+     * Create a BM25 index
+     * @param {object} options - Ranking parameters
+     * @param {number} options.k1 - Term frequency saturation
+     * @param {number} options.b - Length normalization
+     */
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.docs = new Map(); // id -> { tf: Map<token, count>, length }
+        this.df = new Map(); // token -> number of docs containing it
+        this.totalLength = 0;
+    }
+
+    /**
+     * Build an index from memories
+     * @param {object[]} memories - Memory objects
+     * @returns {BM25Index} Index
+     */
+    static fromMemories(memories) {
+        const index = new BM25Index();
+        for (const memory of memories) {
+            index.add(memory.id, getLexicalText(memory));
+        }
+        return index;
+    }
+
+    /**
+     * Number of indexed documents
+     * @returns {number} Document count
+     */
+    get size() {
+        return this.docs.size;
+    }
+
+    /**
+     * Add or replace a document
+     * @param {string} id - Document ID
+     * @param {string} text - Document text
+     */
+    add(id, text) {
+        if (this.docs.has(id)) {
+            this.remove(id);
+        }
+
+        const tokens = tokenize(text);
+        const tf = new Map();
+        for (const token of tokens) {
+            tf.set(token, (tf.get(token) || 0) + 1);
+        }
+
+        for (const token of tf.keys()) {
+            this.df.set(token, (this.df.get(token) || 0) + 1);
+        }
+
+        this.docs.set(id, { tf, length: tokens.length });
+        this.totalLength += tokens.length;
+    }
+
+    /**
+     * Remove a document
+     * @param {string} id - Document ID
+     */
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        for (const token of doc.tf.keys()) {
+            const count = this.df.get(token) - 1;
+            if (count > 0) {
+                this.df.set(token, count);
+            } else {
+                this.df.delete(token);
+            }
+        }
+
+        this.totalLength -= doc.length;
+        this.docs.delete(id);
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Query text
+     * @param {number} limit - Maximum results
+     * @returns {Array<{id: string, score: number}>} Matches sorted by BM25 score, descending
+     */
+    search(query, limit = 10) {
+        const queryTokens = [...new Set(tokenize(query))];
+        if (queryTokens.length === 0 || this.docs.size === 0) {
+            return [];
+        }
+
+        const avgLength = this.totalLength / this.docs.size || 1;
+        const results = [];
+
+        for (const [id, doc] of this.docs) {
+            let score = 0;
+
+            for (const token of queryTokens) {
+                const freq = doc.tf.get(token);
+                if (!freq) continue;
+
+                const df = this.df.get(token);
+                const idf = Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+                score += idf * (freq * (this.k1 + 1)) /
+                    (freq + this.k1 * (1 - this.b + this.b * doc.length / avgLength));
+            }
+
+            if (score > 0) {
+                results.push({ id, score });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
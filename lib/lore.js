@@ -0,0 +1,96 @@
+/**
+ * Promotion of memories into World Info (lorebook) entries: picking and
+ * clustering candidates, and the fields written to the entry
+ * @module lib/lore
+ */
+
+import { dotProduct, getUnitVector } from './similarity.js';
+
+/**
+ * Check whether a memory has been promoted into a World Info entry
+ * @param {object} memory - Memory object
+ * @returns {boolean} True if promoted
+ */
+export function isPromoted(memory) {
+    return !!memory.metadata?.world_info;
+}
+
+/**
+ * Count the memories the automatic pass hasn't looked at yet
+ * @param {object[]} memories - All memories in the bank
+ * @returns {number} Unchecked memories
+ */
+export function countUncheckedLore(memories) {
+    return memories.filter(m => !m.metadata?.lore_checked && !isPromoted(m)).length;
+}
+
+/**
+ * Pick the memories the automatic pass may promote: unchecked, not yet
+ * promoted and at least as important as the minimum
+ * @param {object[]} memories - All memories in the bank
+ * @param {number} minImportance - Minimum importance (0-1)
+ * @returns {object[]} Candidates
+ */
+export function getLoreCandidates(memories, minImportance = 0.7) {
+    return memories.filter(m =>
+        !m.metadata?.lore_checked
+        && !isPromoted(m)
+        && (m.metadata?.importance ?? 0.5) >= minImportance
+        && m.embedding?.length > 0
+    );
+}
+
+/**
+ * Cluster memories about the same subject. The most important memory not
+ * yet clustered seeds a cluster, and the memories at least as similar as
+ * the threshold to it join, most similar first.
+ * @param {object[]} memories - Candidate memories
+ * @param {object} options - Clustering options
+ * @param {number} options.threshold - Minimum cosine similarity to the seed
+ * @param {number} options.minSize - Smallest cluster kept
+ * @param {number} options.maxSize - Largest cluster
+ * @returns {Array<object[]>} Clusters, oldest memory first in each
+ */
+export function clusterMemories(memories, { threshold = 0.75, minSize = 2, maxSize = 8 } = {}) {
+    const sorted = [...memories].sort((a, b) => (b.metadata?.importance ?? 0.5) - (a.metadata?.importance ?? 0.5));
+    const clustered = new Set();
+    const clusters = [];
+
+    for (const seed of sorted) {
+        if (clustered.has(seed.id)) continue;
+
+        const vector = getUnitVector(seed);
+        const members = sorted
+            .filter(m => m !== seed && !clustered.has(m.id) && m.embedding?.length === seed.embedding.length)
+            .map(m => ({ memory: m, similarity: dotProduct(vector, getUnitVector(m)) }))
+            .filter(m => m.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, maxSize - 1)
+            .map(m => m.memory);
+
+        const cluster = [seed, ...members];
+        if (cluster.length < minSize) continue;
+
+        cluster.forEach(m => clustered.add(m.id));
+        clusters.push(cluster.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+    }
+
+    return clusters;
+}
+
+/**
+ * Get the fields written to a World Info entry created from memories. The
+ * entry keeps the IDs of its source memories, and its comment marks it as
+ * promoted so it can be told apart in the lorebook editor.
+ * @param {{title: string, keys: string[], content: string}} draft - Drafted entry
+ * @param {object[]} memories - Source memories
+ * @returns {object} Entry fields
+ */
+export function buildLoreEntry(draft, memories) {
+    return {
+        key: draft.keys,
+        comment: `${draft.title} (VoyageAI Memory)`,
+        content: draft.content,
+        voyageai_memory_ids: memories.map(m => m.id)
+    };
+}
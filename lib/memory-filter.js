@@ -0,0 +1,115 @@
+/**
+ * Filtering and paging of memory lists for the memory viewer
+ * @module lib/memory-filter
+ */
+
+/**
+ * Get the chat a memory was stored from
+ * @param {object} memory - Memory object
+ * @returns {string|null} Chat identifier
+ */
+export function getMemoryChatId(memory) {
+    return memory.metadata?.source?.chat_id ?? memory.metadata?.chat_id ?? null;
+}
+
+/**
+ * List the chats memories come from, most memories first
+ * @param {object[]} memories - Memory objects
+ * @returns {Array<{chatId: string, count: number}>} Chats with memory counts
+ */
+export function listChats(memories) {
+    const counts = new Map();
+
+    for (const memory of memories) {
+        const chatId = getMemoryChatId(memory);
+        if (chatId) {
+            counts.set(chatId, (counts.get(chatId) || 0) + 1);
+        }
+    }
+
+    return [...counts]
+        .map(([chatId, count]) => ({ chatId, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Check a memory against filters on its extracted metadata (see
+ * lib/extraction). A filter matches when its text appears in the field, or
+ * in one of the entries of a list field, ignoring case; memories without
+ * the field never match.
+ * @param {object} memory - Memory object
+ * @param {object} filters - Filters; empty values match everything
+ * @param {string} filters.participant - Someone in metadata.participants (or the group speaker)
+ * @param {string} filters.location - metadata.location
+ * @param {string} filters.object - Something in metadata.objects
+ * @param {string} filters.emotion - metadata.emotion
+ * @returns {boolean} True if every filter matches
+ */
+export function matchesMetadata(memory, { participant = '', location = '', object = '', emotion = '' } = {}) {
+    const normalize = value => String(value).normalize('NFC').toLowerCase().trim();
+    const matches = (values, filter) => !filter
+        || values.some(value => value && normalize(value).includes(normalize(filter)));
+    const metadata = memory.metadata || {};
+
+    return matches([...(metadata.participants || []), metadata.speaker], participant)
+        && matches([metadata.location], location)
+        && matches(metadata.objects || [], object)
+        && matches([metadata.emotion], emotion);
+}
+
+/**
+ * Filter memories. Text matches when every word of it appears in the
+ * summary or original message (case-insensitive); dates are inclusive
+ * calendar days in local time.
+ * @param {object[]} memories - Memory objects
+ * @param {object} filters - Filters; empty values match everything
+ * @param {string} filters.text - Free text
+ * @param {string} filters.role - metadata.role
+ * @param {string} filters.chatId - Source chat
+ * @param {string} filters.from - First day (YYYY-MM-DD)
+ * @param {string} filters.to - Last day (YYYY-MM-DD)
+ * @param {boolean} filters.pinned - Only pinned memories
+ * @param {string} filters.participant - Someone involved (see matchesMetadata)
+ * @param {string} filters.location - Place (see matchesMetadata)
+ * @returns {object[]} Matching memories, in input order
+ */
+export function filterMemories(memories, { text = '', role = '', chatId = '', from = '', to = '', pinned = false, participant = '', location = '' } = {}) {
+    const words = text.normalize('NFC').toLowerCase().split(/\s+/).filter(Boolean);
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+    return memories.filter(memory => {
+        if (role && memory.metadata?.role !== role) return false;
+        if (chatId && getMemoryChatId(memory) !== chatId) return false;
+        if (pinned && !memory.metadata?.pinned) return false;
+        if (!matchesMetadata(memory, { participant, location })) return false;
+
+        const time = new Date(memory.timestamp).getTime();
+        if (time < fromTime || time > toTime) return false;
+
+        if (words.length > 0) {
+            const haystack = `${memory.summary || ''}\n${memory.original_message || ''}`.normalize('NFC').toLowerCase();
+            if (!words.every(word => haystack.includes(word))) return false;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Get one page of a list
+ * @param {any[]} items - Items
+ * @param {number} page - Page number (0-based, clamped to the last page)
+ * @param {number} pageSize - Items per page
+ * @returns {{items: any[], page: number, pageCount: number}} Page contents
+ */
+export function paginate(items, page, pageSize) {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(0, page), pageCount - 1);
+
+    return {
+        items: items.slice(current * pageSize, (current + 1) * pageSize),
+        page: current,
+        pageCount
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * Retrieval query construction from recent conversation turns
+ * @module lib/query
+ */
+
+import { getResultScore } from './similarity.js';
+
+/**
+ * Collect the last turns of a chat, oldest first
+ * @param {object[]} chat - SillyTavern chat messages
+ * @param {number} count - Number of turns
+ * @param {object} names - Display names
+ * @param {string} names.userName - User name
+ * @param {string} names.characterName - Character name
+ * @returns {Array<{role: string, name: string, content: string}>} Turns
+ */
+export function getQueryTurns(chat, count = 3, { userName = 'User', characterName = 'Character' } = {}) {
+    const turns = [];
+
+    for (let i = (chat?.length || 0) - 1; i >= 0 && turns.length < count; i--) {
+        const message = chat[i];
+        if (message.is_system || !message.mes?.trim()) continue;
+
+        turns.push({
+            role: message.is_user ? 'user' : 'assistant',
+            name: message.is_user ? userName : (message.name || characterName),
+            content: message.mes.trim()
+        });
+    }
+
+    return turns.reverse();
+}
+
+/**
+ * Weight each turn by role and recency. The newest turn has recency 1,
+ * the one before it `recencyDecay`, then `recencyDecay^2`, and so on.
+ * @param {Array<{role: string}>} turns - Turns, oldest first
+ * @param {object} options - Weighting options
+ * @param {number} options.userWeight - Weight of user turns
+ * @param {number} options.assistantWeight - Weight of character turns
+ * @param {number} options.recencyDecay - Multiplier per step back in time (0-1)
+ * @returns {number[]} Weights, aligned with turns
+ */
+export function getTurnWeights(turns, { userWeight = 1, assistantWeight = 0.5, recencyDecay = 0.8 } = {}) {
+    return turns.map((turn, index) => {
+        const age = turns.length - 1 - index;
+        const roleWeight = turn.role === 'user' ? userWeight : assistantWeight;
+        return roleWeight * Math.pow(recencyDecay, age);
+    });
+}
+
+/**
+ * Format turns as a transcript
+ * @param {Array<{name: string, content: string}>} turns - Turns, oldest first
+ * @returns {string} Transcript
+ */
+export function formatTurns(turns) {
+    return turns.map(turn => `[${turn.name}]: ${turn.content}`).join('\n');
+}
+
+/**
+ * Merge result sets from several query variants. A memory found by more
+ * than one variant keeps its best-scoring result and lists every variant
+ * that found it.
+ * @param {Array<{label: string, results: Array<{memory: object, similarity: number}>}>} resultSets - Results per variant
+ * @param {number} limit - Maximum results
+ * @returns {Array<{memory: object, similarity: number, matchedBy: string[]}>} Merged results, best first
+ */
+export function mergeResultSets(resultSets, limit = Infinity) {
+    const merged = new Map();
+
+    for (const { label, results } of resultSets) {
+        for (const result of results) {
+            const existing = merged.get(result.memory.id);
+
+            if (!existing) {
+                merged.set(result.memory.id, { ...result, matchedBy: [label] });
+                continue;
+            }
+
+            existing.matchedBy.push(label);
+            if (getResultScore(result) > getResultScore(existing)) {
+                Object.assign(existing, result, { matchedBy: existing.matchedBy });
+            }
+        }
+    }
+
+    return [...merged.values()]
+        .sort((a, b) => getResultScore(b) - getResultScore(a))
+        .slice(0, limit);
+}
@@ -0,0 +1,279 @@
+/**
+ * Persistent FIFO job queue for message processing
+ * @module lib/queue
+ */
+
+// Job lifecycle states
+export const JOB_STATES = {
+    PENDING: 'pending',
+    SUMMARIZING: 'summarizing',
+    EMBEDDING: 'embedding',
+    STORED: 'stored',
+    FAILED: 'failed'
+};
+
+const DEFAULT_STORAGE_KEY = 'voyageai_queue';
+
+/**
+ * Generate a short unique job ID
+ * @returns {string} Job ID
+ */
+function generateJobId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Processing queue that runs one job at a time, retries failures with
+ * exponential backoff, and persists its jobs to localStorage so pending and
+ * failed work survives a reload.
+ *
+ * Jobs run in strict FIFO order: the jobs queued behind a job waiting out
+ * its backoff delay wait with it, so a later edit of a message can't be
+ * stored before an earlier one. Failed jobs no longer hold up the queue.
+ */
+export class ProcessingQueue {
+    /**
+     * Create a processing queue
+     * @param {function(object, function(string): void): Promise<void>} handler - Processes a job; receives the job and a state setter, throws on failure
+     * @param {object} options - Queue options
+     * @param {string} options.storageKey - localStorage key for persistence
+     * @param {number} options.maxAttempts - Attempts before a job is marked failed
+     * @param {number} options.baseDelay - First retry delay in ms
+     * @param {number} options.maxDelay - Upper bound for retry delay in ms
+     * @param {function(ProcessingQueue): void} options.onChange - Called after any job change
+     * @param {function(object): void} options.onFailed - Called when a job runs out of attempts
+     */
+    constructor(handler, {
+        storageKey = DEFAULT_STORAGE_KEY,
+        maxAttempts = 5,
+        baseDelay = 2000,
+        maxDelay = 60000,
+        onChange = () => {},
+        onFailed = () => {}
+    } = {}) {
+        this.handler = handler;
+        this.storageKey = storageKey;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.onChange = onChange;
+        this.onFailed = onFailed;
+        this.jobs = [];
+        this.running = false;
+        this.retryTimer = null;
+    }
+
+    /**
+     * Restore persisted jobs. Jobs interrupted mid-processing are reset to
+     * pending so they are resumed; failed jobs stay failed until retryFailed().
+     */
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            this.jobs = raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.error('[VoyageAI Memory] Failed to restore processing queue:', error);
+            this.jobs = [];
+        }
+
+        for (const job of this.jobs) {
+            if (job.state === JOB_STATES.SUMMARIZING || job.state === JOB_STATES.EMBEDDING) {
+                job.state = JOB_STATES.PENDING;
+                job.next_attempt_at = 0;
+            }
+        }
+
+        this.persist();
+        this.onChange(this);
+    }
+
+    /**
+     * Persist jobs to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.jobs));
+        } catch (error) {
+            console.error('[VoyageAI Memory] Failed to persist processing queue:', error);
+        }
+    }
+
+    /**
+     * Add a job to the end of the queue and start processing
+     * @param {object} payload - Job payload passed to the handler
+     * @returns {object} The queued job
+     */
+    enqueue(payload) {
+        const job = {
+            id: generateJobId(),
+            state: JOB_STATES.PENDING,
+            attempts: 0,
+            next_attempt_at: 0,
+            created_at: new Date().toISOString(),
+            error: null,
+            payload
+        };
+
+        this.jobs.push(job);
+        this.persist();
+        this.onChange(this);
+        this.start();
+
+        return job;
+    }
+
+    /**
+     * Update a job's state
+     * @param {object} job - Job to update
+     * @param {string} state - New state
+     */
+    setState(job, state) {
+        job.state = state;
+        this.persist();
+        this.onChange(this);
+    }
+
+    /**
+     * Get the retry delay for a given attempt number
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in ms
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.maxDelay, this.baseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+    }
+
+    /**
+     * Get the first pending job, the only one allowed to run
+     * @returns {object|undefined} Job
+     */
+    headJob() {
+        return this.jobs.find(job => job.state === JOB_STATES.PENDING);
+    }
+
+    /**
+     * Get the first pending job if its backoff delay has passed
+     * @returns {object|undefined} Job
+     */
+    nextReadyJob() {
+        const head = this.headJob();
+        return head && head.next_attempt_at <= Date.now() ? head : undefined;
+    }
+
+    /**
+     * Process jobs until none are ready. Safe to call repeatedly.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) return;
+        this.running = true;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        try {
+            let job;
+            while ((job = this.nextReadyJob())) {
+                await this.runJob(job);
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.scheduleRetry();
+    }
+
+    /**
+     * Run a single job, handling success and failure bookkeeping
+     * @param {object} job - Job to run
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        try {
+            await this.handler(job, state => this.setState(job, state));
+
+            this.setState(job, JOB_STATES.STORED);
+            this.jobs = this.jobs.filter(j => j !== job);
+            this.persist();
+            this.onChange(this);
+        } catch (error) {
+            job.attempts++;
+            job.error = error.message;
+
+            if (job.attempts >= this.maxAttempts) {
+                console.error(`[VoyageAI Memory] Job ${job.id} failed after ${job.attempts} attempts:`, error);
+                this.setState(job, JOB_STATES.FAILED);
+                this.onFailed(job);
+            } else {
+                job.next_attempt_at = Date.now() + this.getRetryDelay(job.attempts);
+                console.warn(`[VoyageAI Memory] Job ${job.id} failed (attempt ${job.attempts}/${this.maxAttempts}), retrying:`, error.message);
+                this.setState(job, JOB_STATES.PENDING);
+            }
+        }
+    }
+
+    /**
+     * Wake up when the backed-off job at the head of the queue becomes ready
+     */
+    scheduleRetry() {
+        const head = this.headJob();
+        if (!head) return;
+
+        this.retryTimer = setTimeout(() => this.start(), Math.max(0, head.next_attempt_at - Date.now()));
+    }
+
+    /**
+     * Reset all failed jobs to pending and start processing
+     * @returns {number} Number of jobs requeued
+     */
+    retryFailed() {
+        const failed = this.jobs.filter(job => job.state === JOB_STATES.FAILED);
+
+        for (const job of failed) {
+            job.state = JOB_STATES.PENDING;
+            job.attempts = 0;
+            job.next_attempt_at = 0;
+        }
+
+        this.persist();
+        this.onChange(this);
+        this.start();
+
+        return failed.length;
+    }
+
+    /**
+     * Remove all failed jobs
+     * @returns {number} Number of jobs removed
+     */
+    clearFailed() {
+        const before = this.jobs.length;
+        this.jobs = this.jobs.filter(job => job.state !== JOB_STATES.FAILED);
+        this.persist();
+        this.onChange(this);
+        return before - this.jobs.length;
+    }
+
+    /**
+     * Count jobs by state
+     * @returns {object} Map of state to count
+     */
+    getCounts() {
+        const counts = {};
+        for (const state of Object.values(JOB_STATES)) {
+            counts[state] = 0;
+        }
+        for (const job of this.jobs) {
+            counts[job.state]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Get the job currently being processed
+     * @returns {object|undefined} Active job
+     */
+    getActiveJob() {
+        return this.jobs.find(job =>
+            job.state === JOB_STATES.SUMMARIZING || job.state === JOB_STATES.EMBEDDING
+        );
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Embedding model change detection and background re-embedding
+ * @module lib/reembed
+ */
+
+/**
+ * Check whether a memory's vector can be compared with vectors from the
+ * current provider. Memories from before models were recorded are judged by
+ * dimension alone.
+ * @param {object} memory - Memory object
+ * @param {{provider: string, model: string}} descriptor - Current provider descriptor
+ * @param {number|null} dimensions - Current vector dimension, if known
+ * @returns {boolean} True if the memory's embedding is usable as-is
+ */
+export function isEmbeddingCompatible(memory, descriptor, dimensions = null) {
+    if (!memory.embedding || memory.embedding.length === 0) {
+        return false;
+    }
+
+    if (dimensions && memory.embedding.length !== dimensions) {
+        return false;
+    }
+
+    const metadata = memory.metadata || {};
+    if (metadata.embedding_model && descriptor) {
+        return metadata.embedding_model === descriptor.model
+            && (metadata.embedding_provider || 'voyageai') === descriptor.provider;
+    }
+
+    return true;
+}
+
+/**
+ * Background job that regenerates memory vectors from their stored summaries
+ * with the current embedding provider. Progress is saved after every batch,
+ * and only incompatible memories are selected, so cancelling and running
+ * again resumes where it stopped.
+ */
+export class ReembedJob {
+    /**
+     * Create a re-embed job
+     * @param {import('./storage.js').MemoryStorage} storage - Memory storage
+     * @param {object} embeddingClient - Embedding provider
+     * @param {object} options - Job options
+     * @param {number} options.batchSize - Summaries per embedDocuments call
+     * @param {function({done: number, total: number}): void} options.onProgress - Progress callback
+     */
+    constructor(storage, embeddingClient, { batchSize = 32, onProgress = () => {} } = {}) {
+        this.storage = storage;
+        this.embeddingClient = embeddingClient;
+        this.batchSize = batchSize;
+        this.onProgress = onProgress;
+        this.cancelled = false;
+        this.running = false;
+    }
+
+    /**
+     * Request cancellation; the current batch finishes first
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Re-embed every incompatible memory in a bank
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<{done: number, total: number, cancelled: boolean}>} Outcome
+     */
+    async run(characterId) {
+        this.running = true;
+        this.cancelled = false;
+
+        try {
+            const descriptor = this.embeddingClient.getDescriptor();
+
+            // Probe the current dimension so legacy memories without a recorded model are judged too
+            const probe = await this.embeddingClient.embedDocument('dimension probe');
+            const dimensions = probe.length;
+
+            const memories = await this.storage.getMemories(characterId);
+            const stale = memories.filter(m => m.summary && !isEmbeddingCompatible(m, descriptor, dimensions));
+            const total = stale.length;
+            let done = 0;
+
+            this.onProgress({ done, total });
+
+            for (let i = 0; i < stale.length; i += this.batchSize) {
+                if (this.cancelled) {
+                    return { done, total, cancelled: true };
+                }
+
+                const batch = stale.slice(i, i + this.batchSize);
+                const embeddings = await this.embeddingClient.embedDocuments(batch.map(m => m.summary));
+
+                const updates = new Map();
+                batch.forEach((memory, index) => {
+                    const embedding = embeddings[index];
+                    if (!embedding || embedding.length === 0) return;
+
+                    updates.set(memory.id, {
+                        embedding,
+                        metadata: {
+                            embedding_provider: descriptor.provider,
+                            embedding_model: descriptor.model,
+                            embedding_dimensions: embedding.length
+                        }
+                    });
+                });
+
+                await this.storage.updateMemories(characterId, updates);
+
+                done += batch.length;
+                this.onProgress({ done, total });
+            }
+
+            return { done, total, cancelled: false };
+        } finally {
+            this.running = false;
+        }
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Rerank clients for the second retrieval stage
+ * @module lib/reranker
+ */
+
+const VOYAGE_RERANK_URL = 'https://api.voyageai.com/v1/rerank';
+
+/**
+ * Send a rerank request and normalize the response
+ * @param {string} url - Endpoint URL
+ * @param {string} apiKey - API key (optional)
+ * @param {object} body - Request body
+ * @param {string} label - Name used in error messages
+ * @returns {Promise<Array<{index: number, score: number}>>} Results sorted by score, descending
+ */
+async function requestRerank(url, apiKey, body, label) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(
+                `${label} error: ${response.status} - ${errorData.error?.message || errorData.detail || response.statusText}`
+            );
+        }
+
+        const data = await response.json();
+
+        // VoyageAI returns `data`, Jina/TEI/llama.cpp-style servers return `results`
+        const results = data.data || data.results || [];
+
+        return results
+            .map(item => ({ index: item.index, score: item.relevance_score ?? item.score ?? 0 }))
+            .sort((a, b) => b.score - a.score);
+    } catch (error) {
+        console.error('[VoyageAI Memory] Rerank error:', error);
+        throw error;
+    }
+}
+
+/**
+ * VoyageAI rerank client (rerank-2, rerank-2-lite)
+ */
+export class VoyageReranker {
+    /**
+     * Create a VoyageAI reranker
+     * @param {string} apiKey - VoyageAI API key
+     * @param {string} model - Rerank model name
+     */
+    constructor(apiKey, model = 'rerank-2') {
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    /**
+     * Score documents against a query
+     * @param {string} query - Query text
+     * @param {string[]} documents - Candidate documents
+     * @param {number} topK - Number of results to return
+     * @returns {Promise<Array<{index: number, score: number}>>} Results sorted by score, descending
+     */
+    async rerank(query, documents, topK = documents.length) {
+        if (!this.apiKey) {
+            throw new Error('VoyageAI API key is not configured');
+        }
+
+        if (documents.length === 0) {
+            return [];
+        }
+
+        return requestRerank(VOYAGE_RERANK_URL, this.apiKey, {
+            query,
+            documents,
+            model: this.model,
+            top_k: topK
+        }, 'VoyageAI rerank');
+    }
+}
+
+/**
+ * Client for a local cross-encoder server with a `/v1/rerank` endpoint
+ * (Jina-compatible: llama.cpp server, Infinity, TEI, LocalAI, ...)
+ */
+export class CustomReranker {
+    /**
+     * Create a custom reranker
+     * @param {string} apiUrl - API base URL (e.g. http://localhost:8080/v1)
+     * @param {string} apiKey - API key, optional for local servers
+     * @param {string} model - Rerank model name
+     */
+    constructor(apiUrl, apiKey = '', model = '') {
+        this.apiUrl = apiUrl;
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    /**
+     * Get the full rerank endpoint URL
+     * @returns {string} Full API URL
+     */
+    getEndpointUrl() {
+        let url = (this.apiUrl || '').trim();
+
+        // Remove trailing slash
+        if (url.endsWith('/')) {
+            url = url.slice(0, -1);
+        }
+
+        // Add /rerank if not present
+        if (!url.endsWith('/rerank')) {
+            if (!url.endsWith('/v1')) {
+                url += '/v1';
+            }
+            url += '/rerank';
+        }
+
+        return url;
+    }
+
+    /**
+     * Score documents against a query
+     * @param {string} query - Query text
+     * @param {string[]} documents - Candidate documents
+     * @param {number} topK - Number of results to return
+     * @returns {Promise<Array<{index: number, score: number}>>} Results sorted by score, descending
+     */
+    async rerank(query, documents, topK = documents.length) {
+        if (!this.apiUrl) {
+            throw new Error('Rerank API URL is not configured');
+        }
+
+        if (documents.length === 0) {
+            return [];
+        }
+
+        const results = await requestRerank(this.getEndpointUrl(), this.apiKey, {
+            query,
+            documents,
+            model: this.model,
+            top_n: topK
+        }, 'Rerank API');
+
+        return results.slice(0, topK);
+    }
+}
+
+/**
+ * Create the reranker selected in settings
+ * @param {object} settings - Extension settings
+ * @returns {VoyageReranker|CustomReranker} Reranker
+ */
+export function createReranker(settings) {
+    if (settings.rerank_provider === 'custom') {
+        return new CustomReranker(settings.rerank_url, settings.rerank_key, settings.rerank_model);
+    }
+
+    return new VoyageReranker(settings.voyage_api_key, settings.rerank_model || 'rerank-2');
+}
+
+// Available VoyageAI rerank models
+export const VOYAGE_RERANK_MODELS = [
+    { id: 'rerank-2', name: 'Rerank 2' },
+    { id: 'rerank-2-lite', name: 'Rerank 2 Lite' }
+];
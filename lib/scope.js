@@ -0,0 +1,106 @@
+/**
+ * Memory scopes: which bank memories are stored in and searched, from a
+ * single chat up to one bank shared by every character
+ * @module lib/scope
+ */
+
+import { getMemoryChatId } from './memory-filter.js';
+
+/**
+ * Scopes, narrowest first. Chat and character scope share the character's
+ * bank; chat scope only sees memories from the current chat.
+ */
+export const MEMORY_SCOPES = ['chat', 'character', 'persona', 'global'];
+
+/**
+ * Bank shared by all characters and personas
+ */
+export const GLOBAL_BANK_ID = 'global';
+
+const PERSONA_BANK_PREFIX = 'persona_';
+
+/**
+ * Get the ID of a user persona's bank
+ * @param {string} persona - Persona avatar file
+ * @returns {string} Bank ID
+ */
+export function getPersonaBankId(persona) {
+    return `${PERSONA_BANK_PREFIX}${persona}`;
+}
+
+/**
+ * Check whether a scope's bank is shared across characters
+ * @param {string} scope - Memory scope
+ * @returns {boolean} True for persona and global scope
+ */
+export function spansCharacters(scope) {
+    return scope === 'persona' || scope === 'global';
+}
+
+/**
+ * Get the bank holding a scope's memories
+ * @param {string} scope - Memory scope
+ * @param {object} owners - Current owners
+ * @param {string|null} owners.characterBank - Bank of the current character (or group)
+ * @param {string|null} owners.persona - Current persona avatar file
+ * @returns {string|null} Bank ID, or null when the scope has no owner right now
+ */
+export function getScopeBank(scope, { characterBank = null, persona = null } = {}) {
+    switch (scope) {
+        case 'global':
+            return GLOBAL_BANK_ID;
+        case 'persona':
+            return persona ? getPersonaBankId(persona) : null;
+        default:
+            return characterBank ?? null;
+    }
+}
+
+/**
+ * Check whether a memory of the scope's bank is visible in the scope
+ * @param {object} memory - Memory object
+ * @param {string} scope - Memory scope
+ * @param {string|null} chatId - Current chat
+ * @returns {boolean} True if visible
+ */
+export function isInScope(memory, scope, chatId) {
+    return scope !== 'chat' || getMemoryChatId(memory) === chatId;
+}
+
+/**
+ * Get the metadata changes that attach a memory to a chat. Its source link
+ * points into the chat it came from, so it is dropped when the chat changes.
+ * @param {object} memory - Memory object
+ * @param {string} chatId - Target chat
+ * @returns {object|null} Metadata changes, or null if already attached
+ */
+export function getChatRelink(memory, chatId) {
+    if (getMemoryChatId(memory) === chatId) {
+        return null;
+    }
+
+    return { chat_id: chatId, source: undefined };
+}
+
+/**
+ * Prepare a memory for another scope's bank. Consolidation links and
+ * distinct marks refer to memories of the old bank and are dropped; a copy
+ * gets a new ID when added.
+ * @param {object} memory - Memory object
+ * @param {string} scope - Target scope
+ * @param {object} options - Transfer options
+ * @param {string|null} options.chatId - Current chat (for chat scope)
+ * @param {boolean} options.copy - Copy rather than move
+ * @returns {object} Memory to add to the target bank
+ */
+export function prepareForScope(memory, scope, { chatId = null, copy = false } = {}) {
+    const { id, metadata = {}, ...rest } = memory;
+    const { parent_id, children, distinct_from, ...kept } = metadata;
+    const relink = scope === 'chat' ? getChatRelink(memory, chatId) : null;
+
+    return {
+        ...rest,
+        ...(copy ? {} : { id }),
+        metadata: { ...kept, ...relink }
+    };
+}
@@ -0,0 +1,19 @@
+/**
+ * Web Worker hosting the HNSW indexes so vector search doesn't block the UI
+ * thread. Messages are handled by applyIndexOperation; every reply echoes
+ * the request's `requestId`.
+ * @module lib/search-worker
+ */
+
+import { applyIndexOperation } from './hnsw.js';
+
+const indexes = new Map();
+
+self.onmessage = ({ data }) => {
+    try {
+        const result = applyIndexOperation(indexes, data);
+        self.postMessage({ requestId: data.requestId, result });
+    } catch (error) {
+        self.postMessage({ requestId: data.requestId, error: error.message });
+    }
+};
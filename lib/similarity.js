@@ -35,6 +35,69 @@ export function cosineSimilarity(vecA, vecB) {
     return dotProduct / (normA * normB);
 }
 
+// Normalized copies of memory embeddings, keyed by memory object
+const unitVectorCache = new WeakMap();
+
+/**
+ * Dot product of two equal-length vectors
+ * @param {ArrayLike<number>} vecA - First vector
+ * @param {ArrayLike<number>} vecB - Second vector
+ * @returns {number} Dot product
+ */
+export function dotProduct(vecA, vecB) {
+    const length = vecA.length;
+    const tail = length % 4;
+    let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+
+    // Four independent accumulators let the engine pipeline the multiplies
+    for (let i = 0; i < length - tail; i += 4) {
+        s0 += vecA[i] * vecB[i];
+        s1 += vecA[i + 1] * vecB[i + 1];
+        s2 += vecA[i + 2] * vecB[i + 2];
+        s3 += vecA[i + 3] * vecB[i + 3];
+    }
+    for (let i = length - tail; i < length; i++) {
+        s0 += vecA[i] * vecB[i];
+    }
+
+    return s0 + s1 + s2 + s3;
+}
+
+/**
+ * Normalize a vector into a unit-length Float32Array
+ * @param {ArrayLike<number>} vector - Input vector
+ * @returns {Float32Array} Unit vector (all zeros if the input has no length)
+ */
+export function toUnitVector(vector) {
+    const unit = Float32Array.from(vector);
+    const norm = Math.sqrt(dotProduct(unit, unit));
+
+    if (norm > 0) {
+        for (let i = 0; i < unit.length; i++) {
+            unit[i] /= norm;
+        }
+    }
+
+    return unit;
+}
+
+/**
+ * Get a memory's embedding as a cached unit Float32Array, so norms are
+ * computed once per memory rather than on every search
+ * @param {object} memory - Memory object with an embedding
+ * @returns {Float32Array} Unit vector
+ */
+export function getUnitVector(memory) {
+    const cached = unitVectorCache.get(memory);
+    if (cached && cached.source === memory.embedding) {
+        return cached.vector;
+    }
+
+    const vector = toUnitVector(memory.embedding);
+    unitVectorCache.set(memory, { source: memory.embedding, vector });
+    return vector;
+}
+
 /**
  * Find top-K most similar memories to a query embedding
  * @param {number[]} queryEmbedding - The query embedding vector
@@ -48,12 +111,14 @@ export function findTopKSimilar(queryEmbedding, memories, topK = 5, threshold =
         return [];
     }
 
+    const query = toUnitVector(queryEmbedding);
+
     // Calculate similarity for each memory
     const scoredMemories = memories
-        .filter(memory => memory.embedding && memory.embedding.length > 0)
+        .filter(memory => memory.embedding && memory.embedding.length === query.length)
         .map(memory => ({
             memory,
-            similarity: cosineSimilarity(queryEmbedding, memory.embedding)
+            similarity: dotProduct(query, getUnitVector(memory))
         }))
         .filter(item => item.similarity >= threshold)
         .sort((a, b) => b.similarity - a.similarity)
@@ -62,6 +127,171 @@ export function findTopKSimilar(queryEmbedding, memories, topK = 5, threshold =
     return scoredMemories;
 }
 
+/**
+ * Recency of a memory as exponential decay: 1 when new, 0.5 after one half-life
+ * @param {object} memory - Memory object
+ * @param {number} halfLifeDays - Half-life in days
+ * @param {number} now - Current time in ms
+ * @returns {number} Recency score (0-1)
+ */
+export function getRecencyScore(memory, halfLifeDays = 30, now = Date.now()) {
+    const time = new Date(memory.timestamp).getTime();
+    if (!Number.isFinite(time) || halfLifeDays <= 0) {
+        return 0;
+    }
+
+    const ageDays = Math.max(0, now - time) / 86400000;
+    return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Access frequency of a memory, saturating: 0 never retrieved, 0.5 after
+ * `halfCount` retrievals, approaching 1 beyond that
+ * @param {object} memory - Memory object
+ * @param {number} halfCount - Retrievals that score 0.5
+ * @returns {number} Access score (0-1)
+ */
+export function getAccessScore(memory, halfCount = 5) {
+    const count = memory.metadata?.access_count || 0;
+    return count / (count + halfCount);
+}
+
+/**
+ * Score retrieval results by a weighted mix of relevance, recency,
+ * importance and access frequency. Relevance is the similarity (or
+ * reranker score), or for hybrid results the fused score scaled so the
+ * best result has 1, which keeps keyword matches ranked as fusion placed
+ * them. With only the similarity weight set, the order is unchanged.
+ * @param {Array<{memory: object, similarity: number, fusedScore?: number}>} results - Retrieval results
+ * @param {object} weights - Scoring weights
+ * @param {number} weights.similarity - Weight of relevance
+ * @param {number} weights.recency - Weight of time decay
+ * @param {number} weights.importance - Weight of metadata.importance (0-1)
+ * @param {number} weights.access - Weight of access frequency
+ * @param {number} weights.halfLifeDays - Recency half-life in days
+ * @param {number} weights.now - Current time in ms
+ * @returns {Array<{memory: object, similarity: number, score: number}>} Results sorted by score, descending
+ */
+export function scoreMemories(results, { similarity = 1, recency = 0, importance = 0, access = 0, halfLifeDays = 30, now = Date.now() } = {}) {
+    const totalWeight = similarity + recency + importance + access || 1;
+    const maxFused = Math.max(0, ...results.map(r => r.fusedScore ?? 0));
+
+    return results
+        .map(result => {
+            const memory = result.memory;
+            const relevance = result.fusedScore !== undefined && maxFused > 0
+                ? result.fusedScore / maxFused
+                : result.similarity;
+            const score = (
+                similarity * relevance +
+                recency * getRecencyScore(memory, halfLifeDays, now) +
+                importance * (memory.metadata?.importance ?? 0.5) +
+                access * getAccessScore(memory)
+            ) / totalWeight;
+
+            return { ...result, score };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pick K results by maximal marginal relevance: each step takes the result
+ * that best balances its own score against its similarity to the results
+ * already picked, so near-duplicates from the same scene don't crowd out
+ * everything else.
+ * @param {Array<{memory: object, similarity: number, score?: number}>} results - Candidates, best first
+ * @param {number} k - Number of results
+ * @param {number} lambda - 1 = relevance only, 0 = diversity only
+ * @returns {Array<{memory: object, similarity: number, score?: number}>} Selected results, in pick order
+ */
+export function selectDiverse(results, k = 5, lambda = 0.7) {
+    const remaining = results.filter(r => r.memory.embedding?.length > 0);
+    const selected = [];
+
+    while (selected.length < k && remaining.length > 0) {
+        let bestIndex = 0;
+        let bestValue = -Infinity;
+
+        remaining.forEach((candidate, index) => {
+            const vector = getUnitVector(candidate.memory);
+            let redundancy = 0;
+
+            for (const picked of selected) {
+                if (picked.memory.embedding.length !== vector.length) continue;
+                redundancy = Math.max(redundancy, dotProduct(vector, getUnitVector(picked.memory)));
+            }
+
+            const relevance = candidate.score ?? candidate.similarity;
+            const value = lambda * relevance - (1 - lambda) * redundancy;
+
+            if (value > bestValue) {
+                bestValue = value;
+                bestIndex = index;
+            }
+        });
+
+        selected.push(remaining.splice(bestIndex, 1)[0]);
+    }
+
+    return selected;
+}
+
+/**
+ * Fuse vector and keyword rankings with weighted reciprocal rank fusion.
+ * Each list contributes weight / (k + rank) for every item it contains.
+ * @param {Array<{memory: object, similarity: number}>} vectorResults - Vector results, best first
+ * @param {Array<{id: string, score: number}>} lexicalResults - Keyword results, best first
+ * @param {Map<string, object>} memoriesById - Lookup for memories found only by keyword
+ * @param {number[]} queryEmbedding - Query vector, used to score keyword-only matches
+ * @param {object} options - Fusion options
+ * @param {number} options.lexicalWeight - Weight of the keyword ranking (0-1)
+ * @param {number} options.k - RRF rank offset
+ * @returns {Array<{memory: object, similarity: number, lexicalScore: number, fusedScore: number}>} Fused results, best first
+ */
+export function fuseRankings(vectorResults, lexicalResults, memoriesById, queryEmbedding, { lexicalWeight = 0.3, k = 60 } = {}) {
+    const fused = new Map();
+
+    vectorResults.forEach((item, rank) => {
+        fused.set(item.memory.id, {
+            ...item,
+            lexicalScore: 0,
+            fusedScore: (1 - lexicalWeight) / (k + rank + 1)
+        });
+    });
+
+    lexicalResults.forEach((item, rank) => {
+        const contribution = lexicalWeight / (k + rank + 1);
+        const existing = fused.get(item.id);
+
+        if (existing) {
+            existing.lexicalScore = item.score;
+            existing.fusedScore += contribution;
+            return;
+        }
+
+        const memory = memoriesById.get(item.id);
+        if (!memory) return;
+
+        fused.set(item.id, {
+            memory,
+            similarity: cosineSimilarity(queryEmbedding, memory.embedding),
+            lexicalScore: item.score,
+            fusedScore: contribution
+        });
+    });
+
+    return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Ranking score of a result: the fused score for hybrid results, else similarity
+ * @param {{similarity: number, fusedScore?: number}} result - Search result
+ * @returns {number} Score
+ */
+export function getResultScore(result) {
+    return result.fusedScore ?? result.similarity;
+}
+
 /**
  * Calculate the average embedding of multiple vectors
  * @param {number[][]} embeddings - Array of embedding vectors
@@ -88,6 +318,44 @@ export function averageEmbeddings(embeddings) {
     return result;
 }
 
+/**
+ * Weighted average of embeddings, each normalized first so long and short
+ * texts count only by their weight
+ * @param {number[][]} embeddings - Array of embedding vectors
+ * @param {number[]} weights - Weight per embedding
+ * @returns {number[]} Weighted average vector
+ */
+export function weightedAverageEmbeddings(embeddings, weights) {
+    if (!embeddings || embeddings.length === 0) {
+        return [];
+    }
+
+    const dimension = embeddings[0].length;
+    const result = new Array(dimension).fill(0);
+    let totalWeight = 0;
+
+    embeddings.forEach((embedding, index) => {
+        const weight = weights[index] ?? 1;
+        if (embedding.length !== dimension || weight <= 0) return;
+
+        const unit = toUnitVector(embedding);
+        for (let i = 0; i < dimension; i++) {
+            result[i] += unit[i] * weight;
+        }
+        totalWeight += weight;
+    });
+
+    if (totalWeight === 0) {
+        return [];
+    }
+
+    for (let i = 0; i < dimension; i++) {
+        result[i] /= totalWeight;
+    }
+
+    return result;
+}
+
 /**
  * Normalize a vector to unit length
  * @param {number[]} vector - Input vector
@@ -3,6 +3,13 @@
  * @module lib/storage
  */
 
+import { createStorageBackend, migrateLegacyStorage } from './backends.js';
+import { BM25Index, getLexicalText } from './lexical.js';
+import { findTopKSimilar } from './similarity.js';
+import { encodeBank, decodeBank, decodeMemory } from './codec.js';
+import { findDuplicate, getSourceHash, mergeMetadata } from './dedupe.js';
+import { createGraph } from './graph.js';
+
 /**
  * Generate a UUID v4
  * @returns {string} UUID string
@@ -21,23 +28,66 @@ function generateUUID() {
 export class MemoryStorage {
     /**
      * Create a MemoryStorage instance
-     * @param {string} extensionFolderPath - Path to extension folder
+     * @param {object} backend - Persistence backend (see lib/backends)
+     * @param {object} options - Storage options
+     * @param {string} options.embeddingFormat - Stored embedding encoding: 'float32' or 'int8' (see lib/codec)
+     * @param {number} options.duplicateThreshold - Similarity at which a new memory counts as a duplicate (0 = exact matches only)
      */
-    constructor(extensionFolderPath) {
-        this.extensionFolderPath = extensionFolderPath;
-        this.dataPath = `${extensionFolderPath}/data/memories`;
+    constructor(backend = createStorageBackend(), { embeddingFormat = 'float32', duplicateThreshold = 0 } = {}) {
+        this.backend = backend;
+        this.embeddingFormat = embeddingFormat;
+        this.duplicateThreshold = duplicateThreshold;
         this.cache = new Map(); // In-memory cache for quick access
+        this.pending = new Map(); // In-flight loads, so concurrent callers share one read
+        this.lexicalIndexes = new Map(); // Keyword indexes, built lazily per bank
+        this.vectorIndex = null; // Optional ANN index (see lib/vector-index)
+        this.accessTimers = new Map(); // Pending access-count saves, per bank
+        this.accessSaveDelay = 30000;
+        this.indexedVersions = new Map(); // updated_at of invalidated banks, to keep their indexes if unchanged
+        this.readyPromise = null;
     }
 
     /**
-     * Get the file path for a character's memories
-     * @param {string} characterId - Character identifier
-     * @returns {string} File path
+     * Run one-time setup (legacy localStorage migration) before first access
+     * @returns {Promise<void>}
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = migrateLegacyStorage(this.backend)
+                .then(() => undefined)
+                .catch(error => {
+                    console.error('[VoyageAI Memory] Legacy storage migration failed:', error);
+                });
+        }
+
+        return this.readyPromise;
+    }
+
+    /**
+     * Switch to a different persistence backend
+     * @param {object} backend - Persistence backend
+     */
+    setBackend(backend) {
+        this.backend = backend;
+        this.readyPromise = null;
+        this.clearCache();
+    }
+
+    /**
+     * Change the encoding used for embeddings. Banks are converted as they
+     * are next saved.
+     * @param {string} format - 'float32' or 'int8'
+     */
+    setEmbeddingFormat(format) {
+        this.embeddingFormat = format;
+    }
+
+    /**
+     * Change the similarity at which new memories are treated as duplicates
+     * @param {number} threshold - Cosine similarity (0 = exact matches only)
      */
-    getFilePath(characterId) {
-        // Sanitize character ID for use as filename
-        const safeId = characterId.replace(/[^a-zA-Z0-9_-]/g, '_');
-        return `${this.dataPath}/${safeId}.json`;
+    setDuplicateThreshold(threshold) {
+        this.duplicateThreshold = threshold;
     }
 
     /**
@@ -52,21 +102,40 @@ export class MemoryStorage {
             return this.cache.get(characterId);
         }
 
-        const filePath = this.getFilePath(characterId);
+        if (!this.pending.has(characterId)) {
+            this.pending.set(characterId, this.readFromBackend(characterId, characterName)
+                .finally(() => this.pending.delete(characterId)));
+        }
+
+        return this.pending.get(characterId);
+    }
+
+    /**
+     * Read a bank from the backend, creating an empty one if none exists
+     * @param {string} characterId - Character identifier
+     * @param {string} characterName - Character display name
+     * @returns {Promise<object>} Memory data object
+     */
+    async readFromBackend(characterId, characterName) {
+        await this.ready();
 
         try {
-            const response = await fetch(filePath);
-            
-            if (response.ok) {
-                const data = await response.json();
+            const data = await this.backend.load(characterId);
+
+            if (data) {
+                decodeBank(data);
                 this.cache.set(characterId, data);
+                this.keepIndexesIfUnchanged(characterId, data);
                 return data;
             }
         } catch (error) {
-            // File doesn't exist or error reading, create new
-            console.log(`[VoyageAI Memory] Creating new memory file for ${characterId}`);
+            // Don't fall through to an empty bank: saving it would overwrite the stored one
+            console.error(`[VoyageAI Memory] Failed to load memories for ${characterId}:`, error);
+            throw error;
         }
 
+        console.log(`[VoyageAI Memory] Creating new memory bank for ${characterId}`);
+
         // Create new memory structure
         const newData = {
             character_id: characterId,
@@ -77,9 +146,25 @@ export class MemoryStorage {
         };
 
         this.cache.set(characterId, newData);
+        this.keepIndexesIfUnchanged(characterId, newData);
         return newData;
     }
 
+    /**
+     * Drop the search indexes of a re-read bank unless it is the version
+     * they were built from
+     * @param {string} characterId - Character identifier
+     * @param {object} data - Bank data just read
+     */
+    keepIndexesIfUnchanged(characterId, data) {
+        const indexed = this.indexedVersions.get(characterId);
+        this.indexedVersions.delete(characterId);
+
+        if (!indexed || indexed !== data.updated_at) {
+            this.resetIndexes(characterId);
+        }
+    }
+
     /**
      * Save memories for a character
      * @param {string} characterId - Character identifier
@@ -87,8 +172,9 @@ export class MemoryStorage {
      * @returns {Promise<boolean>} Success status
      */
     async saveMemories(characterId, data) {
-        const filePath = this.getFilePath(characterId);
-        
+        // This save writes any access counts still waiting
+        this.cancelAccessSave(characterId);
+
         // Update timestamp
         data.updated_at = new Date().toISOString();
         
@@ -96,11 +182,11 @@ export class MemoryStorage {
         this.cache.set(characterId, data);
 
         try {
-            // Use SillyTavern's file writing mechanism
-            // This requires the extension to have server-side support
-            // For now, we'll use localStorage as a fallback
-            const storageKey = `voyageai_memory_${characterId}`;
-            localStorage.setItem(storageKey, JSON.stringify(data));
+            await this.ready();
+
+            const stored = encodeBank(data, this.embeddingFormat);
+            await this.backend.save(characterId, stored);
+            this.mergeStoredAdditions(characterId, data, stored);
             
             console.log(`[VoyageAI Memory] Saved ${data.memories.length} memories for ${characterId}`);
             return true;
@@ -111,12 +197,40 @@ export class MemoryStorage {
     }
 
     /**
-     * Add a new memory
+     * Pull memories a backend merged into the stored copy while saving (see
+     * ServerFileBackend) back into the in-memory bank
+     * @param {string} characterId - Character identifier
+     * @param {object} data - In-memory bank data
+     * @param {object} stored - Encoded copy that was saved
+     */
+    mergeStoredAdditions(characterId, data, stored) {
+        if (stored.memories.length === data.memories.length) {
+            return;
+        }
+
+        const knownIds = new Set(data.memories.map(m => m.id));
+        const added = stored.memories.filter(m => !knownIds.has(m.id));
+        if (added.length === 0) {
+            return;
+        }
+
+        data.memories.push(...added.map(m => decodeMemory({ ...m })));
+        data.memories.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.resetIndexes(characterId);
+    }
+
+    /**
+     * Add a new memory. A memory duplicating a stored one (same source
+     * message and text, or similarity at or above the duplicate threshold)
+     * is not added; the stored memory is returned instead, flagged as a
+     * duplicate so callers don't treat it as the memory they added.
      * @param {string} characterId - Character identifier
      * @param {object} memory - Memory object to add
-     * @returns {Promise<object>} The added memory with ID
+     * @param {object} options - Options
+     * @param {boolean} options.dedupe - Return a stored duplicate instead of adding; off for memories that must exist on their own (e.g. a summary that its children will point to)
+     * @returns {Promise<{memory: object, duplicate: boolean}>} The added memory with ID, or the existing duplicate
      */
-    async addMemory(characterId, memory) {
+    async addMemory(characterId, memory, { dedupe = true } = {}) {
         const data = await this.loadMemories(characterId);
         
         const newMemory = {
@@ -124,11 +238,257 @@ export class MemoryStorage {
             timestamp: new Date().toISOString(),
             ...memory
         };
+        newMemory.metadata = { ...newMemory.metadata, source_hash: getSourceHash(newMemory) };
+
+        const duplicate = dedupe ? findDuplicate(newMemory, data.memories, this.duplicateThreshold) : null;
+        if (duplicate) {
+            console.log(`[VoyageAI Memory] Skipped duplicate of memory ${duplicate.memory.id} (similarity ${duplicate.similarity.toFixed(3)})`);
+            return { memory: duplicate.memory, duplicate: true };
+        }
 
         data.memories.push(newMemory);
         await this.saveMemories(characterId, data);
+        this.indexAdd(characterId, newMemory);
+
+        return { memory: newMemory, duplicate: false };
+    }
+
+    /**
+     * Add a memory, or update in place the memory already linked to the same
+     * source message (an edit or another swipe of it). Any further memories
+     * for that message are removed so only one version is remembered. A
+     * memory whose link has no send dates is only updated if its text is
+     * the same (see isMemoryOfMessage).
+     * @param {string} characterId - Character identifier
+     * @param {object} memory - Memory object with metadata.source
+     * @returns {Promise<{memory: object, duplicate: boolean}>} The added or updated memory, or the duplicate that was kept instead (see addMemory)
+     */
+    async upsertBySource(characterId, memory) {
+        const source = memory.metadata?.source;
+        if (!source) {
+            return this.addMemory(characterId, memory);
+        }
+
+        const data = await this.loadMemories(characterId);
+        const matches = data.memories.filter(m => isMemoryOfMessage(m, source, memory.original_message));
+
+        if (matches.length === 0) {
+            return this.addMemory(characterId, memory);
+        }
+
+        const [existing, ...stale] = matches;
+        Object.assign(existing, {
+            ...memory,
+            id: existing.id,
+            timestamp: existing.timestamp,
+            metadata: { ...existing.metadata, ...memory.metadata, updated_at: new Date().toISOString() }
+        });
+
+        if (stale.length > 0) {
+            const staleIds = new Set(stale.map(m => m.id));
+            data.memories = data.memories.filter(m => !staleIds.has(m.id));
+        }
+
+        await this.saveMemories(characterId, data);
+        this.resetIndexes(characterId);
+        return { memory: existing, duplicate: false };
+    }
+
+    /**
+     * Update fields of an existing memory
+     * @param {string} characterId - Character identifier
+     * @param {string} memoryId - Memory ID
+     * @param {object} changes - Fields to overwrite; metadata is merged
+     * @returns {Promise<object|null>} Updated memory or null if not found
+     */
+    async updateMemory(characterId, memoryId, changes) {
+        const data = await this.loadMemories(characterId);
+        const memory = data.memories.find(m => m.id === memoryId);
+
+        if (!memory) {
+            return null;
+        }
+
+        const { metadata, ...rest } = changes;
+        Object.assign(memory, rest);
+        if (metadata) {
+            memory.metadata = { ...memory.metadata, ...metadata };
+        }
+
+        await this.saveMemories(characterId, data);
+        this.indexAdd(characterId, memory);
+        return memory;
+    }
+
+    /**
+     * Update several memories with a single save. Search indexes are kept
+     * unless a summary or embedding changed.
+     * @param {string} characterId - Character identifier
+     * @param {Map<string, object>} updates - Memory ID to changes; metadata is merged
+     * @returns {Promise<number>} Number of memories updated
+     */
+    async updateMemories(characterId, updates) {
+        const data = await this.loadMemories(characterId);
+        let updated = 0;
+        let reindex = false;
+
+        for (const memory of data.memories) {
+            const changes = updates.get(memory.id);
+            if (!changes) continue;
+
+            const { metadata, ...rest } = changes;
+            Object.assign(memory, rest);
+            if (metadata) {
+                memory.metadata = { ...memory.metadata, ...metadata };
+            }
+            reindex ||= 'summary' in rest || 'embedding' in rest;
+            updated++;
+        }
+
+        if (updated > 0) {
+            await this.saveMemories(characterId, data);
+            if (reindex) {
+                this.resetIndexes(characterId);
+            }
+        }
 
-        return newMemory;
+        return updated;
+    }
+
+    /**
+     * Merge duplicates into the memory that is kept: its metadata absorbs
+     * theirs (see lib/dedupe mergeMetadata), consolidation links pointing at
+     * the duplicates are moved to it, and the duplicates are deleted
+     * @param {string} characterId - Character identifier
+     * @param {string} keepId - ID of the memory to keep
+     * @param {string[]} duplicateIds - IDs of the memories to merge into it
+     * @returns {Promise<object|null>} Kept memory or null if not found
+     */
+    async mergeDuplicates(characterId, keepId, duplicateIds) {
+        const data = await this.loadMemories(characterId);
+        const keep = data.memories.find(m => m.id === keepId);
+        const removed = new Set(duplicateIds.filter(id => id !== keepId));
+        const duplicates = data.memories.filter(m => removed.has(m.id));
+
+        if (!keep || duplicates.length === 0) {
+            return null;
+        }
+
+        keep.metadata = { ...keep.metadata, ...mergeMetadata(keep, duplicates) };
+        data.memories = data.memories.filter(m => !removed.has(m.id));
+
+        for (const memory of data.memories) {
+            const metadata = memory.metadata || {};
+            if (removed.has(metadata.parent_id)) {
+                metadata.parent_id = memory.id === keepId ? null : keepId;
+            }
+            if (metadata.children?.some(id => removed.has(id))) {
+                metadata.children = [...new Set(metadata.children.map(id => removed.has(id) ? keepId : id))]
+                    .filter(id => id !== memory.id);
+            }
+        }
+
+        await this.saveMemories(characterId, data);
+        this.resetIndexes(characterId);
+        return keep;
+    }
+
+    /**
+     * Mark memories as not duplicates of each other, so the duplicate finder
+     * stops proposing them
+     * @param {string} characterId - Character identifier
+     * @param {string[]} memoryIds - IDs of memories that are distinct
+     * @returns {Promise<void>}
+     */
+    async markDistinct(characterId, memoryIds) {
+        const data = await this.loadMemories(characterId);
+
+        for (const memory of data.memories) {
+            if (!memoryIds.includes(memory.id)) continue;
+
+            const others = memoryIds.filter(id => id !== memory.id);
+            memory.metadata = {
+                ...memory.metadata,
+                distinct_from: [...new Set([...(memory.metadata?.distinct_from || []), ...others])]
+            };
+        }
+
+        await this.saveMemories(characterId, data);
+    }
+
+    /**
+     * Record that memories were retrieved, for access-frequency ranking.
+     * Only metadata changes, so search indexes are kept. The counts are
+     * updated in memory right away and saved in one batch after a delay (or
+     * with the bank's next save), so retrieving on every generation doesn't
+     * re-encode and write the whole bank each time.
+     * @param {string} characterId - Character identifier
+     * @param {string[]} memoryIds - IDs of the retrieved memories
+     * @returns {Promise<void>}
+     */
+    async recordAccess(characterId, memoryIds) {
+        const data = await this.loadMemories(characterId);
+        const ids = new Set(memoryIds);
+        const now = new Date().toISOString();
+        let touched = 0;
+
+        for (const memory of data.memories) {
+            if (!ids.has(memory.id)) continue;
+
+            memory.metadata = {
+                ...memory.metadata,
+                access_count: (memory.metadata?.access_count || 0) + 1,
+                last_accessed: now
+            };
+            touched++;
+        }
+
+        if (touched > 0 && !this.accessTimers.has(characterId)) {
+            this.accessTimers.set(characterId, setTimeout(() => this.flushAccess(characterId), this.accessSaveDelay));
+        }
+    }
+
+    /**
+     * Save a bank's pending access counts now
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<void>}
+     */
+    async flushAccess(characterId) {
+        const data = this.cache.get(characterId);
+        if (this.cancelAccessSave(characterId) && data) {
+            await this.saveMemories(characterId, data);
+        }
+    }
+
+    /**
+     * Cancel a bank's pending access-count save
+     * @param {string} characterId - Character identifier
+     * @returns {boolean} True if a save was pending
+     */
+    cancelAccessSave(characterId) {
+        clearTimeout(this.accessTimers.get(characterId));
+        return this.accessTimers.delete(characterId);
+    }
+
+    /**
+     * Delete all memories matching a predicate
+     * @param {string} characterId - Character identifier
+     * @param {function(object): boolean} predicate - Returns true for memories to delete
+     * @returns {Promise<number>} Number of deleted memories
+     */
+    async deleteWhere(characterId, predicate) {
+        const data = await this.loadMemories(characterId);
+
+        const initialLength = data.memories.length;
+        data.memories = data.memories.filter(m => !predicate(m));
+        const deleted = initialLength - data.memories.length;
+
+        if (deleted > 0) {
+            await this.saveMemories(characterId, data);
+            this.resetIndexes(characterId);
+        }
+
+        return deleted;
     }
 
     /**
@@ -141,6 +501,27 @@ export class MemoryStorage {
         return data.memories || [];
     }
 
+    /**
+     * Get a character's entity graph
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<object>} Graph (see lib/graph); empty if none was built yet
+     */
+    async getGraph(characterId) {
+        const data = await this.loadMemories(characterId);
+        return data.graph || createGraph();
+    }
+
+    /**
+     * Save a character's entity graph alongside its memories
+     * @param {string} characterId - Character identifier
+     * @param {object} graph - Graph
+     */
+    async saveGraph(characterId, graph) {
+        const data = await this.loadMemories(characterId);
+        data.graph = graph;
+        await this.saveMemories(characterId, data);
+    }
+
     /**
      * Delete a specific memory
      * @param {string} characterId - Character identifier
@@ -155,6 +536,7 @@ export class MemoryStorage {
         
         if (data.memories.length < initialLength) {
             await this.saveMemories(characterId, data);
+            this.indexRemove(characterId, memoryId);
             return true;
         }
         
@@ -169,7 +551,9 @@ export class MemoryStorage {
     async clearMemories(characterId) {
         const data = await this.loadMemories(characterId);
         data.memories = [];
+        delete data.graph;
         await this.saveMemories(characterId, data);
+        this.resetIndexes(characterId);
         
         console.log(`[VoyageAI Memory] Cleared all memories for ${characterId}`);
         return true;
@@ -198,17 +582,19 @@ export class MemoryStorage {
     }
 
     /**
-     * Export all memories to a downloadable JSON
+     * Export all memories to a downloadable JSON, with embeddings in the
+     * current storage encoding
      * @param {string} characterId - Character identifier
      * @returns {Promise<string>} JSON string
      */
     async exportMemories(characterId) {
         const data = await this.loadMemories(characterId);
-        return JSON.stringify(data, null, 2);
+        return JSON.stringify(encodeBank(data, this.embeddingFormat), null, 2);
     }
 
     /**
-     * Import memories from JSON
+     * Import memories from JSON. Files with encoded (float32/int8) and
+     * plain array embeddings are both accepted.
      * @param {string} characterId - Character identifier
      * @param {string} jsonString - JSON string to import
      * @param {boolean} merge - Whether to merge with existing memories
@@ -222,6 +608,8 @@ export class MemoryStorage {
                 throw new Error('Invalid memory file format');
             }
 
+            decodeBank(importData);
+
             const currentData = await this.loadMemories(characterId);
             
             if (merge) {
@@ -235,6 +623,7 @@ export class MemoryStorage {
             }
 
             await this.saveMemories(characterId, currentData);
+            this.resetIndexes(characterId);
             
             return importData.memories.length;
         } catch (error) {
@@ -244,19 +633,150 @@ export class MemoryStorage {
     }
 
     /**
-     * Clear the in-memory cache
+     * Clear the in-memory cache. Access counts not saved yet are dropped:
+     * the backend may already have changed.
      */
     clearCache() {
+        [...this.accessTimers.keys()].forEach(bank => this.cancelAccessSave(bank));
         this.cache.clear();
+        this.indexedVersions.clear();
+        this.lexicalIndexes.clear();
+        this.vectorIndex?.dropAll();
     }
 
     /**
-     * Invalidate cache for a specific character
+     * Invalidate cache for a specific character. The search indexes are
+     * kept if the bank is re-read unchanged (same updated_at).
      * @param {string} characterId - Character identifier
      */
     invalidateCache(characterId) {
+        // Write the cached access counts before the bank is re-read
+        this.flushAccess(characterId);
+        this.indexedVersions.set(characterId, this.cache.get(characterId)?.updated_at);
         this.cache.delete(characterId);
     }
+
+    /**
+     * Attach (or detach, with null) an approximate nearest-neighbour index
+     * @param {import('./vector-index.js').VectorIndex|null} vectorIndex - Vector index
+     */
+    setVectorIndex(vectorIndex) {
+        this.vectorIndex?.terminate();
+        this.vectorIndex = vectorIndex;
+    }
+
+    /**
+     * Add or update a memory in the bank's search indexes
+     * @param {string} characterId - Character identifier
+     * @param {object} memory - Memory object
+     */
+    indexAdd(characterId, memory) {
+        this.lexicalIndexes.get(characterId)?.add(memory.id, getLexicalText(memory));
+        this.vectorIndex?.add(characterId, memory);
+    }
+
+    /**
+     * Remove a memory from the bank's search indexes
+     * @param {string} characterId - Character identifier
+     * @param {string} memoryId - Memory ID
+     */
+    indexRemove(characterId, memoryId) {
+        this.lexicalIndexes.get(characterId)?.remove(memoryId);
+        this.vectorIndex?.remove(characterId, memoryId);
+    }
+
+    /**
+     * Start building a bank's vector index for one embedding dimension,
+     * unless that build is already running. Failures are logged and the
+     * bank keeps being scanned exactly.
+     * @param {string} characterId - Character identifier
+     * @param {number} dimensions - Embedding dimension
+     */
+    buildVectorIndex(characterId, dimensions) {
+        const index = this.vectorIndex;
+        const signature = String(dimensions);
+        const data = this.cache.get(characterId);
+        if (!index || !data || index.isBuilding(characterId, signature)) return;
+
+        const indexable = data.memories.filter(m => m.embedding?.length === dimensions);
+        index.build(characterId, indexable, signature)
+            .then(count => console.log(`[VoyageAI Memory] Built vector index for ${characterId}: ${count} memories`))
+            .catch(error => {
+                console.error('[VoyageAI Memory] Vector index build failed, using exact search:', error);
+                index.drop(characterId);
+            });
+    }
+
+    /**
+     * Drop the bank's search indexes; they are rebuilt on next use
+     * @param {string} characterId - Character identifier
+     */
+    resetIndexes(characterId) {
+        this.lexicalIndexes.delete(characterId);
+        this.vectorIndex?.drop(characterId);
+    }
+
+    /**
+     * Get the keyword index for a character's memories, building it on first use
+     * @param {string} characterId - Character identifier
+     * @returns {Promise<BM25Index>} Keyword index
+     */
+    async getLexicalIndex(characterId) {
+        const data = await this.loadMemories(characterId);
+
+        if (!this.lexicalIndexes.has(characterId)) {
+            this.lexicalIndexes.set(characterId, BM25Index.fromMemories(data.memories));
+        }
+
+        return this.lexicalIndexes.get(characterId);
+    }
+
+    /**
+     * Find the memories most similar to a query embedding. Small banks (or
+     * any bank when no vector index is attached) get an exact scan; larger
+     * banks go through the approximate index, searched wider until enough of
+     * the given memories are found. The index is built in the background on
+     * first use, and searches scan exactly until it is ready.
+     * @param {string} characterId - Character identifier
+     * @param {number[]} queryEmbedding - Query vector
+     * @param {object[]} memories - Candidate memories (e.g. those compatible with the current model)
+     * @param {number} topK - Number of results
+     * @param {number} threshold - Minimum similarity
+     * @returns {Promise<Array<{memory: object, similarity: number}>>} Results, most similar first
+     */
+    async searchSimilar(characterId, queryEmbedding, memories, topK = 5, threshold = 0.5) {
+        const index = this.vectorIndex;
+        if (!index || memories.length < index.minSize) {
+            return findTopKSimilar(queryEmbedding, memories, topK, threshold);
+        }
+
+        try {
+            const signature = String(queryEmbedding.length);
+            if (!index.has(characterId, signature)) {
+                this.buildVectorIndex(characterId, queryEmbedding.length);
+                return findTopKSimilar(queryEmbedding, memories, topK, threshold);
+            }
+
+            // Over-fetch: the index may hold memories the caller filtered out
+            // (other chats, metadata filters), so widen the search until
+            // enough of them pass or the index has nothing more to give
+            const allowed = new Map(memories.map(m => [m.id, m]));
+            for (let k = topK * 2 + 10; ; k *= 2) {
+                const hits = await index.search(characterId, queryEmbedding, k);
+                const results = hits.filter(hit => allowed.has(hit.id) && hit.similarity >= threshold);
+
+                if (results.length >= topK || hits.length < k || hits[hits.length - 1].similarity < threshold) {
+                    return results
+                        .slice(0, topK)
+                        .map(hit => ({ memory: allowed.get(hit.id), similarity: hit.similarity }));
+                }
+            }
+        } catch (error) {
+            console.error('[VoyageAI Memory] Vector index search failed, using exact search:', error);
+            index.drop(characterId);
+            return findTopKSimilar(queryEmbedding, memories, topK, threshold);
+        }
+    }
 }
 
 /**
@@ -276,7 +796,82 @@ export function createMemory(originalMessage, summary, embedding, metadata = {})
             role: metadata.role || 'unknown',
             chat_id: metadata.chatId || null,
             importance: metadata.importance || 0.5,
+            embedding_dimensions: embedding ? embedding.length : 0,
             ...metadata
         }
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Build the source link stored on a memory for a chat message.
+ * SillyTavern replaces send_date with the shown swipe's date on every
+ * swipe, so the first swipe's date is kept as well to identify the message.
+ * @param {string} chatId - Chat identifier
+ * @param {number} messageIndex - Index of the message in the chat
+ * @param {object} message - SillyTavern chat message
+ * @returns {{chat_id: string, message_index: number, send_date: string|null, first_send_date: string|null, swipe_id: number}} Source link
+ */
+export function createMessageSource(chatId, messageIndex, message) {
+    const sendDate = message?.send_date || null;
+
+    return {
+        chat_id: chatId || null,
+        message_index: messageIndex,
+        send_date: sendDate,
+        first_send_date: message?.swipe_info?.[0]?.send_date || sendDate,
+        swipe_id: message?.swipe_id ?? 0
+    };
+}
+
+/**
+ * Check whether two source links point at the same chat message (ignoring
+ * swipe). The first swipe's send date identifies a message on every swipe
+ * and even after earlier messages are deleted. A link stored before it was
+ * recorded matches by its send_date, which is the first swipe's date or
+ * the date of the swipe shown now; the index is only used when no date was
+ * recorded, so memories are deleted or overwritten by isMemoryOfMessage.
+ * @param {object} a - First source link
+ * @param {object} b - Second source link
+ * @returns {boolean} True if both refer to the same message
+ */
+export function isSameSourceMessage(a, b) {
+    if (!a || !b || a.chat_id !== b.chat_id) {
+        return false;
+    }
+
+    if (a.first_send_date && b.first_send_date) {
+        return a.first_send_date === b.first_send_date;
+    }
+
+    if (a.send_date && b.send_date) {
+        return a.send_date === b.send_date
+            || a.send_date === b.first_send_date
+            || a.first_send_date === b.send_date;
+    }
+
+    return a.message_index === b.message_index;
+}
+
+/**
+ * Check whether a memory was made from a chat message. Links with send
+ * dates are matched as in isSameSourceMessage. A link without them only
+ * has the message index, which points at another message once earlier
+ * ones are deleted, so it matches by text instead.
+ * @param {object} memory - Memory with metadata.source
+ * @param {object} source - Source link of the message (see createMessageSource)
+ * @param {string} text - Message text
+ * @returns {boolean} True if the memory is of that message
+ */
+export function isMemoryOfMessage(memory, source, text) {
+    const link = memory.metadata?.source;
+    if (!link || !source || link.chat_id !== source.chat_id) {
+        return false;
+    }
+
+    const isDated = s => !!(s.send_date || s.first_send_date);
+    if (isDated(link) && isDated(source)) {
+        return isSameSourceMessage(link, source);
+    }
+
+    return memory.original_message === text;
+}
@@ -3,6 +3,9 @@
  * @module lib/summarizer
  */
 
+import { parseExtraction } from './extraction.js';
+import { parseGraphExtraction } from './graph.js';
+
 const DEFAULT_SUMMARIZATION_PROMPT_EN = `You are a summarization assistant for a roleplay chat.
 
 Your ONLY job is to summarize ONE message into a single, concise but information-rich statement of fact in ENGLISH that will be used as a story log entry.
@@ -84,6 +87,96 @@ const DEFAULT_SUMMARIZATION_PROMPT = DEFAULT_SUMMARIZATION_PROMPT_KO;
 // Default word limit for summaries
 const DEFAULT_WORD_LIMIT = 50;
 
+const QUERY_REWRITE_PROMPT = `You write search queries for a roleplay memory system.
+
+Given the most recent turns of a conversation, write ONE standalone search query that describes what past events, people, places or facts would help continue the conversation.
+
+RULES:
+Resolve pronouns and vague references ("her", "that place", "do it") to the names and things they refer to.
+Write the query in {{language}}.
+Output ONLY the query, no explanation, no quotes.`;
+
+const HYPOTHETICAL_MEMORY_PROMPT = `You write hypothetical memory entries for a roleplay memory system.
+
+Given the most recent turns of a conversation, write ONE past event, in the style of a story log entry, that would be the most useful thing to remember right now. It does not need to be true; it is only used to search for similar real memories.
+
+RULES:
+Write ONE dense sentence in simple past tense, in {{language}}.
+Use the names of the people and places involved.
+Output ONLY the sentence.`;
+
+const IMPORTANCE_PROMPT = `You rate story log entries from a roleplay chat for a memory system.
+
+Rate how important the entry is to remember for the rest of the story, from 1 to 10:
+1-3: small talk, routine actions, passing details
+4-6: notable events, preferences, minor decisions
+7-10: major plot events, relationship changes, promises, secrets, deaths, lasting decisions
+
+Output ONLY the number.`;
+
+const CONSOLIDATION_PROMPT = `You consolidate story log entries from a roleplay chat into a {{level}} summary for a memory system.
+
+The entries below are consecutive events, oldest first. Write ONE summary of what happened across all of them.
+
+RULES:
+Keep names, places, decisions, relationship changes and unresolved hooks; drop small talk and repetition.
+Do NOT add new information or speculate.
+Write in simple past tense, in {{language}}.
+LENGTH: no more than {{words}} words.
+Output ONLY the summary.`;
+
+const STRUCTURED_OUTPUT_PROMPT = `STRUCTURED OUTPUT:
+This replaces any output format given above. Output ONLY a JSON object with these fields:
+{"summary": "the summary, written as instructed above, without any timestamp",
+ "participants": ["names of the people present or addressed"],
+ "location": "where it takes place, or empty",
+ "objects": ["notable objects involved"],
+ "emotion": "the dominant emotional tone in one or two words",
+ "importance": 1-10 (1-3 small talk, 4-6 notable, 7-10 major plot events, promises, secrets, lasting decisions),
+ "story_time": "the in-story date or time if the message states or clearly implies it, or empty"}
+Use names exactly as written in the chat. Do NOT invent a time that isn't there.`;
+
+const LORE_ENTRY_PROMPT = `You write World Info (lorebook) entries for a roleplay chat from entries of its memory system.
+
+The memory entries below are related. Write ONE lorebook entry stating the lasting facts they establish: who someone is, what a place or object is, a rule of the world, a relationship or a standing promise.
+
+RULES:
+State facts in present tense, as reference text, not as a story of events.
+Do NOT add new information or speculate.
+Keys are 1-5 short words or names that should bring the entry up when they appear in the chat.
+Write the title, keys and content in {{language}}; keep names as written.
+Content: no more than 100 words.
+{{skip}}Output ONLY a JSON object: {"title": "...", "keys": ["...", "..."], "content": "..."}`;
+
+const LORE_SKIP_RULE = `If the entries hold no lasting fact worth a lorebook entry, output ONLY: NONE
+`;
+
+const GRAPH_EXTRACTION_PROMPT = `You extract a knowledge graph from story log entries of a roleplay chat for a memory system.
+
+List the named entities in the entry and the relations between them that the entry states or clearly implies.
+
+RULES:
+Entities are people, places, objects and groups with a name or a fixed description (e.g. "the silver locket"). Type is one of: person, place, object, group, other.
+A relation links two listed entities with a short phrase read from source to target, e.g. "sister of", "lives in", "owns", "promised to meet".
+Use names exactly as written in the entry. Write relation phrases in {{language}}.
+Do NOT add entities or relations the entry doesn't support.
+Output ONLY a JSON object: {"entities": [{"name": "...", "type": "..."}], "relations": [{"source": "...", "target": "...", "relation": "..."}]}
+If there is nothing to extract, output {"entities": [], "relations": []}`;
+
+const SUPERSEDE_PROMPT = `You check a roleplay memory system for outdated facts.
+
+Below are a NEW story log entry and numbered OLDER entries from the same chat. An older entry is outdated when the new entry shows that what it states no longer holds: someone died, moved, changed their mind or name, ended a relationship, lost or gave away something, a plan was called off, and so on.
+
+RULES:
+An older entry that describes another moment, adds detail or is still true is NOT outdated.
+Events that happened stay true; only states, plans and beliefs can become outdated.
+Output ONLY the numbers of the outdated entries separated by commas (e.g. 2, 3), or NONE.`;
+
+// Word limits for consolidated summaries by level
+const CONSOLIDATION_WORD_LIMITS = { scene: 80, arc: 150 };
+
+const LANGUAGE_NAMES = { en: 'English', ko: 'Korean' };
+
 /**
  * Summarization client for OpenAI-compatible APIs
  */
@@ -166,38 +259,7 @@ export class SummarizerClient {
         const userContent = this.formatUserContent(message, context);
 
         try {
-            const response = await fetch(this.getEndpointUrl(), {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: systemPrompt
-                        },
-                        {
-                            role: 'user',
-                            content: userContent
-                        }
-                    ],
-                    max_tokens: 300,
-                    temperature: 0.3
-                })
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(
-                    `Summarization API error: ${response.status} - ${errorData.error?.message || response.statusText}`
-                );
-            }
-
-            const data = await response.json();
-            const summary = data.choices?.[0]?.message?.content?.trim();
+            const summary = await this.complete(systemPrompt, userContent);
 
             if (!summary) {
                 throw new Error('No summary generated');
@@ -210,6 +272,220 @@ export class SummarizerClient {
         }
     }
 
+    /**
+     * Summarize a message into structured fields (participants, location,
+     * objects, emotion, importance, in-story time). Falls back to a plain
+     * summary when the reply isn't valid JSON or fails validation.
+     * @param {string} message - The message to summarize
+     * @param {object} context - Same context as summarize()
+     * @returns {Promise<{summary: string, metadata: object, fallback: boolean}>} Summary and extracted metadata fields
+     */
+    async summarizeStructured(message, context = {}) {
+        if (!message || message.trim().length === 0) {
+            return { summary: '', metadata: {}, fallback: false };
+        }
+
+        const systemPrompt = `${this.processSystemPrompt(context)}\n\n${STRUCTURED_OUTPUT_PROMPT}`;
+        const reply = await this.complete(systemPrompt, this.formatUserContent(message, context), { maxTokens: 500 });
+
+        try {
+            return { ...parseExtraction(reply), fallback: false };
+        } catch (error) {
+            console.warn('[VoyageAI Memory] Structured extraction failed, using a plain summary:', error.message);
+            return { summary: await this.summarize(message, context), metadata: {}, fallback: true };
+        }
+    }
+
+    /**
+     * Run a single chat completion
+     * @param {string} systemPrompt - System message
+     * @param {string} userContent - User message
+     * @param {object} options - Completion options
+     * @param {number} options.maxTokens - Maximum tokens to generate
+     * @param {number} options.temperature - Sampling temperature
+     * @returns {Promise<string>} Trimmed completion text (empty if none)
+     */
+    async complete(systemPrompt, userContent, { maxTokens = 300, temperature = 0.3 } = {}) {
+        if (!this.apiUrl || !this.apiKey) {
+            throw new Error('Summarization API URL and key are required');
+        }
+
+        const response = await fetch(this.getEndpointUrl(), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    {
+                        role: 'system',
+                        content: systemPrompt
+                    },
+                    {
+                        role: 'user',
+                        content: userContent
+                    }
+                ],
+                max_tokens: maxTokens,
+                temperature
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(
+                `Summarization API error: ${response.status} - ${errorData.error?.message || response.statusText}`
+            );
+        }
+
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content?.trim() || '';
+    }
+
+    /**
+     * Summarize consecutive memories into one scene or arc summary
+     * @param {string[]} summaries - Memory summaries, oldest first
+     * @param {object} context - Optional context (level: 'scene' or 'arc', language, userName)
+     * @returns {Promise<string>} Consolidated summary
+     */
+    async summarizeGroup(summaries, context = {}) {
+        const level = context.level || 'scene';
+        const language = LANGUAGE_NAMES[context.language] || LANGUAGE_NAMES.en;
+        const prompt = CONSOLIDATION_PROMPT
+            .replace(/\{\{level\}\}/g, level)
+            .replace(/\{\{language\}\}/g, language)
+            .replace(/\{\{words\}\}/g, String(CONSOLIDATION_WORD_LIMITS[level] || 100));
+
+        const entries = summaries.map((summary, index) => `${index + 1}. ${summary}`).join('\n');
+        const userName = context.userName || 'User';
+
+        const summary = await this.complete(prompt, entries.replace(/\{\{user\}\}/g, userName), { maxTokens: 500 });
+        if (!summary) {
+            throw new Error(`No ${level} summary generated`);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Draft a World Info entry from related memories
+     * @param {string[]} summaries - Memory summaries, oldest first
+     * @param {object} context - Optional context (language, userName, allowSkip: let the model decline)
+     * @returns {Promise<{title: string, keys: string[], content: string}|null>} Draft, or null if declined
+     */
+    async draftLoreEntry(summaries, context = {}) {
+        const language = LANGUAGE_NAMES[context.language] || LANGUAGE_NAMES.en;
+        const prompt = LORE_ENTRY_PROMPT
+            .replace(/\{\{language\}\}/g, language)
+            .replace(/\{\{skip\}\}/g, context.allowSkip ? LORE_SKIP_RULE : '');
+
+        const entries = summaries.map((summary, index) => `${index + 1}. ${summary}`).join('\n');
+        const userName = context.userName || 'User';
+
+        const reply = await this.complete(prompt, entries.replace(/\{\{user\}\}/g, userName), { maxTokens: 400, temperature: 0.2 });
+        if (context.allowSkip && /^NONE\b/i.test(reply)) {
+            return null;
+        }
+
+        return parseLoreDraft(reply);
+    }
+
+    /**
+     * Extract the entities and relations in a memory
+     * @param {string} summary - Memory summary
+     * @param {object} context - Optional context (language, userName)
+     * @returns {Promise<{entities: object[], relations: object[]}>} Extraction (see parseGraphExtraction in lib/graph)
+     */
+    async extractGraph(summary, context = {}) {
+        const language = LANGUAGE_NAMES[context.language] || LANGUAGE_NAMES.en;
+        const prompt = GRAPH_EXTRACTION_PROMPT.replace(/\{\{language\}\}/g, language);
+        const userName = context.userName || 'User';
+
+        const reply = await this.complete(prompt, summary.replace(/\{\{user\}\}/g, userName), { maxTokens: 400, temperature: 0 });
+        return parseGraphExtraction(reply);
+    }
+
+    /**
+     * Judge which older memories a new memory makes outdated
+     * @param {string} summary - New memory summary
+     * @param {string[]} olderSummaries - Summaries of similar older memories
+     * @param {object} context - Optional context (userName)
+     * @returns {Promise<number[]>} Indexes of the outdated summaries
+     */
+    async findSuperseded(summary, olderSummaries, context = {}) {
+        const entries = olderSummaries.map((older, index) => `${index + 1}. ${older}`).join('\n');
+        const userName = context.userName || 'User';
+        const content = `NEW:\n${summary}\n\nOLDER:\n${entries}`.replace(/\{\{user\}\}/g, userName);
+
+        const reply = await this.complete(SUPERSEDE_PROMPT, content, { maxTokens: 30, temperature: 0 });
+        if (/^NONE\b/i.test(reply)) {
+            return [];
+        }
+
+        const numbers = reply.match(/\d+/g);
+        if (!numbers) {
+            throw new Error(`Unexpected outdated-fact judgment: ${reply}`);
+        }
+
+        return [...new Set(numbers.map(n => parseInt(n, 10) - 1))].filter(i => i >= 0 && i < olderSummaries.length);
+    }
+
+    /**
+     * Rate how important a memory is to the story
+     * @param {string} summary - Memory summary
+     * @returns {Promise<number>} Importance (0-1)
+     */
+    async rateImportance(summary) {
+        const reply = await this.complete(IMPORTANCE_PROMPT, summary, { maxTokens: 10, temperature: 0 });
+        const rating = parseInt(reply.match(/\d+/)?.[0], 10);
+
+        if (!Number.isFinite(rating)) {
+            throw new Error(`Unexpected importance rating: ${reply}`);
+        }
+
+        return (Math.min(10, Math.max(1, rating)) - 1) / 9;
+    }
+
+    /**
+     * Rewrite recent conversation turns into a standalone search query
+     * @param {string} transcript - Recent turns, oldest first (see formatTurns in lib/query)
+     * @param {object} context - Optional context (language: 'en' or 'ko')
+     * @returns {Promise<string>} Search query
+     */
+    async rewriteQuery(transcript, context = {}) {
+        const language = LANGUAGE_NAMES[context.language] || LANGUAGE_NAMES.en;
+        const prompt = QUERY_REWRITE_PROMPT.replace(/\{\{language\}\}/g, language);
+
+        const query = await this.complete(prompt, transcript, { maxTokens: 100, temperature: 0 });
+        if (!query) {
+            throw new Error('No query generated');
+        }
+
+        return query;
+    }
+
+    /**
+     * Generate a hypothetical memory for the conversation (HyDE). It is
+     * embedded like a stored summary, so it lands near real memories
+     * written in the same style.
+     * @param {string} transcript - Recent turns, oldest first (see formatTurns in lib/query)
+     * @param {object} context - Optional context (language: 'en' or 'ko')
+     * @returns {Promise<string>} Hypothetical memory text
+     */
+    async generateHypotheticalMemory(transcript, context = {}) {
+        const language = LANGUAGE_NAMES[context.language] || LANGUAGE_NAMES.en;
+        const prompt = HYPOTHETICAL_MEMORY_PROMPT.replace(/\{\{language\}\}/g, language);
+
+        const memory = await this.complete(prompt, transcript, { maxTokens: 150, temperature: 0.5 });
+        if (!memory) {
+            throw new Error('No hypothetical memory generated');
+        }
+
+        return memory;
+    }
+
     /**
      * Format the user content for summarization
      * @param {string} message - Original message
@@ -323,6 +599,35 @@ export class SummarizerClient {
     }
 }
 
+/**
+ * Parse a drafted World Info entry, allowing a code fence or text around the JSON
+ * @param {string} reply - Model reply
+ * @returns {{title: string, keys: string[], content: string}} Draft
+ */
+function parseLoreDraft(reply) {
+    const json = reply.match(/\{[\s\S]*\}/)?.[0];
+    let draft = null;
+
+    try {
+        draft = json ? JSON.parse(json) : null;
+    } catch (error) {
+        draft = null;
+    }
+
+    const keys = Array.isArray(draft?.keys)
+        ? draft.keys.map(key => String(key).trim()).filter(Boolean)
+        : [];
+    if (!draft?.content || keys.length === 0) {
+        throw new Error(`Unexpected World Info draft: ${reply.substring(0, 200)}`);
+    }
+
+    return {
+        title: String(draft.title || keys[0]).trim(),
+        keys,
+        content: String(draft.content).trim()
+    };
+}
+
 /**
  * Get the default prompts for different languages
  * @returns {object} Object with language code keys
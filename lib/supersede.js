@@ -0,0 +1,122 @@
+/**
+ * Superseded facts: finding the stored memories a new memory may
+ * contradict, and keeping outdated ones out of retrieval
+ * @module lib/supersede
+ */
+
+import { dotProduct, getResultScore, getUnitVector } from './similarity.js';
+import { getMemoryChatId } from './memory-filter.js';
+
+/**
+ * Check whether a memory has been superseded by a newer one
+ * @param {object} memory - Memory object
+ * @param {Set<string>} [memoryIds] - IDs of the bank's memories; if given, a memory superseded by a deleted one counts as current
+ * @returns {boolean} True if outdated
+ */
+export function isSuperseded(memory, memoryIds = null) {
+    const newer = memory.metadata?.superseded_by;
+    return !!newer && (!memoryIds || memoryIds.has(newer));
+}
+
+/**
+ * Pick the stored memories a new memory should be checked against: older
+ * memories of the same chat and level, not yet superseded, and at least as
+ * similar as the threshold. Other chats are other timelines and are left
+ * alone.
+ * @param {object} memory - New memory
+ * @param {object[]} memories - All memories in the bank
+ * @param {object} options - Options
+ * @param {number} options.threshold - Minimum cosine similarity
+ * @param {number} options.limit - Most candidates, most similar first
+ * @returns {object[]} Candidates
+ */
+export function getSupersedeCandidates(memory, memories, { threshold = 0.8, limit = 5 } = {}) {
+    if (!memory.embedding?.length) return [];
+
+    const vector = getUnitVector(memory);
+    const chatId = getMemoryChatId(memory);
+    const level = memory.metadata?.level || 'message';
+    const time = new Date(memory.timestamp).getTime();
+
+    return memories
+        .filter(m =>
+            m.id !== memory.id
+            && !isSuperseded(m)
+            && (m.metadata?.level || 'message') === level
+            && getMemoryChatId(m) === chatId
+            && new Date(m.timestamp).getTime() <= time
+            && m.embedding?.length === memory.embedding.length
+        )
+        .map(m => ({ memory: m, similarity: dotProduct(vector, getUnitVector(m)) }))
+        .filter(c => c.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit)
+        .map(c => c.memory);
+}
+
+/**
+ * Get the chain of versions of a fact around a memory: the memories it
+ * superseded, oldest first, and those superseding it, oldest first
+ * @param {object} memory - Memory object
+ * @param {Map<string, object>} memoriesById - The bank's memories by ID
+ * @returns {{older: object[], newer: object[]}} Older and newer versions
+ */
+export function getSupersedeChain(memory, memoriesById) {
+    const seen = new Set([memory.id]);
+
+    const newer = [];
+    for (let current = memory; current.metadata?.superseded_by;) {
+        const next = memoriesById.get(current.metadata.superseded_by);
+        if (!next || seen.has(next.id)) break;
+
+        seen.add(next.id);
+        newer.push(next);
+        current = next;
+    }
+
+    const older = [];
+    let frontier = [memory.id];
+    while (frontier.length > 0) {
+        const ids = new Set(frontier);
+        const found = [...memoriesById.values()].filter(m => ids.has(m.metadata?.superseded_by) && !seen.has(m.id));
+        found.forEach(m => seen.add(m.id));
+        older.push(...found);
+        frontier = found.map(m => m.id);
+    }
+
+    older.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return { older, newer };
+}
+
+/**
+ * Lower the scores of outdated results, or drop them. Current results keep
+ * their scores and order; the list is only re-sorted when an outdated
+ * result was down-weighted.
+ * @param {Array<{memory: object, similarity: number, fusedScore?: number}>} results - Retrieval results, best first by fused score (hybrid) or similarity
+ * @param {Set<string>} memoryIds - IDs of the searched memories (see isSuperseded)
+ * @param {object} options - Options
+ * @param {string} options.mode - 'exclude' or 'downweight'
+ * @param {number} options.penalty - Factor applied to the scores of an outdated result when down-weighting
+ * @returns {Array<{memory: object, similarity: number, fusedScore?: number}>} Results, best first
+ */
+export function handleSuperseded(results, memoryIds, { mode = 'downweight', penalty = 0.5 } = {}) {
+    if (mode === 'exclude') {
+        return results.filter(r => !isSuperseded(r.memory, memoryIds));
+    }
+
+    if (!results.some(r => isSuperseded(r.memory, memoryIds))) {
+        return results;
+    }
+
+    // Both scores are lowered: the fused score orders hybrid results, and ranking weights re-score by similarity
+    return results
+        .map(r => isSuperseded(r.memory, memoryIds)
+            ? {
+                ...r,
+                similarity: r.similarity * penalty,
+                ...(r.fusedScore !== undefined ? { fusedScore: r.fusedScore * penalty } : {}),
+                superseded: true
+            }
+            : r)
+        .sort((a, b) => getResultScore(b) - getResultScore(a));
+}
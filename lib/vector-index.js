@@ -0,0 +1,231 @@
+/**
+ * Approximate nearest-neighbour search over memory banks, run in a Web
+ * Worker when available
+ * @module lib/vector-index
+ */
+
+import { applyIndexOperation } from './hnsw.js';
+
+/**
+ * Client for per-bank HNSW indexes. Operations are forwarded to a module
+ * worker; if workers can't be created (or the worker fails), the same
+ * operations run in-thread.
+ */
+export class VectorIndex {
+    /**
+     * Create a vector index client
+     * @param {object} options - Index options
+     * @param {number} options.minSize - Banks smaller than this use an exact linear scan
+     * @param {URL|string} options.workerUrl - Search worker script
+     * @param {object} options.hnsw - HNSW parameters (M, efConstruction, efSearch)
+     */
+    constructor({ minSize = 2000, workerUrl = new URL('./search-worker.js', import.meta.url), hnsw = {} } = {}) {
+        this.minSize = minSize;
+        this.hnsw = hnsw;
+        this.banks = new Map(); // bank -> signature of the built index
+        this.building = new Map(); // bank -> {signature, promise} of a build in progress
+        this.localIndexes = new Map(); // used when no worker is available
+        this.requests = new Map(); // requestId -> { resolve, reject }
+        this.nextRequestId = 1;
+        this.worker = null;
+
+        try {
+            if (typeof Worker !== 'undefined') {
+                this.worker = new Worker(workerUrl, { type: 'module' });
+                this.worker.onmessage = event => this.onWorkerMessage(event.data);
+                this.worker.onerror = event => this.onWorkerError(event);
+            }
+        } catch (error) {
+            console.warn('[VoyageAI Memory] Search worker unavailable, searching on the main thread:', error);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Resolve a pending request from a worker reply
+     * @param {{requestId: number, result: any, error: string}} data - Worker reply
+     */
+    onWorkerMessage({ requestId, result, error }) {
+        const request = this.requests.get(requestId);
+        if (!request) return;
+
+        this.requests.delete(requestId);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Fall back to in-thread search after a worker failure. Worker-side
+     * indexes are lost, so every bank is rebuilt on next use.
+     * @param {Event} event - Error event
+     */
+    onWorkerError(event) {
+        console.error('[VoyageAI Memory] Search worker failed, searching on the main thread:', event.message || event);
+        this.worker?.terminate();
+        this.worker = null;
+        this.banks.clear();
+        this.building.clear();
+
+        for (const request of this.requests.values()) {
+            request.reject(new Error('Search worker failed'));
+        }
+        this.requests.clear();
+    }
+
+    /**
+     * Send an operation to the worker, or run it locally
+     * @param {object} message - Index operation
+     * @param {Transferable[]} transfer - Buffers to transfer
+     * @returns {Promise<any>} Operation result
+     */
+    call(message, transfer = []) {
+        if (!this.worker) {
+            try {
+                return Promise.resolve(applyIndexOperation(this.localIndexes, message));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ ...message, requestId }, transfer);
+        });
+    }
+
+    /**
+     * Change the bank size from which the index is used. Built indexes are
+     * kept; a bank below the new size is scanned exactly instead.
+     * @param {number} minSize - Banks smaller than this use an exact linear scan
+     */
+    setMinSize(minSize) {
+        this.minSize = minSize;
+    }
+
+    /**
+     * Check whether a bank has an index built with the given signature
+     * @param {string} bank - Bank ID
+     * @param {string} signature - Index signature (e.g. vector dimension)
+     * @returns {boolean} True if usable
+     */
+    has(bank, signature) {
+        return this.banks.get(bank) === signature;
+    }
+
+    /**
+     * Check whether a bank's index is being built with the given signature
+     * @param {string} bank - Bank ID
+     * @param {string} signature - Index signature
+     * @returns {boolean} True if a build is in progress
+     */
+    isBuilding(bank, signature) {
+        return this.building.get(bank)?.signature === signature;
+    }
+
+    /**
+     * Build (or rebuild) a bank's index. The bank counts as indexed (see
+     * has) once the build finishes; additions and removals made meanwhile
+     * are applied after it. A drop during the build discards it.
+     * @param {string} bank - Bank ID
+     * @param {object[]} memories - Memories to index
+     * @param {string} signature - Index signature
+     * @returns {Promise<number>} Number of indexed vectors
+     */
+    build(bank, memories, signature) {
+        this.banks.delete(bank);
+
+        const items = memories.map(m => ({ id: m.id, vector: Float32Array.from(m.embedding) }));
+        const isCurrent = () => this.building.get(bank)?.promise === promise;
+        const promise = this.call(
+            { type: 'build', bank, items, options: this.hnsw },
+            items.map(item => item.vector.buffer)
+        ).then(count => {
+            if (isCurrent()) {
+                this.building.delete(bank);
+                this.banks.set(bank, signature);
+            }
+            return count;
+        }, error => {
+            if (isCurrent()) {
+                this.building.delete(bank);
+            }
+            throw error;
+        });
+
+        this.building.set(bank, { signature, promise });
+        return promise;
+    }
+
+    /**
+     * Add a memory to a bank's index, if that index has been built
+     * @param {string} bank - Bank ID
+     * @param {object} memory - Memory with embedding
+     */
+    add(bank, memory) {
+        if ((!this.banks.has(bank) && !this.building.has(bank)) || !memory.embedding?.length) return;
+
+        const vector = Float32Array.from(memory.embedding);
+        this.call({ type: 'add', bank, item: { id: memory.id, vector } }, [vector.buffer])
+            .catch(error => console.error('[VoyageAI Memory] Index add error:', error));
+    }
+
+    /**
+     * Remove a memory from a bank's index
+     * @param {string} bank - Bank ID
+     * @param {string} memoryId - Memory ID
+     */
+    remove(bank, memoryId) {
+        if (!this.banks.has(bank) && !this.building.has(bank)) return;
+
+        this.call({ type: 'remove', bank, memoryId })
+            .catch(error => console.error('[VoyageAI Memory] Index remove error:', error));
+    }
+
+    /**
+     * Discard a bank's index; it is rebuilt on next search
+     * @param {string} bank - Bank ID
+     */
+    drop(bank) {
+        const built = this.banks.delete(bank);
+        const building = this.building.delete(bank);
+        if (!built && !building) return;
+
+        this.call({ type: 'drop', bank })
+            .catch(error => console.error('[VoyageAI Memory] Index drop error:', error));
+    }
+
+    /**
+     * Discard every index
+     */
+    dropAll() {
+        for (const bank of [...new Set([...this.banks.keys(), ...this.building.keys()])]) {
+            this.drop(bank);
+        }
+    }
+
+    /**
+     * Search a bank's index
+     * @param {string} bank - Bank ID
+     * @param {number[]} vector - Query vector
+     * @param {number} k - Number of results
+     * @returns {Promise<Array<{id: string, similarity: number}>>} Nearest memories, most similar first
+     */
+    search(bank, vector, k) {
+        return this.call({ type: 'search', bank, vector: Float32Array.from(vector), k });
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.banks.clear();
+        this.building.clear();
+        this.localIndexes.clear();
+    }
+}
@@ -3,20 +3,54 @@
  * @module lib/voyageai
  */
 
+import { EmbeddingProvider } from './embedding-provider.js';
+
 const VOYAGE_API_URL = 'https://api.voyageai.com/v1/embeddings';
 
 /**
  * VoyageAI embedding client
  */
-export class VoyageAIClient {
+export class VoyageAIClient extends EmbeddingProvider {
     /**
      * Create a VoyageAI client instance
      * @param {string} apiKey - VoyageAI API key
      * @param {string} model - Model name (default: voyage-4-large)
+     * @param {object} options - Output options, applied only to models that support them
+     * @param {number|null} options.outputDimension - Vector dimension (e.g. 256, 512, 1024, 2048)
+     * @param {string|null} options.outputDtype - Vector data type ('int8' for pre-quantized vectors)
      */
-    constructor(apiKey, model = 'voyage-4-large') {
+    constructor(apiKey, model = 'voyage-4-large', { outputDimension = null, outputDtype = null } = {}) {
+        super('voyageai', model);
         this.apiKey = apiKey;
-        this.model = model;
+        this.batchSize = 128;
+        this.outputDimension = outputDimension;
+        this.outputDtype = outputDtype;
+    }
+
+    /**
+     * Build the request body, adding output options the model supports
+     * @param {string[]} texts - Texts to embed
+     * @param {string} inputType - Type of input: 'document' or 'query'
+     * @returns {object} Request body
+     */
+    buildRequestBody(texts, inputType) {
+        const body = {
+            input: texts,
+            model: this.model,
+            input_type: inputType
+        };
+
+        const info = getModelInfo(this.model);
+        if (info?.flexible) {
+            if (this.outputDimension && info.outputDimensions.includes(this.outputDimension)) {
+                body.output_dimension = this.outputDimension;
+            }
+            if (this.outputDtype) {
+                body.output_dtype = this.outputDtype;
+            }
+        }
+
+        return body;
     }
 
     /**
@@ -43,11 +77,7 @@ export class VoyageAIClient {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${this.apiKey}`
                 },
-                body: JSON.stringify({
-                    input: texts,
-                    model: this.model,
-                    input_type: inputType
-                })
+                body: JSON.stringify(this.buildRequestBody(texts, inputType))
             });
 
             if (!response.ok) {
@@ -74,63 +104,6 @@ export class VoyageAIClient {
         }
     }
 
-    /**
-     * Generate embedding for a single document (for storage)
-     * @param {string} text - Text to embed
-     * @returns {Promise<number[]>} Embedding vector
-     */
-    async embedDocument(text) {
-        const result = await this.embed(text, 'document');
-        return result.embeddings[0] || [];
-    }
-
-    /**
-     * Generate embedding for a query (for retrieval)
-     * @param {string} text - Query text to embed
-     * @returns {Promise<number[]>} Embedding vector
-     */
-    async embedQuery(text) {
-        const result = await this.embed(text, 'query');
-        return result.embeddings[0] || [];
-    }
-
-    /**
-     * Batch embed multiple documents
-     * @param {string[]} texts - Array of texts to embed
-     * @returns {Promise<number[][]>} Array of embedding vectors
-     */
-    async embedDocuments(texts) {
-        if (texts.length === 0) {
-            return [];
-        }
-
-        // VoyageAI supports batch requests, but we'll chunk for safety
-        const BATCH_SIZE = 128;
-        const allEmbeddings = [];
-
-        for (let i = 0; i < texts.length; i += BATCH_SIZE) {
-            const batch = texts.slice(i, i + BATCH_SIZE);
-            const result = await this.embed(batch, 'document');
-            allEmbeddings.push(...result.embeddings);
-        }
-
-        return allEmbeddings;
-    }
-
-    /**
-     * Test the API connection
-     * @returns {Promise<boolean>} True if connection successful
-     */
-    async testConnection() {
-        try {
-            await this.embed('test', 'document');
-            return true;
-        } catch (error) {
-            console.error('[VoyageAI Memory] Connection test failed:', error);
-            return false;
-        }
-    }
-
     /**
      * Update the API key
      * @param {string} apiKey - New API key
@@ -149,12 +122,15 @@ export class VoyageAIClient {
 }
 
 // Available VoyageAI models for embeddings
+// `flexible` models accept output_dimension and output_dtype
+const FLEXIBLE_DIMENSIONS = [256, 512, 1024, 2048];
+
 export const VOYAGE_MODELS = [
-    { id: 'voyage-4-large', name: 'Voyage 4 Large (1024 dims)', dimensions: 1024 },
-    { id: 'voyage-3-large', name: 'Voyage 3 Large (1024 dims)', dimensions: 1024 },
+    { id: 'voyage-4-large', name: 'Voyage 4 Large (1024 dims)', dimensions: 1024, flexible: true, outputDimensions: FLEXIBLE_DIMENSIONS },
+    { id: 'voyage-3-large', name: 'Voyage 3 Large (1024 dims)', dimensions: 1024, flexible: true, outputDimensions: FLEXIBLE_DIMENSIONS },
     { id: 'voyage-3', name: 'Voyage 3 (1024 dims)', dimensions: 1024 },
     { id: 'voyage-3-lite', name: 'Voyage 3 Lite (512 dims)', dimensions: 512 },
-    { id: 'voyage-code-3', name: 'Voyage Code 3 (1024 dims)', dimensions: 1024 }
+    { id: 'voyage-code-3', name: 'Voyage Code 3 (1024 dims)', dimensions: 1024, flexible: true, outputDimensions: FLEXIBLE_DIMENSIONS }
 ];
 
 /**
@@ -0,0 +1,101 @@
+/**
+ * Token-budgeted packing of injected memories.
+ *
+ * Usage: node --test test/
+ *
+ * Tokens are counted as characters so expected sizes can be worked out by
+ * hand; lines are rendered as "<position>. <text>".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { truncateToTokens, packWithinBudget } from '../lib/budget.js';
+
+const countTokens = async text => text.length;
+
+const options = {
+    countTokens,
+    getText: item => item.text,
+    render: (item, position, text) => `${position}. ${text}`
+};
+
+test('keeps text that fits and cuts the rest at a word boundary', async () => {
+    assert.equal(await truncateToTokens('alpha beta', 10, countTokens), 'alpha beta');
+    assert.equal(await truncateToTokens('alpha beta gamma delta', 12, countTokens), 'alpha beta…');
+});
+
+test('cuts inside a word when the last space is far back', async () => {
+    assert.equal(await truncateToTokens('a verylongword', 10, countTokens), 'a verylon…');
+});
+
+test('returns nothing when not even the ellipsis fits', async () => {
+    assert.equal(await truncateToTokens('alpha', 1, countTokens), '');
+});
+
+test('packs items in order while they fit, counting the line separators', async () => {
+    const result = await packWithinBudget([{ text: 'aaaa' }, { text: 'cc' }], { ...options, budget: 14 });
+
+    assert.deepEqual(result.lines, ['1. aaaa', '2. cc']);
+    assert.equal(result.tokens, 14);
+    assert.equal(result.dropped, 0);
+});
+
+test('drops an item that does not fit and keeps packing shorter ones', async () => {
+    const items = [{ text: 'aaaa' }, { text: 'b'.repeat(20) }, { text: 'cc' }];
+    const result = await packWithinBudget(items, { ...options, budget: 15, overflow: 'drop' });
+
+    assert.deepEqual(result.lines, ['1. aaaa', '2. cc']);
+    assert.deepEqual(result.items, [items[0], items[2]]);
+    assert.equal(result.dropped, 1);
+    assert.equal(result.truncated, 0);
+});
+
+test('truncates the first item that does not fit and stops there', async () => {
+    const items = [{ text: 'aaaa' }, { text: 'b'.repeat(20) }, { text: 'cc' }];
+    const result = await packWithinBudget(items, { ...options, budget: 15, minTokens: 4 });
+
+    assert.deepEqual(result.lines, ['1. aaaa', '2. bb…']);
+    assert.equal(result.tokens, 15);
+    assert.equal(result.truncated, 1);
+    assert.equal(result.dropped, 1);
+});
+
+test('does not truncate into less than the minimum space', async () => {
+    const items = [{ text: 'aaaa' }, { text: 'b'.repeat(20) }];
+    const result = await packWithinBudget(items, { ...options, budget: 15, minTokens: 8 });
+
+    assert.deepEqual(result.lines, ['1. aaaa']);
+    assert.equal(result.truncated, 0);
+    assert.equal(result.dropped, 1);
+});
+
+test('uses the first alternative that fits and skips covered items', async () => {
+    const scene = { text: 'sum' };
+    const message = { text: 'x'.repeat(30), scene };
+    const covered = { text: 'yy' };
+    const other = { text: 'zz' };
+    scene.covers = [covered];
+
+    const result = await packWithinBudget([message, covered, other], {
+        ...options,
+        budget: 20,
+        getAlternatives: item => item.scene ? [item.scene, item] : [item],
+        isCovered: (form, packed) => packed.some(p => p.covers?.includes(form))
+    });
+
+    assert.deepEqual(result.lines, ['1. sum', '2. zz']);
+    assert.deepEqual(result.items, [scene, other]);
+    assert.equal(result.dropped, 0);
+});
+
+test('falls back to the item itself when no alternative fits', async () => {
+    const item = { text: 'abc', scene: { text: 'a much longer summary' } };
+    const result = await packWithinBudget([item], {
+        ...options,
+        budget: 7,
+        getAlternatives: i => [i.scene, i]
+    });
+
+    assert.deepEqual(result.items, [item]);
+    assert.deepEqual(result.lines, ['1. abc']);
+});
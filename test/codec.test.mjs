@@ -0,0 +1,82 @@
+/**
+ * Embedding encodings and bank format upgrades.
+ *
+ * Usage: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    STORAGE_FORMAT_VERSION,
+    encodeEmbedding,
+    decodeEmbedding,
+    encodeBank,
+    decodeBank
+} from '../lib/codec.js';
+
+const vector = [0.5, -0.25, 0.125, 0, 1];
+
+test('float32 round-trips exactly', () => {
+    const encoded = encodeEmbedding(vector);
+
+    assert.equal(encoded.dtype, 'float32');
+    assert.equal(typeof encoded.data, 'string');
+    assert.deepEqual([...decodeEmbedding(encoded)], vector);
+});
+
+test('int8 round-trips within one quantization step', () => {
+    const encoded = encodeEmbedding(vector, 'int8');
+    const decoded = decodeEmbedding(encoded);
+
+    assert.equal(encoded.dtype, 'int8');
+    assert.equal(decoded.length, vector.length);
+    decoded.forEach((value, i) => assert.ok(Math.abs(value - vector[i]) <= encoded.scale / 2 + 1e-7));
+});
+
+test('int8 keeps an all-zero vector', () => {
+    const decoded = decodeEmbedding(encodeEmbedding([0, 0, 0], 'int8'));
+
+    assert.deepEqual([...decoded], [0, 0, 0]);
+});
+
+test('empty and version 1 embeddings pass through', () => {
+    assert.deepEqual(encodeEmbedding([]), []);
+    assert.deepEqual(encodeEmbedding(null), []);
+    assert.deepEqual(decodeEmbedding([0.1, 0.2]), [0.1, 0.2]);
+    assert.deepEqual(decodeEmbedding(null), []);
+});
+
+test('rejects an unknown encoding', () => {
+    assert.throws(() => decodeEmbedding({ dtype: 'float16', data: '' }), /Unknown embedding encoding: float16/);
+});
+
+test('encodes a bank without modifying it and decodes it back', () => {
+    const bank = { character_id: 'alice', memories: [{ id: 'm1', summary: 'a', embedding: Float32Array.from(vector) }] };
+    const stored = encodeBank(bank, 'float32');
+
+    assert.equal(stored.format_version, STORAGE_FORMAT_VERSION);
+    assert.equal(stored.embedding_format, 'float32');
+    assert.ok(bank.memories[0].embedding instanceof Float32Array);
+
+    const decoded = decodeBank(JSON.parse(JSON.stringify(stored)));
+    assert.deepEqual([...decoded.memories[0].embedding], vector);
+    assert.equal(decoded.memories[0].summary, 'a');
+});
+
+test('reuses the encoding of an unchanged memory and re-encodes a changed one', () => {
+    const memory = { id: 'm1', embedding: Float32Array.from(vector) };
+    const bank = { memories: [memory] };
+
+    const first = encodeBank(bank).memories[0].embedding;
+    assert.equal(encodeBank(bank).memories[0].embedding, first);
+    assert.notEqual(encodeBank(bank, 'int8').memories[0].embedding, first);
+
+    memory.embedding = Float32Array.from([1, 0, 0, 0, 0]);
+    assert.deepEqual([...decodeEmbedding(encodeBank(bank).memories[0].embedding)], [1, 0, 0, 0, 0]);
+});
+
+test('decodes a version 1 bank of plain arrays', () => {
+    const decoded = decodeBank({ memories: [{ id: 'm1', embedding: [0.1, 0.2] }] });
+
+    assert.deepEqual(decoded.memories[0].embedding, [0.1, 0.2]);
+});
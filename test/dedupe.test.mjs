@@ -0,0 +1,109 @@
+/**
+ * Duplicate detection by source hash and embedding similarity.
+ *
+ * Usage: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    hashString,
+    getSourceHash,
+    findDuplicate,
+    findDuplicateGroups,
+    mergeMetadata
+} from '../lib/dedupe.js';
+
+/**
+ * Create a memory
+ * @param {string} id - Memory ID
+ * @param {number[]} embedding - Embedding
+ * @param {object} fields - Other fields; metadata is merged
+ * @returns {object} Memory
+ */
+function createMemory(id, embedding, { metadata = {}, ...fields } = {}) {
+    return {
+        id,
+        timestamp: `2025-01-0${id.slice(1)}T00:00:00.000Z`,
+        original_message: `message ${id}`,
+        summary: `summary ${id}`,
+        embedding,
+        metadata,
+        ...fields
+    };
+}
+
+test('hashes strings to 8 stable hex characters', () => {
+    assert.equal(hashString(''), '811c9dc5');
+    assert.match(hashString('미라는 바다를 좋아한다'), /^[0-9a-f]{8}$/);
+    assert.notEqual(hashString('a'), hashString('b'));
+});
+
+test('source hashes tell the same text of different messages apart', () => {
+    const source = { chat_id: 'c', message_index: 1, send_date: 'd1' };
+    const same = createMemory('m1', [1], { original_message: 'hi', metadata: { source } });
+    const again = createMemory('m2', [1], { original_message: 'hi', metadata: { source: { ...source, message_index: 4 } } });
+    const other = createMemory('m3', [1], { original_message: 'hi', metadata: { source: { ...source, send_date: 'd2' } } });
+
+    assert.equal(getSourceHash(same), getSourceHash(again));
+    assert.notEqual(getSourceHash(same), getSourceHash(other));
+    assert.notEqual(getSourceHash(same), getSourceHash(createMemory('m4', [1], { original_message: 'hi' })));
+});
+
+test('finds an exact duplicate by source hash whatever the threshold', () => {
+    const stored = createMemory('m1', [1, 0]);
+    const memory = { ...stored, id: 'm2', embedding: [0, 1], metadata: { source_hash: getSourceHash(stored) } };
+
+    assert.deepEqual(findDuplicate(memory, [stored], 0), { memory: stored, similarity: 1 });
+});
+
+test('finds the most similar near-duplicate at or above the threshold', () => {
+    const close = createMemory('m1', [1, 0.1]);
+    const closer = createMemory('m2', [1, 0.05]);
+    const far = createMemory('m3', [0, 1]);
+    const memory = createMemory('m4', [1, 0], { metadata: { source_hash: 'new' } });
+
+    assert.equal(findDuplicate(memory, [close, closer, far], 0.99).memory, closer);
+    assert.equal(findDuplicate(memory, [far], 0.99), null);
+    assert.equal(findDuplicate(memory, [closer], 0), null);
+});
+
+test('only compares memories of the same level and dimension not marked distinct', () => {
+    const memory = createMemory('m4', [1, 0], { metadata: { source_hash: 'new', distinct_from: ['m2'] } });
+    const scene = createMemory('m1', [1, 0], { metadata: { level: 'scene' } });
+    const distinct = createMemory('m2', [1, 0]);
+    const wider = createMemory('m3', [1, 0, 0]);
+
+    assert.equal(findDuplicate(memory, [scene, distinct, wider], 0.9), null);
+});
+
+test('groups later duplicates under the oldest memory without chaining', () => {
+    const a = createMemory('m1', [1, 0]);
+    const b = createMemory('m2', [1, 0.3]);
+    const c = createMemory('m3', [1, 0.6]);
+    const d = createMemory('m4', [0, 1]);
+
+    const groups = findDuplicateGroups([d, c, b, a], 0.95);
+
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].keep, a);
+    assert.deepEqual(groups[0].duplicates.map(x => x.memory.id), ['m2']);
+    assert.ok(groups[0].duplicates[0].similarity >= 0.95);
+});
+
+test('merges metadata into the kept memory', () => {
+    const keep = createMemory('m1', [1], { metadata: { importance: 0.3, access_count: 2, children: ['x'] } });
+    const duplicates = [
+        createMemory('m2', [1], { metadata: { importance: 0.8, access_count: 1, merged_count: 2, last_accessed: '2025-02-01', parent_id: 'p', children: ['x', 'y'] } }),
+        createMemory('m3', [1], { metadata: { last_accessed: '2025-03-01' } })
+    ];
+
+    assert.deepEqual(mergeMetadata(keep, duplicates), {
+        importance: 0.8,
+        access_count: 3,
+        merged_count: 4,
+        last_accessed: '2025-03-01',
+        parent_id: 'p',
+        children: ['x', 'y']
+    });
+});
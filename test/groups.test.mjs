@@ -0,0 +1,66 @@
+/**
+ * Bank selection for group chats.
+ *
+ * Usage: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getGroupBankId,
+    isGroupBank,
+    findCharacterId,
+    getGroupMemberIds,
+    getStorageBanks,
+    getRetrievalBanks
+} from '../lib/groups.js';
+
+const characters = [
+    { name: 'Elara', avatar: 'elara.png' },
+    { name: 'Kai', avatar: 'kai.png' },
+    { name: 'Kai', avatar: 'kai-2.png' }
+];
+
+test('names shared group banks', () => {
+    assert.equal(getGroupBankId('123'), 'group_123');
+    assert.equal(isGroupBank('group_123'), true);
+    assert.equal(isGroupBank('0'), false);
+    assert.equal(isGroupBank(0), false);
+});
+
+test('finds characters by avatar, or by a unique name', () => {
+    assert.equal(findCharacterId(characters, { avatar: 'kai-2.png', name: 'Kai' }), '2');
+    assert.equal(findCharacterId(characters, { name: 'Elara' }), '0');
+    assert.equal(findCharacterId(characters, { name: 'Kai' }), null);
+    assert.equal(findCharacterId(characters, { avatar: 'gone.png' }), null);
+    assert.equal(findCharacterId(undefined, { name: 'Elara' }), null);
+});
+
+test('lists the members a group still has', () => {
+    const group = { members: ['kai.png', 'gone.png', 'elara.png'] };
+
+    assert.deepEqual(getGroupMemberIds(group, characters), ['1', '0']);
+    assert.deepEqual(getGroupMemberIds(null, characters), []);
+});
+
+test('stores a message in the character bank outside groups', () => {
+    assert.deepEqual(getStorageBanks({ speakerId: '0', role: 'user' }), ['0']);
+    assert.deepEqual(getStorageBanks({}), []);
+});
+
+test('stores a member message in its own bank and the shared one', () => {
+    assert.deepEqual(getStorageBanks({ groupId: 'g', speakerId: '1' }), ['1', 'group_g']);
+    assert.deepEqual(getStorageBanks({ groupId: 'g', speakerId: '1', role: 'user' }), ['group_g']);
+    assert.deepEqual(getStorageBanks({ groupId: 'g', speakerId: '1', sharedBank: false }), ['1']);
+    assert.deepEqual(getStorageBanks({ groupId: 'g', speakerId: '1', memberBanks: false }), ['group_g']);
+});
+
+test('falls back to the shared bank when nothing else would store the message', () => {
+    assert.deepEqual(getStorageBanks({ groupId: 'g', speakerId: '1', sharedBank: false, memberBanks: false }), ['group_g']);
+    assert.deepEqual(getStorageBanks({ groupId: 'g', role: 'user', sharedBank: false }), ['group_g']);
+});
+
+test('searches the speaking member bank and the shared one', () => {
+    assert.deepEqual(getRetrievalBanks({ groupId: 'g', speakerId: '0' }), ['0', 'group_g']);
+    assert.deepEqual(getRetrievalBanks({ speakerId: '0' }), ['0']);
+});
@@ -0,0 +1,135 @@
+/**
+ * HNSW index search quality, updates and the worker operation dispatcher.
+ *
+ * Usage: node --test test/
+ *
+ * Vectors come from a seeded generator so runs are comparable; node levels
+ * are still random, so recall is checked against a margin.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HNSWIndex, applyIndexOperation } from '../lib/hnsw.js';
+import { cosineSimilarity } from '../lib/similarity.js';
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create random vectors
+ * @param {number} count - Number of vectors
+ * @param {number} dimensions - Dimensions
+ * @param {function(): number} random - Generator
+ * @returns {number[][]} Vectors
+ */
+function createVectors(count, dimensions, random) {
+    return Array.from({ length: count }, () => Array.from({ length: dimensions }, () => random() * 2 - 1));
+}
+
+/**
+ * Exact top-k by cosine similarity
+ * @param {number[][]} vectors - Indexed vectors, ID = position
+ * @param {number[]} query - Query vector
+ * @param {number} k - Number of results
+ * @returns {string[]} IDs, most similar first
+ */
+function exactTopK(vectors, query, k) {
+    return vectors
+        .map((vector, i) => ({ id: String(i), similarity: cosineSimilarity(query, vector) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k)
+        .map(r => r.id);
+}
+
+test('finds nearly the same neighbours as an exact scan', () => {
+    const random = createRandom(42);
+    const vectors = createVectors(500, 16, random);
+    const index = new HNSWIndex({ M: 8, efConstruction: 64, efSearch: 48 });
+    vectors.forEach((vector, i) => index.add(String(i), vector));
+
+    let found = 0;
+    const queries = createVectors(20, 16, random);
+    for (const query of queries) {
+        const expected = new Set(exactTopK(vectors, query, 10));
+        found += index.search(query, 10).filter(r => expected.has(r.id)).length;
+    }
+
+    assert.equal(index.size, 500);
+    assert.ok(found / (queries.length * 10) >= 0.9, `recall ${found / (queries.length * 10)}`);
+});
+
+test('returns cosine similarities, most similar first', () => {
+    const index = new HNSWIndex();
+    index.add('x', [1, 0]);
+    index.add('diagonal', [1, 1]);
+    index.add('y', [0, 2]);
+
+    const results = index.search([2, 0], 3);
+    assert.deepEqual(results.map(r => r.id), ['x', 'diagonal', 'y']);
+    assert.ok(Math.abs(results[0].similarity - 1) < 1e-6);
+    assert.ok(Math.abs(results[1].similarity - Math.SQRT1_2) < 1e-6);
+});
+
+test('rejects vectors and queries of another dimension', () => {
+    const index = new HNSWIndex();
+
+    assert.equal(index.add('a', [1, 0, 0]), true);
+    assert.equal(index.add('b', [1, 0]), false);
+    assert.equal(index.has('b'), false);
+    assert.deepEqual(index.search([1, 0]), []);
+    assert.deepEqual(new HNSWIndex().search([1, 0]), []);
+});
+
+test('replaces, removes and compacts vectors', () => {
+    const random = createRandom(7);
+    const index = new HNSWIndex({ M: 4 });
+    createVectors(20, 4, random).forEach((vector, i) => index.add(String(i), vector));
+
+    index.add('0', [1, 0, 0, 0]);
+    assert.equal(index.size, 20);
+    assert.equal(index.search([1, 0, 0, 0], 1)[0].id, '0');
+
+    index.remove('0');
+    index.remove('missing');
+    assert.equal(index.has('0'), false);
+    assert.ok(index.search([1, 0, 0, 0], 20).every(r => r.id !== '0'));
+
+    for (let i = 1; i < 15; i++) {
+        index.remove(String(i));
+    }
+    assert.equal(index.size, 5);
+    assert.ok(index.nodes.length < 20, 'deleted nodes were compacted away');
+    assert.deepEqual(index.search([0, 0, 0, 1], 10).map(r => r.id).sort(), ['15', '16', '17', '18', '19']);
+});
+
+test('applies worker operations per bank', () => {
+    const indexes = new Map();
+
+    assert.equal(applyIndexOperation(indexes, {
+        type: 'build',
+        bank: 'alice',
+        options: { M: 4 },
+        items: [{ id: 'a', vector: [1, 0] }, { id: 'b', vector: [0, 1] }]
+    }), 2);
+    assert.equal(applyIndexOperation(indexes, { type: 'add', bank: 'alice', item: { id: 'c', vector: [1, 1] } }), true);
+    assert.equal(applyIndexOperation(indexes, { type: 'add', bank: 'bob', item: { id: 'c', vector: [1, 1] } }), false);
+
+    applyIndexOperation(indexes, { type: 'remove', bank: 'alice', memoryId: 'a' });
+    assert.deepEqual(applyIndexOperation(indexes, { type: 'search', bank: 'alice', vector: [1, 0], k: 1 }).map(r => r.id), ['c']);
+    assert.deepEqual(applyIndexOperation(indexes, { type: 'search', bank: 'bob', vector: [1, 0], k: 1 }), []);
+
+    applyIndexOperation(indexes, { type: 'drop', bank: 'alice' });
+    assert.equal(indexes.has('alice'), false);
+    assert.throws(() => applyIndexOperation(indexes, { type: 'rebuild', bank: 'alice' }), /Unknown index operation: rebuild/);
+});
@@ -0,0 +1,70 @@
+/**
+ * Keyword tokenizer and BM25 index.
+ *
+ * Usage: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, BM25Index } from '../lib/lexical.js';
+
+test('lowercases English words and drops stopwords and possessives', () => {
+    assert.deepEqual(tokenize("The Sword of Elara's father"), ['sword', 'elara', 'father']);
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+});
+
+test('strips Korean particles and adds bigrams of longer stems', () => {
+    assert.deepEqual(tokenize('바다에서'), ['바다']);
+    assert.deepEqual(tokenize('도서관에'), ['도서관', '도서', '서관']);
+});
+
+test('keeps an ambiguous one-syllable stem together with the whole word', () => {
+    assert.deepEqual(tokenize('성은'), ['성은', '성']);
+    assert.deepEqual(tokenize('사과'), ['사과', '사']);
+});
+
+test('splits mixed-script words and drops the leftover particle', () => {
+    assert.deepEqual(tokenize('sword를'), ['sword']);
+});
+
+test('ranks documents by BM25 and respects the limit', () => {
+    const index = BM25Index.fromMemories([
+        { id: 'm1', summary: 'Elara found a silver sword in the cave' },
+        { id: 'm2', summary: 'Elara and Kai talked about the sword, the silver sword' },
+        { id: 'm3', summary: 'Kai cooked dinner by the river' }
+    ]);
+
+    const results = index.search('silver sword', 10);
+    assert.deepEqual(results.map(r => r.id), ['m2', 'm1']);
+    assert.ok(results[0].score > results[1].score);
+    assert.deepEqual(index.search('silver sword', 1).map(r => r.id), ['m2']);
+    assert.deepEqual(index.search('dragon'), []);
+});
+
+test('matches inflected Korean forms', () => {
+    const index = BM25Index.fromMemories([
+        { id: 'm1', summary: '미라는 도서관에서 책을 읽었다' },
+        { id: 'm2', summary: '미라는 바다를 좋아한다' }
+    ]);
+
+    assert.equal(index.search('도서관으로')[0].id, 'm1');
+});
+
+test('replaces and removes documents', () => {
+    const index = new BM25Index();
+    index.add('m1', 'silver sword');
+    index.add('m2', 'golden shield');
+    index.add('m1', 'wooden bow');
+
+    assert.equal(index.size, 2);
+    assert.deepEqual(index.search('sword'), []);
+    assert.deepEqual(index.search('bow').map(r => r.id), ['m1']);
+
+    index.remove('m1');
+    index.remove('missing');
+    assert.equal(index.size, 1);
+    assert.deepEqual(index.search('bow'), []);
+    assert.equal(index.totalLength, 2);
+    assert.equal(index.df.has('bow'), false);
+});
@@ -0,0 +1,95 @@
+/**
+ * Memory viewer filters and paging.
+ *
+ * Usage: node --test test/
+ *
+ * Timestamps are built in local time, as the date filters are.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getMemoryChatId,
+    listChats,
+    matchesMetadata,
+    filterMemories,
+    paginate
+} from '../lib/memory-filter.js';
+
+/**
+ * Create a memory
+ * @param {string} id - Memory ID
+ * @param {number} day - Day of January 2025 (local time, noon)
+ * @param {object} fields - Other fields; metadata is merged
+ * @returns {object} Memory
+ */
+function createMemory(id, day, { metadata = {}, ...fields } = {}) {
+    return {
+        id,
+        timestamp: new Date(2025, 0, day, 12).toISOString(),
+        summary: `summary ${id}`,
+        original_message: '',
+        metadata: { role: 'user', chat_id: 'chat1', ...metadata },
+        ...fields
+    };
+}
+
+const memories = [
+    createMemory('m1', 1, { summary: 'Elara found a silver Sword', metadata: { pinned: true } }),
+    createMemory('m2', 2, { original_message: '미라는 바다를 좋아한다', metadata: { role: 'assistant' } }),
+    createMemory('m3', 3, { metadata: { chat_id: 'old', source: { chat_id: 'chat2' } } }),
+    createMemory('m4', 4, { metadata: { chat_id: null, participants: ['Elara', 'Kai'], location: 'The Harbor' } })
+];
+
+test('takes the chat from the source link first', () => {
+    assert.equal(getMemoryChatId(memories[2]), 'chat2');
+    assert.equal(getMemoryChatId(memories[0]), 'chat1');
+    assert.equal(getMemoryChatId({}), null);
+});
+
+test('lists chats with the most memories first', () => {
+    assert.deepEqual(listChats(memories), [{ chatId: 'chat1', count: 2 }, { chatId: 'chat2', count: 1 }]);
+});
+
+test('matches extracted metadata by substring, ignoring case', () => {
+    assert.equal(matchesMetadata(memories[3], { participant: 'kai', location: 'harbor' }), true);
+    assert.equal(matchesMetadata(memories[3], { participant: 'Mira' }), false);
+    assert.equal(matchesMetadata(memories[0], { location: 'harbor' }), false);
+    assert.equal(matchesMetadata({ metadata: { speaker: 'Kai' } }, { participant: 'KAI' }), true);
+    assert.equal(matchesMetadata(memories[0], {}), true);
+});
+
+test('filters by every word of the text in summary or message', () => {
+    const ids = filters => filterMemories(memories, filters).map(m => m.id);
+
+    assert.deepEqual(ids({ text: 'sword elara' }), ['m1']);
+    assert.deepEqual(ids({ text: 'sword kai' }), []);
+    assert.deepEqual(ids({ text: '바다를' }), ['m2']);
+    assert.deepEqual(ids({}), ['m1', 'm2', 'm3', 'm4']);
+});
+
+test('filters by role, chat, pin and participant', () => {
+    const ids = filters => filterMemories(memories, filters).map(m => m.id);
+
+    assert.deepEqual(ids({ role: 'assistant' }), ['m2']);
+    assert.deepEqual(ids({ chatId: 'chat2' }), ['m3']);
+    assert.deepEqual(ids({ pinned: true }), ['m1']);
+    assert.deepEqual(ids({ participant: 'elara' }), ['m4']);
+});
+
+test('filters by inclusive calendar days', () => {
+    const ids = filters => filterMemories(memories, filters).map(m => m.id);
+
+    assert.deepEqual(ids({ from: '2025-01-02', to: '2025-01-03' }), ['m2', 'm3']);
+    assert.deepEqual(ids({ from: '2025-01-04' }), ['m4']);
+    assert.deepEqual(ids({ to: '2025-01-01' }), ['m1']);
+});
+
+test('pages a list and clamps the page number', () => {
+    const items = [1, 2, 3, 4, 5];
+
+    assert.deepEqual(paginate(items, 1, 2), { items: [3, 4], page: 1, pageCount: 3 });
+    assert.deepEqual(paginate(items, 9, 2), { items: [5], page: 2, pageCount: 3 });
+    assert.deepEqual(paginate(items, -1, 2), { items: [1, 2], page: 0, pageCount: 3 });
+    assert.deepEqual(paginate([], 0, 2), { items: [], page: 0, pageCount: 1 });
+});
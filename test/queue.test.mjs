@@ -0,0 +1,137 @@
+/**
+ * ProcessingQueue ordering, retries and persistence.
+ *
+ * Usage: node --test test/
+ *
+ * localStorage is replaced by an in-memory stub; retry delays are shortened
+ * to a millisecond.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProcessingQueue, JOB_STATES } from '../lib/queue.js';
+
+const items = new Map();
+globalThis.localStorage = {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+};
+
+/**
+ * Wait until a condition holds
+ * @param {function(): boolean} predicate - Condition
+ * @returns {Promise<void>}
+ */
+async function waitFor(predicate) {
+    for (let i = 0; i < 200 && !predicate(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(predicate(), 'condition not reached');
+}
+
+beforeEach(() => items.clear());
+
+test('runs jobs one at a time in order and drops stored ones', async () => {
+    const seen = [];
+    let active = 0;
+    const queue = new ProcessingQueue(async (job, setState) => {
+        active++;
+        assert.equal(active, 1);
+        setState(JOB_STATES.SUMMARIZING);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        setState(JOB_STATES.EMBEDDING);
+        seen.push(job.payload.n);
+        active--;
+    });
+
+    queue.enqueue({ n: 1 });
+    queue.enqueue({ n: 2 });
+    queue.enqueue({ n: 3 });
+
+    await waitFor(() => queue.jobs.length === 0);
+    assert.deepEqual(seen, [1, 2, 3]);
+    assert.deepEqual(JSON.parse(items.get('voyageai_queue')), []);
+});
+
+test('retries a failing job with backoff and marks it failed after the last attempt', async () => {
+    const failed = [];
+    const queue = new ProcessingQueue(async () => {
+        throw new Error('API down');
+    }, { maxAttempts: 3, baseDelay: 1, maxDelay: 1, onFailed: job => failed.push(job) });
+
+    const job = queue.enqueue({ n: 1 });
+
+    await waitFor(() => job.state === JOB_STATES.FAILED);
+    assert.equal(job.attempts, 3);
+    assert.equal(job.error, 'API down');
+    assert.deepEqual(failed, [job]);
+});
+
+test('a job waiting out its backoff holds up the jobs behind it', async () => {
+    const seen = [];
+    let calls = 0;
+    const queue = new ProcessingQueue(async job => {
+        if (job.payload.n === 1 && ++calls === 1) throw new Error('retry me');
+        seen.push(job.payload.n);
+    }, { baseDelay: 20, maxDelay: 20 });
+
+    queue.enqueue({ n: 1 });
+    queue.enqueue({ n: 2 });
+
+    await waitFor(() => queue.jobs.length === 0);
+    assert.deepEqual(seen, [1, 2]);
+});
+
+test('failed jobs do not block the queue and are requeued by retryFailed', async () => {
+    let fail = true;
+    const seen = [];
+    const queue = new ProcessingQueue(async job => {
+        if (fail && job.payload.n === 1) throw new Error('nope');
+        seen.push(job.payload.n);
+    }, { maxAttempts: 1 });
+
+    const first = queue.enqueue({ n: 1 });
+    queue.enqueue({ n: 2 });
+
+    await waitFor(() => seen.length === 1);
+    assert.equal(first.state, JOB_STATES.FAILED);
+    assert.equal(queue.getCounts()[JOB_STATES.FAILED], 1);
+
+    fail = false;
+    assert.equal(queue.retryFailed(), 1);
+    await waitFor(() => queue.jobs.length === 0);
+    assert.deepEqual(seen, [2, 1]);
+});
+
+test('load resumes interrupted jobs and leaves failed ones failed', () => {
+    items.set('queue', JSON.stringify([
+        { id: 'a', state: JOB_STATES.FAILED, attempts: 5, next_attempt_at: 0, payload: {} },
+        { id: 'b', state: JOB_STATES.EMBEDDING, attempts: 2, next_attempt_at: 123, payload: {} },
+        { id: 'c', state: JOB_STATES.PENDING, attempts: 1, next_attempt_at: 456, payload: {} }
+    ]));
+    const queue = new ProcessingQueue(async () => {}, { storageKey: 'queue' });
+
+    queue.load();
+
+    assert.deepEqual(queue.jobs.map(job => [job.id, job.state, job.attempts, job.next_attempt_at]), [
+        ['a', JOB_STATES.FAILED, 5, 0],
+        ['b', JOB_STATES.PENDING, 2, 0],
+        ['c', JOB_STATES.PENDING, 1, 456]
+    ]);
+});
+
+test('load starts empty when the stored queue is unreadable', () => {
+    items.set('queue', '{not json');
+    const queue = new ProcessingQueue(async () => {}, { storageKey: 'queue' });
+
+    queue.load();
+
+    assert.deepEqual(queue.jobs, []);
+});
+
+test('retry delays double up to the maximum', () => {
+    const queue = new ProcessingQueue(async () => {}, { baseDelay: 100, maxDelay: 500 });
+
+    assert.deepEqual([1, 2, 3, 4, 5].map(n => queue.getRetryDelay(n)), [100, 200, 400, 500, 500]);
+});
@@ -0,0 +1,75 @@
+/**
+ * Memory scopes: bank selection, visibility and transfers between scopes.
+ *
+ * Usage: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GLOBAL_BANK_ID,
+    getPersonaBankId,
+    spansCharacters,
+    getScopeBank,
+    isInScope,
+    getChatRelink,
+    prepareForScope
+} from '../lib/scope.js';
+
+const owners = { characterBank: 'alice.png', persona: 'me.png' };
+
+test('picks the bank of each scope', () => {
+    assert.equal(getScopeBank('chat', owners), 'alice.png');
+    assert.equal(getScopeBank('character', owners), 'alice.png');
+    assert.equal(getScopeBank('persona', owners), getPersonaBankId('me.png'));
+    assert.equal(getScopeBank('global', owners), GLOBAL_BANK_ID);
+});
+
+test('has no bank for a scope without an owner', () => {
+    assert.equal(getScopeBank('character', {}), null);
+    assert.equal(getScopeBank('persona', { characterBank: 'alice.png' }), null);
+    assert.equal(getScopeBank('global', {}), GLOBAL_BANK_ID);
+});
+
+test('only persona and global scope span characters', () => {
+    assert.deepEqual(['chat', 'character', 'persona', 'global'].map(spansCharacters), [false, false, true, true]);
+});
+
+test('chat scope only sees memories of the current chat', () => {
+    const linked = { metadata: { chat_id: 'old', source: { chat_id: 'chat1' } } };
+    const unlinked = { metadata: { chat_id: 'chat2' } };
+
+    assert.equal(isInScope(linked, 'chat', 'chat1'), true);
+    assert.equal(isInScope(unlinked, 'chat', 'chat1'), false);
+    assert.equal(isInScope(unlinked, 'character', 'chat1'), true);
+});
+
+test('relinks a memory to another chat and drops its source link', () => {
+    const memory = { metadata: { chat_id: 'chat1', source: { chat_id: 'chat1', message_index: 3 } } };
+
+    assert.equal(getChatRelink(memory, 'chat1'), null);
+    assert.deepEqual(getChatRelink(memory, 'chat2'), { chat_id: 'chat2', source: undefined });
+});
+
+test('moves a memory without the links into its old bank', () => {
+    const memory = {
+        id: 'm1',
+        summary: 'Elara found a sword',
+        metadata: { importance: 0.7, chat_id: 'chat1', parent_id: 'p', children: ['c'], distinct_from: ['d'] }
+    };
+
+    assert.deepEqual(prepareForScope(memory, 'global'), {
+        id: 'm1',
+        summary: 'Elara found a sword',
+        metadata: { importance: 0.7, chat_id: 'chat1' }
+    });
+    assert.equal(memory.metadata.parent_id, 'p');
+});
+
+test('copies get a new ID and chat scope attaches them to the chat', () => {
+    const memory = { id: 'm1', summary: 's', metadata: { chat_id: 'chat1' } };
+    const copy = prepareForScope(memory, 'chat', { chatId: 'chat2', copy: true });
+
+    assert.equal('id' in copy, false);
+    assert.deepEqual(copy.metadata, { chat_id: 'chat2', source: undefined });
+});
@@ -0,0 +1,140 @@
+/**
+ * ServerFileBackend against a local stub of SillyTavern's files API.
+ *
+ * Usage: node --test test/
+ *
+ * The stub keeps files in memory and serves the three endpoints the backend
+ * uses: GET /user/files/<name>, POST /api/files/upload (base64 data) and
+ * POST /api/files/delete.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { ServerFileBackend } from '../lib/backends.js';
+
+const files = new Map();
+let server;
+let baseUrl;
+
+/**
+ * Read a request body as JSON
+ * @param {import('node:http').IncomingMessage} request - Request
+ * @returns {Promise<object>} Parsed body
+ */
+async function readJson(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+    }
+    return JSON.parse(body);
+}
+
+/**
+ * Handle a files API request
+ * @param {import('node:http').IncomingMessage} request - Request
+ * @param {import('node:http').ServerResponse} response - Response
+ */
+async function handle(request, response) {
+    const url = new URL(request.url, baseUrl);
+
+    if (request.method === 'GET' && url.pathname.startsWith('/user/files/')) {
+        const name = decodeURIComponent(url.pathname.slice('/user/files/'.length));
+        if (!files.has(name)) {
+            response.writeHead(404).end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json' }).end(files.get(name));
+        return;
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/files/upload') {
+        const { name, data } = await readJson(request);
+        files.set(name, Buffer.from(data, 'base64').toString('utf8'));
+        response.writeHead(200).end();
+        return;
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/files/delete') {
+        const { path } = await readJson(request);
+        const name = path.replace(/^user\/files\//, '');
+        response.writeHead(files.delete(name) ? 200 : 404).end();
+        return;
+    }
+
+    response.writeHead(400).end();
+}
+
+/**
+ * Create a bank
+ * @param {string} updatedAt - updated_at of the bank
+ * @param {Array<{id: string, timestamp: string}>} memories - Memories
+ * @returns {object} Bank data
+ */
+function createBank(updatedAt, memories) {
+    return { character_id: 'alice', updated_at: updatedAt, memories };
+}
+
+before(async () => {
+    server = createServer((request, response) => {
+        handle(request, response).catch(() => response.writeHead(500).end());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('saves, loads, lists and removes a bank', async () => {
+    files.clear();
+    const backend = new ServerFileBackend({ baseUrl });
+    const bank = createBank('2025-01-01T00:00:00.000Z', [
+        { id: 'm1', timestamp: '2025-01-01T00:00:00.000Z', summary: '미라는 바다를 좋아한다' }
+    ]);
+
+    assert.equal(await backend.load('alice'), null);
+
+    await backend.save('alice', bank);
+    assert.deepEqual(await backend.load('alice'), bank);
+    assert.deepEqual(await backend.list(), ['alice']);
+
+    await backend.remove('alice');
+    assert.equal(await backend.load('alice'), null);
+    assert.deepEqual(await backend.list(), []);
+});
+
+test('sanitizes character IDs into file names', async () => {
+    files.clear();
+    const backend = new ServerFileBackend({ baseUrl });
+
+    await backend.save('../group/1', createBank('2025-01-01T00:00:00.000Z', []));
+    assert.ok(files.has('voyageai-memory-___group_1.json'));
+    assert.deepEqual(await backend.list(), ['../group/1']);
+});
+
+test('merges memories another device added since the last read', async () => {
+    files.clear();
+    const first = new ServerFileBackend({ baseUrl });
+    const second = new ServerFileBackend({ baseUrl });
+    const older = { id: 'm1', timestamp: '2025-01-01T00:00:00.000Z' };
+
+    await first.save('alice', createBank('2025-01-01T00:00:00.000Z', [older]));
+    await second.load('alice');
+
+    const added = { id: 'm2', timestamp: '2025-01-02T00:00:00.000Z' };
+    await first.save('alice', createBank('2025-01-02T00:00:00.000Z', [older, added]));
+
+    // The second device deleted m1 and adds m3 without having seen m2
+    const own = { id: 'm3', timestamp: '2025-01-03T00:00:00.000Z' };
+    const local = createBank('2025-01-03T00:00:00.000Z', [own]);
+    await second.save('alice', local);
+
+    const stored = await new ServerFileBackend({ baseUrl }).load('alice');
+    assert.deepEqual(stored.memories.map(m => m.id), ['m2', 'm3']);
+    assert.deepEqual(local.memories.map(m => m.id), ['m2', 'm3']);
+});
+
+test('reports server errors', async () => {
+    const backend = new ServerFileBackend({ baseUrl: `${baseUrl}/missing-prefix` });
+    await assert.rejects(backend.save('alice', createBank('2025-01-01T00:00:00.000Z', [])), /Memory file read error: 400/);
+});
@@ -0,0 +1,112 @@
+/**
+ * Superseded facts: candidates, version chains and retrieval handling.
+ *
+ * Usage: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isSuperseded,
+    getSupersedeCandidates,
+    getSupersedeChain,
+    handleSuperseded
+} from '../lib/supersede.js';
+
+/**
+ * Create a memory
+ * @param {string} id - Memory ID
+ * @param {number} day - Day of January 2025 it was stored
+ * @param {number[]} embedding - Embedding
+ * @param {object} metadata - Metadata
+ * @returns {object} Memory
+ */
+function createMemory(id, day, embedding = [1, 0], metadata = {}) {
+    return {
+        id,
+        timestamp: `2025-01-${String(day).padStart(2, '0')}T00:00:00.000Z`,
+        summary: `summary ${id}`,
+        embedding,
+        metadata: { chat_id: 'chat1', ...metadata }
+    };
+}
+
+test('a memory superseded by a deleted one counts as current', () => {
+    const memory = createMemory('m1', 1, [1, 0], { superseded_by: 'm2' });
+
+    assert.equal(isSuperseded(memory), true);
+    assert.equal(isSuperseded(memory, new Set(['m1', 'm2'])), true);
+    assert.equal(isSuperseded(memory, new Set(['m1'])), false);
+    assert.equal(isSuperseded(createMemory('m3', 1)), false);
+});
+
+test('checks older similar memories of the same chat and level', () => {
+    const memory = createMemory('new', 10, [1, 0]);
+    const memories = [
+        memory,
+        createMemory('similar', 1, [1, 0.2]),
+        createMemory('closest', 2, [1, 0.1]),
+        createMemory('unrelated', 3, [0, 1]),
+        createMemory('other-chat', 4, [1, 0], { chat_id: 'chat2' }),
+        createMemory('scene', 5, [1, 0], { level: 'scene' }),
+        createMemory('newer', 11, [1, 0]),
+        createMemory('outdated', 6, [1, 0], { superseded_by: 'x' }),
+        createMemory('other-model', 7, [1, 0, 0])
+    ];
+
+    assert.deepEqual(getSupersedeCandidates(memory, memories, { threshold: 0.8 }).map(m => m.id), ['closest', 'similar']);
+    assert.deepEqual(getSupersedeCandidates(memory, memories, { threshold: 0.8, limit: 1 }).map(m => m.id), ['closest']);
+    assert.deepEqual(getSupersedeCandidates({ ...memory, embedding: [] }, memories), []);
+});
+
+test('follows the chain of versions in both directions', () => {
+    const sibling = createMemory('m0', 1, [1, 0], { superseded_by: 'm2' });
+    const first = createMemory('m1', 2, [1, 0], { superseded_by: 'm2' });
+    const second = createMemory('m2', 3, [1, 0], { superseded_by: 'm3' });
+    const third = createMemory('m3', 4, [1, 0], { superseded_by: 'm4' });
+    const fourth = createMemory('m4', 5);
+    const byId = new Map([first, second, third, fourth, sibling].map(m => [m.id, m]));
+
+    const chain = getSupersedeChain(third, byId);
+    assert.deepEqual(chain.older.map(m => m.id), ['m0', 'm1', 'm2']);
+    assert.deepEqual(chain.newer.map(m => m.id), ['m4']);
+});
+
+test('stops at a cycle or a missing version', () => {
+    const a = createMemory('a', 1, [1, 0], { superseded_by: 'b' });
+    const b = createMemory('b', 2, [1, 0], { superseded_by: 'a' });
+    const lost = createMemory('c', 3, [1, 0], { superseded_by: 'gone' });
+    const byId = new Map([a, b, lost].map(m => [m.id, m]));
+
+    assert.deepEqual(getSupersedeChain(a, byId), { older: [], newer: [b] });
+    assert.deepEqual(getSupersedeChain(lost, byId), { older: [], newer: [] });
+});
+
+test('drops outdated results in exclude mode', () => {
+    const results = [
+        { memory: createMemory('old', 1, [1, 0], { superseded_by: 'new' }), similarity: 0.9 },
+        { memory: createMemory('new', 2), similarity: 0.8 }
+    ];
+
+    assert.deepEqual(handleSuperseded(results, new Set(['old', 'new']), { mode: 'exclude' }).map(r => r.memory.id), ['new']);
+});
+
+test('down-weights outdated results and re-sorts by the fused score', () => {
+    const results = [
+        { memory: createMemory('old', 1, [1, 0], { superseded_by: 'new' }), similarity: 0.9, fusedScore: 0.02 },
+        { memory: createMemory('new', 2), similarity: 0.7, fusedScore: 0.015 }
+    ];
+
+    const handled = handleSuperseded(results, new Set(['old', 'new']), { penalty: 0.5 });
+    assert.deepEqual(handled.map(r => r.memory.id), ['new', 'old']);
+    assert.equal(handled[1].similarity, 0.45);
+    assert.equal(handled[1].fusedScore, 0.01);
+    assert.equal(handled[1].superseded, true);
+    assert.equal(results[0].similarity, 0.9);
+});
+
+test('leaves the results alone when none is outdated', () => {
+    const results = [{ memory: createMemory('old', 1, [1, 0], { superseded_by: 'deleted' }), similarity: 0.9 }];
+
+    assert.equal(handleSuperseded(results, new Set(['old'])), results);
+});